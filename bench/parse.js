@@ -0,0 +1,71 @@
+import * as UCAN from "../src/lib.js"
+import { parse as parseJWT } from "../src/parser.js"
+import { format } from "../src/formatter.js"
+import { alice, bob } from "../test/fixtures.js"
+
+/**
+ * Compares `UCAN.parse`, which decides on the representation by comparing
+ * decoded JWT segments to the parsed model, with the former approach of
+ * formatting parsed model back and comparing it to the JWT.
+ *
+ * Run with `npm run bench`.
+ */
+const main = async () => {
+  const proof = await UCAN.link(
+    await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+  )
+  const ucan = await UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [
+      { with: alice.did(), can: "store/add", nb: { size: 1024 } },
+      { with: alice.did(), can: "store/remove" },
+    ],
+    facts: [{ origin: "https://web3.storage", tags: ["a", "b"] }],
+    proofs: [proof],
+  })
+  const jwt = UCAN.format(ucan)
+
+  const baseline = () => {
+    const model = parseJWT(jwt)
+    return format(model) === jwt ? model : { ...model, jwt }
+  }
+  const parse = () => UCAN.parse(jwt)
+
+  // warm up and then take the best of interleaved rounds, so that neither
+  // benefits from the JIT or suffers from GC more than the other
+  time(baseline)
+  time(parse)
+  let before = Infinity
+  let after = Infinity
+  for (let round = 0; round < 20; round++) {
+    before = Math.min(before, time(baseline))
+    after = Math.min(after, time(parse))
+  }
+
+  console.log(
+    `parse: ${(before * 1000).toFixed(1)}µs formatting back, ${(
+      after * 1000
+    ).toFixed(1)}µs comparing segments (${(before / after).toFixed(1)}x)`
+  )
+}
+
+/**
+ * Average time of a call in milliseconds.
+ *
+ * @param {() => unknown} run
+ */
+const time = run => {
+  const iterations = 1000
+  const start = performance.now()
+  for (let n = 0; n < iterations; n++) {
+    run()
+  }
+  return (performance.now() - start) / iterations
+}
+
+main()
@@ -0,0 +1,237 @@
+import * as UCAN from "./ucan.js"
+import * as Link from "multiformats/link"
+import { equals } from "multiformats/bytes"
+
+/**
+ * Checks that every `claimed` capability is derived from some of the
+ * `delegated` capabilities. Usually `claimed` are capabilities of the UCAN and
+ * `delegated` are capabilities of it's proofs.
+ *
+ * Returns `{ ok: matches }` where each claimed capability is paired with a
+ * delegated capability it was derived from. If some of the claimed
+ * capabilities are not supported returns `{ error }` listing all of them
+ * along with the reason why.
+ *
+ * @template {UCAN.Capability} C
+ * @param {C[]} claimed
+ * @param {UCAN.Capability[]} delegated
+ * @returns {UCAN.Result<UCAN.Match<C>[], EscalationError<C>>}
+ */
+export const check = (claimed, delegated) => {
+  /** @type {UCAN.Match<C>[]} */
+  const matches = []
+  /** @type {UCAN.UnsupportedCapability<C>[]} */
+  const unsupported = []
+
+  for (const [index, capability] of claimed.entries()) {
+    const result = find(capability, delegated)
+    if (result.error) {
+      unsupported.push({ capability, index, reason: result.error.message })
+    } else {
+      matches.push(result.ok)
+    }
+  }
+
+  return unsupported.length > 0
+    ? { error: new EscalationError(unsupported) }
+    : { ok: matches }
+}
+
+/**
+ * Finds delegated capability that given capability is derived from. If none
+ * is found returns an error explaining why closest candidate does not
+ * support the claimed capability.
+ *
+ * @template {UCAN.Capability} C
+ * @param {C} claimed
+ * @param {UCAN.Capability[]} delegated
+ * @returns {UCAN.Result<UCAN.Match<C>, Error>}
+ */
+export const find = (claimed, delegated) => {
+  // Failures are ranked by how far the match got, so that we can report
+  // the most relevant reason e.g. caveat violation over resource mismatch.
+  let rank = -1
+  let reason = `No capabilities were delegated`
+  for (const capability of delegated) {
+    const { error } = derives(claimed, capability)
+    if (!error) {
+      return { ok: { claimed, delegated: capability } }
+    } else if (error.rank > rank) {
+      rank = error.rank
+      reason = error.message
+    }
+  }
+
+  return { error: new Error(reason) }
+}
+
+/**
+ * Checks whether `claimed` capability is derived from `delegated` one. That
+ * is the case when `delegated` resource and ability covers ones claimed and
+ * every caveat of `delegated` capability is the same or narrowed down in the
+ * `claimed` capability.
+ *
+ * @param {UCAN.Capability} claimed
+ * @param {UCAN.Capability} delegated
+ * @returns {UCAN.Result<{}, Error & {rank: number}>}
+ */
+export const derives = (claimed, delegated) => {
+  if (!matchResource(claimed.with, delegated.with)) {
+    return fail(
+      0,
+      `Resource ${claimed.with} is not covered by ${delegated.with}`
+    )
+  } else if (!matchAbility(claimed.can, delegated.can)) {
+    return fail(
+      1,
+      `Ability ${claimed.can} is not covered by ${delegated.can} on ${delegated.with}`
+    )
+  } else {
+    const violation = checkCaveats(claimed.nb, delegated.nb, "nb")
+    return violation
+      ? fail(
+          2,
+          `Caveats of ${claimed.can} on ${claimed.with} escalate ${violation}`
+        )
+      : { ok: {} }
+  }
+}
+
+/**
+ * Checks whether `claimed` resource is covered by the `delegated` one. They
+ * must be equal unless `delegated` resource ends with `*` in which case it
+ * covers all the resources that start with the prefix preceding the `*`.
+ *
+ * @param {UCAN.Resource} claimed
+ * @param {UCAN.Resource} delegated
+ */
+export const matchResource = (claimed, delegated) =>
+  delegated.endsWith("*")
+    ? claimed.startsWith(delegated.slice(0, -1))
+    : claimed === delegated
+
+/**
+ * Checks whether `claimed` ability is covered by the `delegated` one. Ability
+ * `*` covers every other ability while `store/*` covers every ability in the
+ * `store/` namespace, including `store/*` itself. Abilities are compared
+ * case insensitively.
+ *
+ * @param {UCAN.Ability} claimed
+ * @param {UCAN.Ability} delegated
+ */
+export const matchAbility = (claimed, delegated) => {
+  const can = claimed.toLowerCase()
+  const pattern = delegated.toLowerCase()
+  return pattern === "*"
+    ? true
+    : pattern.endsWith("/*")
+      ? can.startsWith(pattern.slice(0, -1))
+      : can === pattern
+}
+
+/**
+ * Returns a path to the delegated caveat that is violated by the claimed
+ * caveats or `null` if claimed caveats narrow down delegated ones. Every field
+ * of the delegated object must be present in the claimed object, nested
+ * objects are compared the same way and all other values must be equal.
+ *
+ * @param {unknown} claimed
+ * @param {unknown} delegated
+ * @param {string} path
+ * @returns {string|null}
+ */
+const checkCaveats = (claimed, delegated, path) => {
+  if (delegated === undefined) {
+    return null
+  } else if (isObject(delegated)) {
+    if (!isObject(claimed)) {
+      return path
+    }
+    for (const [key, value] of Object.entries(delegated)) {
+      const violation = checkCaveats(claimed[key], value, `${path}.${key}`)
+      if (violation) {
+        return violation
+      }
+    }
+    return null
+  } else {
+    return isEqual(claimed, delegated) ? null : path
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+const isObject = value =>
+  value != null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Uint8Array) &&
+  !Link.isLink(value)
+
+/**
+ * Structural equality for IPLD data.
+ *
+ * @param {unknown} left
+ * @param {unknown} right
+ * @returns {boolean}
+ */
+export const isEqual = (left, right) => {
+  if (left === right) {
+    return true
+  } else if (left instanceof Uint8Array && right instanceof Uint8Array) {
+    return equals(left, right)
+  } else if (Link.isLink(left) && Link.isLink(right)) {
+    return left.equals(right)
+  } else if (Array.isArray(left) && Array.isArray(right)) {
+    return (
+      left.length === right.length &&
+      left.every((value, index) => isEqual(value, right[index]))
+    )
+  } else if (isObject(left) && isObject(right)) {
+    const keys = Object.keys(left)
+    return (
+      keys.length === Object.keys(right).length &&
+      keys.every(key => isEqual(left[key], right[key]))
+    )
+  } else {
+    return false
+  }
+}
+
+/**
+ * @param {number} rank
+ * @param {string} message
+ * @returns {{error: Error & {rank: number}}}
+ */
+const fail = (rank, message) => ({
+  error: Object.assign(new Error(message), { rank }),
+})
+
+/**
+ * @template {UCAN.Capability} C
+ */
+export class EscalationError extends Error {
+  /**
+   * @param {UCAN.UnsupportedCapability<C>[]} unsupported
+   */
+  constructor(unsupported) {
+    super(
+      [
+        `Claimed capabilities are not supported by delegated ones:`,
+        ...unsupported.map(
+          ({ index, reason }) => `  - att[${index}]: ${reason}`
+        ),
+      ].join("\n")
+    )
+    this.unsupported = unsupported
+  }
+  get name() {
+    return "EscalationError"
+  }
+  /** @type {"CAPABILITY_ESCALATION"} */
+  get code() {
+    return "CAPABILITY_ESCALATION"
+  }
+}
@@ -0,0 +1,107 @@
+import * as UCAN from "./ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { CID, varint } from "multiformats"
+
+export const name = "CAR"
+export const code = 0x0202
+
+/**
+ * @typedef {object} Block
+ * @property {UCAN.Link} cid
+ * @property {Uint8Array} bytes
+ */
+
+/**
+ * @typedef {object} Archive
+ * @property {UCAN.Link[]} roots
+ * @property {Block[]} blocks
+ */
+
+/**
+ * Encodes blocks into a CARv1. It does not verify that block bytes match
+ * their CIDs.
+ *
+ * @param {Archive} archive
+ * @returns {Uint8Array}
+ */
+export const encode = ({ roots, blocks }) => {
+  const header = CBOR.encode({ version: 1, roots })
+  const chunks = [...frame([header])]
+  for (const { cid, bytes } of blocks) {
+    chunks.push(...frame([cid.bytes, bytes]))
+  }
+
+  const size = chunks.reduce((size, chunk) => size + chunk.byteLength, 0)
+  const car = new Uint8Array(size)
+  let offset = 0
+  for (const chunk of chunks) {
+    car.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return car
+}
+
+/**
+ * Decodes CARv1 into roots and blocks. It does not verify that block bytes
+ * match their CIDs.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Archive}
+ */
+export const decode = bytes => {
+  const [header, rest] = readFrame(bytes, "header")
+  const { version, roots } = CBOR.decode(header)
+  if (version !== 1) {
+    throw new RangeError(`Expected CAR version 1 instead got ${version}`)
+  }
+  if (!Array.isArray(roots) || !roots.every(root => CID.asCID(root))) {
+    throw new TypeError(`Expected CAR header roots to be an array of CIDs`)
+  }
+
+  const blocks = []
+  let remainder = rest
+  while (remainder.byteLength > 0) {
+    const [section, next] = readFrame(remainder, `block ${blocks.length}`)
+    const [cid, bytes] = CID.decodeFirst(section)
+    blocks.push({ cid: /** @type {UCAN.Link} */ (cid), bytes })
+    remainder = next
+  }
+
+  return { roots, blocks }
+}
+
+/**
+ * Prefixes concatenation of the given chunks with a varint of their length.
+ *
+ * @param {Uint8Array[]} chunks
+ */
+const frame = chunks => {
+  const length = chunks.reduce((size, chunk) => size + chunk.byteLength, 0)
+  const prefix = new Uint8Array(varint.encodingLength(length))
+  varint.encodeTo(length, prefix)
+  return [prefix, ...chunks]
+}
+
+/**
+ * Reads varint length prefixed section and returns it along with the rest of
+ * the bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} context
+ * @returns {[Uint8Array, Uint8Array]}
+ */
+const readFrame = (bytes, context) => {
+  const [length, offset] = varint.decode(bytes)
+  const end = offset + length
+  if (length === 0) {
+    throw new RangeError(`Invalid CAR ${context}, section is empty`)
+  }
+  if (end > bytes.byteLength) {
+    throw new RangeError(
+      `Invalid CAR ${context}, expected ${length} bytes instead got ${
+        bytes.byteLength - offset
+      }`
+    )
+  }
+  return [bytes.subarray(offset, end), bytes.subarray(end)]
+}
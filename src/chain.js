@@ -0,0 +1,107 @@
+import * as UCAN from "./ucan.js"
+import { sha256 } from "multiformats/hashes/sha2"
+import { identity } from "multiformats/hashes/identity"
+import { equals } from "multiformats/bytes"
+import { registry as defaultRegistry } from "./registry.js"
+import { verifier as resolveVerifier } from "./resolver.js"
+
+/**
+ * Returns UTC Unix timestamp for comparing it against time window of the UCAN.
+ */
+export const now = () => Math.floor(Date.now() / 1000)
+
+/**
+ * Clock backed by the system time.
+ *
+ * @type {UCAN.Clock}
+ */
+export const systemClock = { now }
+
+/**
+ * Finds verifier for the issuer in `options.verifiers` and falls back to
+ * deriving one with {@link deriveVerifier}.
+ *
+ * @param {UCAN.PrincipalView} issuer
+ * @param {UCAN.SignatureView} signature
+ * @param {UCAN.VerifyOptions & {verifiers?: UCAN.Verifier[]}} options
+ * @returns {Promise<UCAN.Result<UCAN.Verifier, Error>>}
+ */
+export const findVerifier = async (issuer, signature, options) => {
+  const did = issuer.did()
+  const verifier = (options.verifiers || []).find(
+    verifier => verifier.did() === did
+  )
+  return verifier
+    ? { ok: verifier }
+    : await deriveVerifier(issuer, signature, options)
+}
+
+/**
+ * Derives verifier for the issuer either from its `did:key` or from its DID
+ * document when `options.didResolver` is provided.
+ *
+ * @param {UCAN.PrincipalView} issuer
+ * @param {UCAN.SignatureView} signature
+ * @param {UCAN.VerifyOptions} options
+ * @returns {Promise<UCAN.Result<UCAN.Verifier, Error>>}
+ */
+export const deriveVerifier = (
+  issuer,
+  signature,
+  { registry = defaultRegistry, didResolver: resolver }
+) =>
+  resolver && !issuer.did().startsWith("did:key:")
+    ? resolveVerifier(issuer, { resolver, registry, signature })
+    : registry.verifier(issuer, signature)
+
+/**
+ * Hashers that can be used to check integrity of the resolved proofs.
+ *
+ * @type {Record<number, UCAN.MultihashHasher<any>>}
+ */
+const hashers = {
+  [sha256.code]: sha256,
+  [identity.code]: identity,
+}
+
+/**
+ * Loads bytes of the UCAN block referenced by the given link and verifies
+ * that they match its multihash. Inline proofs (ones with identity multihash)
+ * are read from the link itself.
+ *
+ * @param {UCAN.Link} link
+ * @param {UCAN.ProofResolver} resolve
+ * @returns {Promise<UCAN.ByteView<UCAN.UCAN>>}
+ */
+export const loadBlock = async (link, resolve) => {
+  const { multihash } = link
+  const bytes =
+    multihash.code === identity.code ? multihash.digest : await resolve(link)
+  if (bytes == null) {
+    throw new Error(`Resolver returned no block for ${link}`)
+  }
+
+  await verifyBlock(link, bytes)
+  return bytes
+}
+
+/**
+ * Verifies that bytes match the multihash of the given link.
+ *
+ * @param {UCAN.Link} link
+ * @param {Uint8Array} bytes
+ */
+export const verifyBlock = async (link, bytes) => {
+  const { multihash } = link
+  const hasher = hashers[multihash.code]
+  if (!hasher) {
+    throw new Error(
+      `Unsupported multihash 0x${multihash.code.toString(16)} in ${link}`
+    )
+  }
+
+  const digest = await hasher.digest(bytes)
+  if (!equals(digest.bytes, multihash.bytes)) {
+    throw new Error(`Resolved block does not match ${link}`)
+  }
+}
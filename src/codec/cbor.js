@@ -1,9 +1,23 @@
 import * as UCAN from "../ucan.js"
 import * as CBOR from "@ipld/dag-cbor"
-import { readPayload, readVersion, readSignature } from "../schema.js"
+import {
+  readPayload,
+  readVersion,
+  readSignature,
+  readOptional,
+  readExtensions,
+  pickExtensions,
+  failOnExtensions,
+  checkLimits,
+  HEADER_FIELDS,
+  ParseError,
+} from "../schema.js"
+import { toPath, NonCanonicalError } from "../error.js"
+import { equals } from "multiformats/bytes"
+import * as Limits from "../limits.js"
 import { format } from "../formatter.js"
 import * as Signature from "../signature.js"
-import { View } from "../view.js"
+import { View, cache, link } from "../view.js"
 
 export const name = "dag-ucan"
 export const code = CBOR.code
@@ -22,9 +36,17 @@ export const code = CBOR.code
  *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.FromModel<C>} model
+ * @param {UCAN.JWT<C>} [jwt] - JWT the model was parsed from, if known to be
+ * its canonical formatting, so that it does not need to be formatted again.
  * @returns {UCAN.View<C>}
  */
-export const from = model => new CBORView(model)
+export const from = (model, jwt) => {
+  const view = new CBORView(model)
+  if (jwt) {
+    cache(view).jwt = jwt
+  }
+  return view
+}
 
 /**
  * Encodes given UCAN (in either IPLD or JWT representation) and encodes it into
@@ -37,6 +59,7 @@ export const from = model => new CBORView(model)
  */
 export const encode = model => {
   const { fct, nnc, nbf, ...payload } = readPayload(model)
+  const hdr = readHeaderExtensions(model.hdr)
 
   return /** @type {Uint8Array} */ (
     CBOR.encode({
@@ -47,11 +70,22 @@ export const encode = model => {
       ...payload,
       // add version and signature
       v: readVersion(model.v, "v"),
+      ...(hdr && { hdr }),
       s: encodeSignature(model.s, "s"),
     })
   )
 }
 
+/**
+ * @param {unknown} input
+ */
+const readHeaderExtensions = input =>
+  readOptional(
+    input,
+    (input, context) => readExtensions(input, HEADER_FIELDS, context),
+    "hdr"
+  )
+
 /**
  * @param {UCAN.Signature} signature
  * @param {string} context
@@ -60,29 +94,101 @@ const encodeSignature = (signature, context) => {
   try {
     return Signature.encode(signature)
   } catch (cause) {
-    throw new Error(
+    throw new ParseError(
+      "INVALID_SIGNATURE",
       `Expected signature ${context}, instead got ${JSON.stringify(signature)}`,
-      // @ts-expect-error - types don't know about second arg
-      { cause }
+      { path: toPath(context), cause }
     )
   }
 }
 
+/**
+ * Fields of the UCAN in IPLD representation. Extensions of the JWT header and
+ * payload are held by `hdr` and `ext` fields.
+ */
+const FIELDS = new Set([
+  "iss",
+  "aud",
+  "att",
+  "exp",
+  "nbf",
+  "nnc",
+  "fct",
+  "prf",
+  "v",
+  "hdr",
+  "ext",
+  "s",
+])
+
 /**
  * Decodes UCAN in primary CBOR representation. It does not validate UCAN, it's
  * signature or proof chain. This is to say decoded UCAN may be invalid.
  *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.ByteView<UCAN.Model<C>>} bytes
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.View<C>}
  */
-export const decode = bytes => {
+export const decode = (bytes, options = {}) => {
+  Limits.check("maxBytes", bytes.byteLength, options.limits)
   const model = CBOR.decode(bytes)
-  return new CBORView({
-    ...readPayload(model),
+  checkLimits(model, options.limits)
+  const unknown = pickExtensions(model, FIELDS)
+  if (unknown && options.mode === "strict") {
+    failOnExtensions(unknown, "INVALID_FIELD")
+  }
+  const hdr = readHeaderExtensions(model.hdr)
+  if (hdr && options.mode === "strict") {
+    failOnExtensions(hdr, "INVALID_HEADER", "hdr")
+  }
+  const view = new CBORView({
+    ...readPayload(model, options),
     v: readVersion(model.v, "v"),
-    s: readSignature(model.s),
+    ...(hdr && { hdr }),
+    s: readSignature(model.s, "s", options.limits),
   })
+
+  if (options.mode === "strict") {
+    assertCanonical(bytes, view.model)
+  }
+  // copy so that CID of the view does not change if caller reuses the buffer
+  cache(view).bytes = bytes.slice()
+
+  return view
+}
+
+/**
+ * Ensures that given bytes are the canonical encoding of the decoded model,
+ * otherwise same UCAN could be addressed by different CIDs. Throws
+ * {@link NonCanonicalError} pointing to the first field that is encoded
+ * differently.
+ *
+ * @param {Uint8Array} bytes
+ * @param {UCAN.Model} model
+ */
+const assertCanonical = (bytes, model) => {
+  const canonical = encode(model)
+  if (!equals(bytes, canonical)) {
+    /** @type {Record<string, unknown>} */
+    const source = CBOR.decode(bytes)
+    /** @type {Record<string, unknown>} */
+    const target = CBOR.decode(/** @type {Uint8Array} */ (canonical))
+    const field = [...Object.keys(source), ...Object.keys(target)].find(
+      key =>
+        !(key in source) ||
+        !(key in target) ||
+        !equals(CBOR.encode(source[key]), CBOR.encode(target[key]))
+    )
+
+    throw new NonCanonicalError(
+      "NON_CANONICAL_ENCODING",
+      field
+        ? `UCAN is not canonically encoded, field "${field}" is encoded differently`
+        : "UCAN is not canonically encoded",
+      { path: field ? toPath(field) : "" }
+    )
+  }
 }
 
 export { format }
@@ -96,10 +202,36 @@ class CBORView extends View {
   get code() {
     return code
   }
+  /**
+   * DAG-CBOR encoded UCAN, which is either a copy of the bytes view was decoded
+   * from or the model encoded on first access. Returns a fresh copy on every
+   * access, so that callers can not alter bytes the CID is derived from.
+   *
+   * @returns {UCAN.ByteView<UCAN.UCAN<C>>}
+   */
+  get bytes() {
+    const memo = cache(this)
+    memo.bytes = memo.bytes || encode(this.model)
+    return /** @type {UCAN.ByteView<UCAN.UCAN<C>>} */ (memo.bytes.slice())
+  }
+  /**
+   * @returns {UCAN.JWT<C>}
+   */
   format() {
-    return format(this.model)
+    const memo = cache(this)
+    return /** @type {UCAN.JWT<C>} */ (
+      (memo.jwt = memo.jwt || format(this.model))
+    )
   }
   encode() {
-    return encode(this.model)
+    return this.bytes
+  }
+  /**
+   * @template {number} [A=typeof import("multiformats/hashes/sha2").sha256.code]
+   * @param {{hasher?: UCAN.MultihashHasher<A>}} [options]
+   * @returns {Promise<UCAN.Link<C, UCAN.Code, A>>}
+   */
+  link(options) {
+    return link(this, options)
   }
 }
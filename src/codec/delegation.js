@@ -0,0 +1,189 @@
+import * as UCAN from "../ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as DID from "../did.js"
+import * as Envelope from "../envelope.js"
+import * as Policy from "../policy.js"
+import {
+  readNullable,
+  readOptional,
+  readInt,
+  readBytes,
+  readStruct,
+  fail,
+} from "../schema.js"
+import { systemClock } from "../chain.js"
+
+export const name = "ucan/dlg"
+export const code = CBOR.code
+
+/** @type {UCAN.DelegationTag} */
+export const tag = "ucan/dlg@1.0.0-rc.1"
+
+/**
+ * Creates a new UCAN 1.0 delegation signed by the `options.issuer`. If
+ * expiration is not set it defaults to 30 seconds from now as reported by
+ * `options.clock`.
+ *
+ * @param {UCAN.DelegationIssueOptions} options
+ * @returns {Promise<UCAN.DelegationView>}
+ */
+export const issue = async ({
+  issuer,
+  audience,
+  subject,
+  command,
+  policy = [],
+  nonce = Envelope.createNonce(),
+  meta,
+  clock = systemClock,
+  lifetimeInSeconds = 30,
+  expiration = clock.now() + lifetimeInSeconds,
+  notBefore,
+}) => {
+  const payload = readPayload({
+    iss: issuer.did(),
+    aud: audience.did(),
+    sub: subject && subject.did(),
+    cmd: command,
+    pol: policy,
+    nonce,
+    meta,
+    nbf: notBefore,
+    exp: expiration,
+  })
+
+  return new DelegationView(await Envelope.issue(tag, issuer, payload))
+}
+
+/**
+ * Encodes delegation into a DAG-CBOR envelope.
+ *
+ * @param {UCAN.Delegation} delegation
+ * @returns {UCAN.ByteView<UCAN.Delegation>}
+ */
+export const encode = delegation => Envelope.encode(tag, delegation)
+
+/**
+ * Decodes delegation from a DAG-CBOR envelope. It does not verify the
+ * signature.
+ *
+ * @param {UCAN.ByteView<UCAN.Delegation>} bytes
+ * @param {{limits?: Partial<UCAN.Limits>}} options
+ * @returns {UCAN.DelegationView}
+ */
+export const decode = (bytes, { limits } = {}) =>
+  new DelegationView(Envelope.decode(tag, bytes, readPayload, limits))
+
+/**
+ * Creates a CID for the given delegation.
+ *
+ * @param {UCAN.Delegation} delegation
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ */
+export const link = (delegation, options) =>
+  Envelope.link(delegation, encode, options)
+
+/**
+ * Encodes delegation and returns a block with its bytes and CID.
+ *
+ * @param {UCAN.Delegation} delegation
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ * @returns {Promise<UCAN.IPLDBlock<UCAN.Delegation, typeof code> & {data: UCAN.Delegation}>}
+ */
+export const write = (delegation, options) =>
+  Envelope.write(delegation, encode, options)
+
+/**
+ * Verifies that delegation was signed by its issuer.
+ *
+ * @param {UCAN.Delegation} delegation
+ * @param {UCAN.Verifier} verifier
+ */
+export const verify = (delegation, verifier) =>
+  delegation.payload.iss === verifier.did() &&
+  Envelope.verify(tag, delegation, verifier)
+
+/**
+ * @param {unknown} input
+ * @returns {UCAN.DelegationPayload}
+ */
+const readPayload = input =>
+  readStruct(
+    input,
+    data => {
+      const payload = /** @type {Record<string, unknown>} */ (data)
+      const meta = readOptional(payload.meta, Envelope.readMeta, "meta")
+      const nbf = readOptional(payload.nbf, readInt, "nbf")
+      return {
+        iss: Envelope.readDID(payload.iss, "iss"),
+        aud: Envelope.readDID(payload.aud, "aud"),
+        sub: readNullable(
+          payload.sub === undefined
+            ? fail("sub is required", "sub")
+            : payload.sub,
+          Envelope.readDID,
+          "sub"
+        ),
+        cmd: Envelope.readCommand(payload.cmd, "cmd"),
+        pol: Policy.read(payload.pol, "pol"),
+        nonce: readBytes(payload.nonce, "nonce"),
+        ...(meta && { meta }),
+        ...(nbf !== undefined && { nbf }),
+        exp: readNullable(
+          payload.exp === Infinity ? null : payload.exp,
+          readInt,
+          "exp"
+        ),
+      }
+    },
+    "payload"
+  )
+
+/**
+ * @implements {UCAN.DelegationView}
+ */
+class DelegationView {
+  /**
+   * @param {UCAN.Delegation} model
+   */
+  constructor({ s, h, payload }) {
+    this.s = s
+    this.h = h
+    this.payload = payload
+  }
+  get issuer() {
+    return DID.parse(this.payload.iss)
+  }
+  get audience() {
+    return DID.parse(this.payload.aud)
+  }
+  get subject() {
+    const { sub } = this.payload
+    return sub === null ? null : DID.parse(sub)
+  }
+  get command() {
+    return this.payload.cmd
+  }
+  get policy() {
+    return this.payload.pol
+  }
+  get nonce() {
+    return this.payload.nonce
+  }
+  get meta() {
+    return this.payload.meta || {}
+  }
+  get expiration() {
+    const { exp } = this.payload
+    return exp === null ? Infinity : exp
+  }
+  get notBefore() {
+    return this.payload.nbf
+  }
+  get signature() {
+    return this.s
+  }
+  encode() {
+    return encode(this)
+  }
+}
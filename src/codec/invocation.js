@@ -0,0 +1,420 @@
+import * as UCAN from "../ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as DID from "../did.js"
+import * as Envelope from "../envelope.js"
+import * as Delegation from "./delegation.js"
+import * as Policy from "../policy.js"
+import {
+  readOptional,
+  readNullable,
+  readInt,
+  readBytes,
+  readStruct,
+  readArray,
+  readProof,
+} from "../schema.js"
+import { ValidationError } from "../error.js"
+import { systemClock, findVerifier, loadBlock } from "../chain.js"
+
+export const name = "ucan/inv"
+export const code = CBOR.code
+
+/** @type {UCAN.InvocationTag} */
+export const tag = "ucan/inv@1.0.0-rc.1"
+
+/**
+ * Creates a new UCAN 1.0 invocation signed by the `options.issuer`. If
+ * expiration is not set it defaults to 30 seconds from now as reported by
+ * `options.clock`.
+ *
+ * @param {UCAN.InvocationIssueOptions} options
+ * @returns {Promise<UCAN.InvocationView>}
+ */
+export const issue = async ({
+  issuer,
+  subject,
+  audience,
+  command,
+  arguments: args = {},
+  proofs = [],
+  nonce = Envelope.createNonce(),
+  meta,
+  issuedAt,
+  clock = systemClock,
+  lifetimeInSeconds = 30,
+  expiration = clock.now() + lifetimeInSeconds,
+  cause,
+}) => {
+  const payload = readPayload({
+    iss: issuer.did(),
+    sub: subject.did(),
+    aud: audience && audience.did(),
+    cmd: command,
+    args,
+    prf: proofs,
+    nonce,
+    meta,
+    iat: issuedAt,
+    exp: expiration,
+    cause,
+  })
+
+  return new InvocationView(await Envelope.issue(tag, issuer, payload))
+}
+
+/**
+ * Encodes invocation into a DAG-CBOR envelope.
+ *
+ * @param {UCAN.Invocation} invocation
+ * @returns {UCAN.ByteView<UCAN.Invocation>}
+ */
+export const encode = invocation => Envelope.encode(tag, invocation)
+
+/**
+ * Decodes invocation from a DAG-CBOR envelope. It does not verify the
+ * signature.
+ *
+ * @param {UCAN.ByteView<UCAN.Invocation>} bytes
+ * @param {{limits?: Partial<UCAN.Limits>}} options
+ * @returns {UCAN.InvocationView}
+ */
+export const decode = (bytes, { limits } = {}) =>
+  new InvocationView(Envelope.decode(tag, bytes, readPayload, limits))
+
+/**
+ * Creates a CID for the given invocation.
+ *
+ * @param {UCAN.Invocation} invocation
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ */
+export const link = (invocation, options) =>
+  Envelope.link(invocation, encode, options)
+
+/**
+ * Encodes invocation and returns a block with its bytes and CID.
+ *
+ * @param {UCAN.Invocation} invocation
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ * @returns {Promise<UCAN.IPLDBlock<UCAN.Invocation, typeof code> & {data: UCAN.Invocation}>}
+ */
+export const write = (invocation, options) =>
+  Envelope.write(invocation, encode, options)
+
+/**
+ * Verifies that invocation was signed by its issuer.
+ *
+ * @param {UCAN.Invocation} invocation
+ * @param {UCAN.Verifier} verifier
+ */
+export const verify = (invocation, verifier) =>
+  invocation.payload.iss === verifier.did() &&
+  Envelope.verify(tag, invocation, verifier)
+
+/**
+ * Checks that the invocation is authorized by the delegations in its `prf`.
+ * Delegations are loaded through `options.resolve` and must form a chain
+ * starting with the one issued by the subject and ending with the one
+ * delegated to the invocation issuer. Every delegation must be about the
+ * invocation subject (or any subject), cover invoked command, have a policy
+ * that holds for the invocation arguments and be valid at the current time.
+ * Signatures are verified the same way as by `UCAN.validate`.
+ *
+ * Invocation without proofs is authorized only if issued by the subject.
+ *
+ * @param {UCAN.InvocationView} invocation
+ * @param {UCAN.AuthorizationOptions} options
+ * @returns {Promise<UCAN.Result<UCAN.Authorization, UCAN.InvalidChain>>}
+ */
+export const authorize = async (invocation, options) => {
+  const time = options.now ?? (options.clock || systemClock).now()
+  const tolerance = options.tolerance || 0
+  const cid = await link(invocation)
+  const path = [toLink(cid)]
+  const { subject, command } = invocation
+
+  const error =
+    checkTime(invocation, path, time, tolerance) ||
+    (await checkSignature(invocation, path, options))
+  if (error) {
+    return error
+  }
+
+  /** @type {UCAN.DelegationView[]} */
+  const delegations = []
+  let principal = subject.did()
+  for (const proof of invocation.proofs) {
+    const route = [...path, toLink(proof)]
+    let bytes
+    try {
+      bytes = await loadBlock(toLink(proof), options.resolve)
+    } catch (cause) {
+      return ValidationError.fail(
+        "unresolved-proof",
+        `Proof ${proof} of invocation ${cid} could not be loaded`,
+        route,
+        cause
+      )
+    }
+
+    /** @type {UCAN.DelegationView} */
+    let delegation
+    try {
+      delegation = Delegation.decode(/** @type {Uint8Array} */ (bytes))
+    } catch (cause) {
+      return ValidationError.fail(
+        "invalid-proof",
+        `Proof ${proof} of invocation ${cid} is not a valid delegation`,
+        route,
+        cause
+      )
+    }
+
+    const { issuer, audience } = delegation
+    if (issuer.did() !== principal) {
+      return delegations.length === 0
+        ? ValidationError.fail(
+            "subject-mismatch",
+            `Proof ${proof} is issued by ${issuer.did()} instead of the subject ${principal}`,
+            route
+          )
+        : ValidationError.fail(
+            "audience-mismatch",
+            `Proof ${proof} is issued by ${issuer.did()} while previous proof is delegated to ${principal}`,
+            route
+          )
+    }
+
+    if (delegation.subject && delegation.subject.did() !== subject.did()) {
+      return ValidationError.fail(
+        "subject-mismatch",
+        `Proof ${proof} delegates ${delegation.subject.did()} instead of ${subject.did()}`,
+        route
+      )
+    }
+
+    if (!matchCommand(command, delegation.command)) {
+      return ValidationError.fail(
+        "command-mismatch",
+        `Proof ${proof} delegates ${delegation.command} which does not cover ${command}`,
+        route
+      )
+    }
+
+    const policy = Policy.evaluate(delegation.policy, invocation.arguments)
+    if (policy.error) {
+      return ValidationError.fail(
+        "policy-violation",
+        `Arguments of invocation ${cid} violate policy of ${proof} at ${policy.error.path}`,
+        route,
+        policy.error
+      )
+    }
+
+    const error =
+      checkTime(delegation, route, time, tolerance) ||
+      (await checkSignature(delegation, route, options))
+    if (error) {
+      return error
+    }
+
+    delegations.push(delegation)
+    principal = audience.did()
+  }
+
+  if (principal !== invocation.issuer.did()) {
+    return delegations.length === 0
+      ? ValidationError.fail(
+          "subject-mismatch",
+          `Invocation ${cid} is issued by ${invocation.issuer.did()} which is not the subject ${principal} and has no proofs`,
+          path
+        )
+      : ValidationError.fail(
+          "audience-mismatch",
+          `Invocation ${cid} is issued by ${invocation.issuer.did()} while last proof is delegated to ${principal}`,
+          path
+        )
+  }
+
+  return { ok: { invocation, delegations } }
+}
+
+/**
+ * Checks whether `claimed` command is covered by the `delegated` one, which is
+ * the case when they are equal or `delegated` is a parent path of `claimed`.
+ * Command `/` covers every command.
+ *
+ * @param {UCAN.Command} claimed
+ * @param {UCAN.Command} delegated
+ */
+export const matchCommand = (claimed, delegated) =>
+  delegated === "/" ||
+  claimed === delegated ||
+  claimed.startsWith(`${delegated}/`)
+
+/**
+ * @param {UCAN.InvocationView|UCAN.DelegationView} token
+ * @param {UCAN.Link[]} path
+ * @param {number} time
+ * @param {number} tolerance
+ */
+const checkTime = (token, path, time, tolerance) => {
+  const [cid] = path.slice(-1)
+  const { expiration } = token
+  const notBefore = "notBefore" in token ? token.notBefore : undefined
+  if (expiration + tolerance <= time) {
+    return ValidationError.fail(
+      "expired",
+      `UCAN ${cid} has expired at ${expiration}`,
+      path
+    )
+  } else if (notBefore != null && time + tolerance <= notBefore) {
+    return ValidationError.fail(
+      "too-early",
+      `UCAN ${cid} is not valid before ${notBefore}`,
+      path
+    )
+  } else {
+    return null
+  }
+}
+
+/**
+ * @param {UCAN.InvocationView|UCAN.DelegationView} token
+ * @param {UCAN.Link[]} path
+ * @param {UCAN.AuthorizationOptions} options
+ */
+const checkSignature = async (token, path, options) => {
+  const [cid] = path.slice(-1)
+  const issuer = token.issuer.did()
+  const verifier = await findVerifier(token.issuer, token.signature, options)
+  if (verifier.error) {
+    return ValidationError.fail(
+      "unknown-issuer",
+      `UCAN ${cid} is issued by ${issuer} which has no verifier`,
+      path,
+      verifier.error
+    )
+  }
+
+  try {
+    const valid =
+      "arguments" in token
+        ? await verify(token, verifier.ok)
+        : await Delegation.verify(token, verifier.ok)
+    if (!valid) {
+      throw new Error(`Signature does not match the payload`)
+    }
+    return null
+  } catch (cause) {
+    return ValidationError.fail(
+      "invalid-signature",
+      `UCAN ${cid} has invalid signature from ${issuer}`,
+      path,
+      cause
+    )
+  }
+}
+
+/**
+ * @param {unknown} input
+ * @returns {UCAN.InvocationPayload}
+ */
+const readPayload = input =>
+  readStruct(
+    input,
+    data => {
+      const payload = /** @type {Record<string, unknown>} */ (data)
+      const aud = readOptional(payload.aud, Envelope.readDID, "aud")
+      const meta = readOptional(payload.meta, Envelope.readMeta, "meta")
+      const iat = readOptional(payload.iat, readInt, "iat")
+      const cause = readOptional(payload.cause, readProof, "cause")
+      return {
+        iss: Envelope.readDID(payload.iss, "iss"),
+        sub: Envelope.readDID(payload.sub, "sub"),
+        ...(aud && { aud }),
+        cmd: Envelope.readCommand(payload.cmd, "cmd"),
+        args: Envelope.readMeta(payload.args, "args"),
+        prf: readArray(payload.prf, readDelegationLink, "prf"),
+        nonce: readBytes(payload.nonce, "nonce"),
+        ...(meta && { meta }),
+        ...(iat !== undefined && { iat }),
+        exp: readNullable(
+          payload.exp === Infinity ? null : payload.exp,
+          readInt,
+          "exp"
+        ),
+        ...(cause && { cause }),
+      }
+    },
+    "payload"
+  )
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.IPLDLink<UCAN.Delegation>}
+ */
+const readDelegationLink = (input, context) =>
+  /** @type {UCAN.IPLDLink} */ (readProof(input, context))
+
+/**
+ * Validation errors describe path with UCAN links, here it is used for links
+ * to delegations and invocations.
+ *
+ * @param {UCAN.IPLDLink} link
+ */
+const toLink = link => /** @type {UCAN.Link} */ (link)
+
+/**
+ * @implements {UCAN.InvocationView}
+ */
+class InvocationView {
+  /**
+   * @param {UCAN.Invocation} model
+   */
+  constructor({ s, h, payload }) {
+    this.s = s
+    this.h = h
+    this.payload = payload
+  }
+  get issuer() {
+    return DID.parse(this.payload.iss)
+  }
+  get subject() {
+    return DID.parse(this.payload.sub)
+  }
+  get audience() {
+    return DID.parse(this.payload.aud || this.payload.sub)
+  }
+  get command() {
+    return this.payload.cmd
+  }
+  get arguments() {
+    return this.payload.args
+  }
+  get proofs() {
+    return this.payload.prf
+  }
+  get nonce() {
+    return this.payload.nonce
+  }
+  get meta() {
+    return this.payload.meta || {}
+  }
+  get issuedAt() {
+    return this.payload.iat
+  }
+  get expiration() {
+    const { exp } = this.payload
+    return exp === null ? Infinity : exp
+  }
+  get cause() {
+    return this.payload.cause
+  }
+  get signature() {
+    return this.s
+  }
+  encode() {
+    return encode(this)
+  }
+}
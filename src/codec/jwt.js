@@ -2,7 +2,8 @@ import * as UCAN from "../ucan.js"
 import * as UTF8 from "../utf8.js"
 import { parse } from "../parser.js"
 import { code } from "multiformats/codecs/raw"
-import { View } from "../view.js"
+import { View, cache, link } from "../view.js"
+import * as Limits from "../limits.js"
 
 export { code }
 export const name = "dag-ucan"
@@ -28,12 +29,17 @@ export const from = model => new JWTView(model)
 /**
  * @template {UCAN.Capabilities} C
  * @param {UCAN.ByteView<UCAN.FromJWT<C>>} bytes
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.View<C>}
  */
-export const decode = bytes => {
+export const decode = (bytes, options = {}) => {
+  Limits.check("maxBytes", bytes.byteLength, options.limits)
   const jwt = /** @type {UCAN.JWT<C>} */ (UTF8.decode(bytes))
+  const view = new JWTView({ ...parse(jwt, options), jwt })
+  // copy so that CID of the view does not change if caller reuses the buffer
+  cache(view).bytes = bytes.slice()
 
-  return new JWTView({ ...parse(jwt), jwt })
+  return view
 }
 
 /**
@@ -66,10 +72,30 @@ class JWTView extends View {
   get code() {
     return code
   }
+  /**
+   * UTF-8 encoded JWT, which is either a copy of the bytes view was decoded
+   * from or the JWT encoded on first access. Returns a fresh copy on every
+   * access, so that callers can not alter bytes the CID is derived from.
+   *
+   * @returns {UCAN.ByteView<UCAN.UCAN<C>>}
+   */
+  get bytes() {
+    const memo = cache(this)
+    memo.bytes = memo.bytes || encode(this.model)
+    return /** @type {UCAN.ByteView<UCAN.UCAN<C>>} */ (memo.bytes.slice())
+  }
   format() {
     return format(this.model)
   }
   encode() {
-    return encode(this.model)
+    return this.bytes
+  }
+  /**
+   * @template {number} [A=typeof import("multiformats/hashes/sha2").sha256.code]
+   * @param {{hasher?: UCAN.MultihashHasher<A>}} [options]
+   * @returns {Promise<UCAN.Link<C, UCAN.Code, A>>}
+   */
+  link(options) {
+    return link(this, options)
   }
 }
@@ -0,0 +1,231 @@
+import * as UCAN from "../ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as DID from "../did.js"
+import * as Envelope from "../envelope.js"
+import * as Invocation from "./invocation.js"
+import {
+  readOptional,
+  readInt,
+  readStruct,
+  readArray,
+  readProof,
+  fail,
+} from "../schema.js"
+
+export const name = "ucan/rct"
+export const code = CBOR.code
+
+/** @type {UCAN.ReceiptTag} */
+export const tag = "ucan/rct@1.0.0-rc.1"
+
+/**
+ * Creates a receipt for the executed invocation signed by the executor
+ * `options.issuer`. If `options.ran` is an invocation rather than a link it is
+ * linked with the default hasher.
+ *
+ * @template {{}} T
+ * @template {{}} X
+ * @param {UCAN.ReceiptIssueOptions<T, X>} options
+ * @returns {Promise<UCAN.ReceiptView<T, X>>}
+ */
+export const issue = async ({
+  issuer,
+  ran,
+  out,
+  fx: { fork = [], join } = {},
+  meta,
+  issuedAt,
+}) => {
+  const payload = /** @type {UCAN.ReceiptPayload<T, X>} */ (
+    readPayload({
+      iss: issuer.did(),
+      ran: "payload" in ran ? await Invocation.link(ran) : ran,
+      out,
+      fx: { fork, ...(join && { join }) },
+      meta,
+      iat: issuedAt,
+    })
+  )
+
+  return new ReceiptView(await Envelope.issue(tag, issuer, payload))
+}
+
+/**
+ * Encodes receipt into a DAG-CBOR envelope.
+ *
+ * @template {{}} T
+ * @template {{}} X
+ * @param {UCAN.Receipt<T, X>} receipt
+ * @returns {UCAN.ByteView<UCAN.Receipt<T, X>>}
+ */
+export const encode = receipt => Envelope.encode(tag, receipt)
+
+/**
+ * Decodes receipt from a DAG-CBOR envelope. It does not verify the signature.
+ *
+ * @template {{}} T
+ * @template {{}} X
+ * @param {UCAN.ByteView<UCAN.Receipt<T, X>>} bytes
+ * @param {{limits?: Partial<UCAN.Limits>}} options
+ * @returns {UCAN.ReceiptView<T, X>}
+ */
+export const decode = (bytes, { limits } = {}) =>
+  new ReceiptView(
+    /** @type {UCAN.Receipt<T, X>} */ (
+      Envelope.decode(tag, bytes, readPayload, limits)
+    )
+  )
+
+/**
+ * Creates a CID for the given receipt.
+ *
+ * @param {UCAN.Receipt} receipt
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ */
+export const link = (receipt, options) =>
+  Envelope.link(receipt, encode, options)
+
+/**
+ * Encodes receipt and returns a block with its bytes and CID.
+ *
+ * @template {{}} T
+ * @template {{}} X
+ * @param {UCAN.Receipt<T, X>} receipt
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ * @returns {Promise<UCAN.IPLDBlock<UCAN.Receipt<T, X>, typeof code> & {data: UCAN.Receipt<T, X>}>}
+ */
+export const write = (receipt, options) =>
+  Envelope.write(receipt, encode, options)
+
+/**
+ * Verifies that receipt was signed by its issuer.
+ *
+ * @param {UCAN.Receipt} receipt
+ * @param {UCAN.Verifier} verifier
+ */
+export const verify = (receipt, verifier) =>
+  receipt.payload.iss === verifier.did() &&
+  Envelope.verify(tag, receipt, verifier)
+
+/**
+ * @param {unknown} input
+ * @returns {UCAN.ReceiptPayload}
+ */
+const readPayload = input =>
+  readStruct(
+    input,
+    data => {
+      const payload = /** @type {Record<string, unknown>} */ (data)
+      const meta = readOptional(payload.meta, Envelope.readMeta, "meta")
+      const iat = readOptional(payload.iat, readInt, "iat")
+      return {
+        iss: Envelope.readDID(payload.iss, "iss"),
+        ran: readInvocationLink(payload.ran, "ran"),
+        out: readOutcome(payload.out, "out"),
+        fx: readEffects(payload.fx, "fx"),
+        ...(meta && { meta }),
+        ...(iat !== undefined && { iat }),
+      }
+    },
+    "payload"
+  )
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.Outcome}
+ */
+const readOutcome = (input, context) =>
+  readStruct(
+    input,
+    data => {
+      const keys = Object.keys(data)
+      const [key] = keys
+      const value = /** @type {Record<string, {}>} */ (data)[key]
+      return keys.length === 1 && value != null
+        ? key === "ok"
+          ? { ok: value }
+          : key === "error"
+            ? { error: value }
+            : fail(
+                `Expected ${context} to have "ok" or "error" key, instead got "${key}"`,
+                `${context}.${key}`
+              )
+        : fail(
+            `Expected ${context} to have either "ok" or "error" value`,
+            context
+          )
+    },
+    context
+  )
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.Effects}
+ */
+const readEffects = (input, context) =>
+  readStruct(
+    input,
+    data => {
+      const effects = /** @type {Record<string, unknown>} */ (data)
+      const join = readOptional(
+        effects.join,
+        readInvocationLink,
+        `${context}.join`
+      )
+      return {
+        fork: readArray(effects.fork, readInvocationLink, `${context}.fork`),
+        ...(join && { join }),
+      }
+    },
+    context
+  )
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.IPLDLink<UCAN.Invocation>}
+ */
+const readInvocationLink = (input, context) =>
+  /** @type {UCAN.IPLDLink} */ (readProof(input, context))
+
+/**
+ * @template {{}} T
+ * @template {{}} X
+ * @implements {UCAN.ReceiptView<T, X>}
+ */
+class ReceiptView {
+  /**
+   * @param {UCAN.Receipt<T, X>} model
+   */
+  constructor({ s, h, payload }) {
+    this.s = s
+    this.h = h
+    this.payload = payload
+  }
+  get issuer() {
+    return DID.parse(this.payload.iss)
+  }
+  get ran() {
+    return this.payload.ran
+  }
+  get out() {
+    return this.payload.out
+  }
+  get fx() {
+    return this.payload.fx
+  }
+  get meta() {
+    return this.payload.meta || {}
+  }
+  get issuedAt() {
+    return this.payload.iat
+  }
+  get signature() {
+    return this.s
+  }
+  encode() {
+    return encode(this)
+  }
+}
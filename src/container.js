@@ -0,0 +1,242 @@
+import * as UCAN from "./ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { base64pad, base64url } from "multiformats/bases/base64"
+import * as UTF8 from "./utf8.js"
+import * as Limits from "./limits.js"
+import { readArray, readBytes, readStruct, fail } from "./schema.js"
+import { encode as encodeUCAN, decode as decodeUCAN, link } from "./lib.js"
+
+/** @type {UCAN.ContainerTag} */
+export const tag = "ctn-v1"
+
+/**
+ * Header byte of the serialized container for every supported variant.
+ *
+ * @type {Record<UCAN.ContainerFormat, {plain: number, gzip: number}>}
+ */
+const headers = {
+  raw: { plain: 0x40, gzip: 0x41 },
+  base64: { plain: 0x42, gzip: 0x43 },
+  base64url: { plain: 0x44, gzip: 0x45 },
+}
+
+/**
+ * Creates container holding the encoded UCANs. Tokens are sorted by their
+ * bytes and duplicates are removed so that same set of UCANs always produces
+ * the same container.
+ *
+ * @param {UCAN.View[]} ucans
+ * @returns {UCAN.Container}
+ */
+export const create = ucans => {
+  /** @type {Map<string, UCAN.ByteView<UCAN.UCAN>>} */
+  const tokens = new Map()
+  for (const ucan of ucans) {
+    const bytes = encodeUCAN(ucan.model)
+    tokens.set(base64pad.baseEncode(bytes), bytes)
+  }
+  return { [tag]: [...tokens.values()].sort(compare) }
+}
+
+/**
+ * Serializes UCANs into a container with a header byte identifying the
+ * variant, followed by the DAG-CBOR encoded container, which may be gzipped
+ * and then base64 or base64url encoded. Base64 variants are ASCII bytes.
+ *
+ * @param {UCAN.View[]} ucans
+ * @param {UCAN.ContainerOptions} options
+ * @returns {Promise<Uint8Array>}
+ */
+export const encode = async (ucans, { format = "raw", gzip = false } = {}) => {
+  const header = headers[format]
+  if (!header) {
+    throw new RangeError(`Unsupported container format "${format}"`)
+  }
+
+  const cbor = CBOR.encode(create(ucans))
+  const data = gzip ? await compress(cbor) : cbor
+  const body =
+    format === "raw"
+      ? data
+      : UTF8.encode(
+          format === "base64"
+            ? base64pad.baseEncode(data)
+            : base64url.baseEncode(data)
+        )
+
+  const bytes = new Uint8Array(body.byteLength + 1)
+  bytes[0] = gzip ? header.gzip : header.plain
+  bytes.set(body, 1)
+  return bytes
+}
+
+/**
+ * Serializes UCANs into a container string suitable for HTTP headers and query
+ * parameters. Format defaults to `base64url`.
+ *
+ * @param {UCAN.View[]} ucans
+ * @param {UCAN.ContainerOptions} options
+ * @returns {Promise<string>}
+ */
+export const format = async (
+  ucans,
+  { format = "base64url", gzip = false } = {}
+) => {
+  if (format === "raw") {
+    throw new RangeError(`Container in "raw" format can not be a string`)
+  }
+  return UTF8.decode(await encode(ucans, { format, gzip }))
+}
+
+/**
+ * Decodes serialized container in any of the supported variants and returns
+ * contained UCANs keyed by their CIDs. Throws `LimitError` if DAG-CBOR encoded
+ * container (once decompressed) exceeds `maxBytes`, which defaults to the
+ * recommended one even if no `limits` are given. Every token is decoded with
+ * the given parse options.
+ *
+ * @param {Uint8Array} bytes
+ * @param {UCAN.ParseOptions} [options]
+ * @returns {Promise<Map<string, UCAN.View>>}
+ */
+export const decode = async (bytes, options = {}) => {
+  const [header] = bytes
+  const variant = Object.entries(headers).find(
+    ([, { plain, gzip }]) => header === plain || header === gzip
+  )
+  if (!variant) {
+    throw new RangeError(
+      `Unsupported container header 0x${(header || 0).toString(16)}`
+    )
+  }
+
+  const [encoding, { gzip }] = variant
+  const body = bytes.subarray(1)
+  const data =
+    encoding === "raw"
+      ? body
+      : encoding === "base64"
+        ? base64pad.baseDecode(UTF8.decode(body))
+        : base64url.baseDecode(UTF8.decode(body))
+  // container is always bounded, as it is decompressed before tokens are read
+  const limits = options.limits || Limits.defaults
+  if (header !== gzip) {
+    Limits.check("maxBytes", data.byteLength, limits, "", "Container size")
+  }
+  const cbor = header === gzip ? await decompress(data, limits) : data
+
+  /** @type {Map<string, UCAN.View>} */
+  const ucans = new Map()
+  for (const token of read(CBOR.decode(cbor))) {
+    const ucan = decodeUCAN(token, options)
+    ucans.set((await link(ucan)).toString(), ucan)
+  }
+  return ucans
+}
+
+/**
+ * Parses container string produced by {@link format}.
+ *
+ * @param {string} source
+ * @param {UCAN.ParseOptions} [options]
+ */
+export const parse = (source, options) => decode(UTF8.encode(source), options)
+
+/**
+ * @param {unknown} input
+ * @returns {UCAN.ByteView<UCAN.UCAN>[]}
+ */
+const read = input =>
+  readStruct(
+    input,
+    data => {
+      const container = /** @type {Record<string, unknown>} */ (data)
+      const [key, ...keys] = Object.keys(container)
+      if (key !== tag || keys.length > 0) {
+        fail(`Expected container to have a single "${tag}" key`)
+      }
+      return readArray(
+        container[tag],
+        (token, context) =>
+          /** @type {UCAN.ByteView<UCAN.UCAN>} */ (readBytes(token, context)),
+        tag
+      )
+    },
+    "container"
+  )
+
+/**
+ * @param {Uint8Array} left
+ * @param {Uint8Array} right
+ */
+const compare = (left, right) => {
+  const size = Math.min(left.byteLength, right.byteLength)
+  for (let offset = 0; offset < size; offset++) {
+    if (left[offset] !== right[offset]) {
+      return left[offset] - right[offset]
+    }
+  }
+  return left.byteLength - right.byteLength
+}
+
+/**
+ * `CompressionStream` is available in browsers and node, but not yet in the
+ * TypeScript DOM library.
+ *
+ * @typedef {new (format: "gzip") => TransformStream<Uint8Array, Uint8Array>} StreamConstructor
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ */
+const compress = bytes =>
+  transform(
+    bytes,
+    /** @type {{CompressionStream: StreamConstructor}} */ (
+      /** @type {unknown} */ (globalThis)
+    ).CompressionStream
+  )
+
+/**
+ * Decompresses bytes and throws `LimitError` as soon as the output exceeds
+ * `maxBytes`, so that small gzip bombs can not exhaust the memory.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Partial<UCAN.Limits>} [limits]
+ */
+const decompress = (bytes, limits) =>
+  transform(
+    bytes,
+    /** @type {{DecompressionStream: StreamConstructor}} */ (
+      /** @type {unknown} */ (globalThis)
+    ).DecompressionStream,
+    size =>
+      Limits.check("maxBytes", size, limits, "", "Decompressed container size")
+  )
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {StreamConstructor} Stream
+ * @param {(size: number) => unknown} [check] - Called with the size of the
+ * output read so far, may throw to abort the transform.
+ */
+const transform = async (bytes, Stream, check = () => {}) => {
+  const reader = new Blob([bytes])
+    .stream()
+    .pipeThrough(new Stream("gzip"))
+    .getReader()
+
+  const chunks = []
+  let size = 0
+  for (let read = await reader.read(); !read.done; read = await reader.read()) {
+    size += read.value.byteLength
+    try {
+      check(size)
+    } catch (error) {
+      await reader.cancel()
+      throw error
+    }
+    chunks.push(read.value)
+  }
+  return new Uint8Array(await new Blob(chunks).arrayBuffer())
+}
@@ -2,6 +2,7 @@ import * as UCAN from "./ucan.js"
 import { base58btc } from "multiformats/bases/base58"
 import { varint } from "multiformats"
 import * as UTF8 from "./utf8.js"
+import { DIDError } from "./error.js"
 
 const DID_PREFIX = "did:"
 const DID_PREFIX_SIZE = DID_PREFIX.length
@@ -32,10 +33,12 @@ const METHOD_OFFSET = varint.encodingLength(DID_CORE)
  */
 export const parse = did => {
   if (!did.startsWith(DID_PREFIX)) {
-    throw new RangeError(`Invalid DID "${did}", must start with 'did:'`)
+    DIDError.throw(
+      "INVALID_DID",
+      `Invalid DID "${did}", must start with 'did:'`
+    )
   } else if (did.startsWith(DID_KEY_PREFIX)) {
-    const key = base58btc.decode(did.slice(DID_KEY_PREFIX_SIZE))
-    return decode(key)
+    return decode(decodeKey(did))
   } else {
     const suffix = UTF8.encode(did.slice(DID_PREFIX_SIZE))
     const bytes = new Uint8Array(suffix.byteLength + METHOD_OFFSET)
@@ -45,6 +48,17 @@ export const parse = did => {
   }
 }
 
+/**
+ * @param {string} did
+ */
+const decodeKey = did => {
+  try {
+    return base58btc.decode(did.slice(DID_KEY_PREFIX_SIZE))
+  } catch (cause) {
+    return DIDError.throw("INVALID_DID", `Invalid did:key "${did}"`, { cause })
+  }
+}
+
 /**
  * @template {UCAN.DID} ID
  * @param {UCAN.Principal<ID>} id
@@ -80,7 +94,7 @@ export const decode = bytes => {
   switch (code) {
     case P256:
       if (bytes.length > 35) {
-        throw new RangeError(`Only p256-pub compressed is supported.`)
+        DIDError.throw("INVALID_DID", `Only p256-pub compressed is supported.`)
       }
     case ED25519:
     case RSA:
@@ -95,7 +109,8 @@ export const decode = bytes => {
     case DID_CORE:
       return new DID(buffer, byteOffset, byteLength)
     default:
-      throw new RangeError(
+      return DIDError.throw(
+        "INVALID_DID",
         `Unsupported DID encoding, unknown multicode 0x${code.toString(16)}.`
       )
   }
@@ -0,0 +1,199 @@
+import * as UCAN from "./ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { sha256 } from "multiformats/hashes/sha2"
+import { create as createLink } from "multiformats/link"
+import * as Varsig from "./varsig.js"
+import * as Limits from "./limits.js"
+import {
+  readBytes,
+  readStruct,
+  readString,
+  readStringPrincipal,
+  fail,
+} from "./schema.js"
+
+/**
+ * Encodes payload signed by the issuer of the envelope in the payload encoding
+ * of its varsig header.
+ *
+ * @template {string} Tag
+ * @template T
+ * @param {Tag} tag
+ * @param {Uint8Array} header
+ * @param {T} payload
+ * @returns {UCAN.ByteView<UCAN.SigPayload<Tag, T>>}
+ */
+export const encodeSigPayload = (tag, header, payload) =>
+  /** @type {UCAN.ByteView<UCAN.SigPayload<Tag, T>>} */ (
+    Varsig.encodePayload(Varsig.decode(header), { h: header, [tag]: payload })
+  )
+
+/**
+ * Signs the payload with the given `issuer` and returns the envelope.
+ *
+ * @template {string} Tag
+ * @template T
+ * @param {Tag} tag
+ * @param {UCAN.Signer} issuer
+ * @param {T} payload
+ * @returns {Promise<UCAN.Envelope<Tag, T>>}
+ */
+export const issue = async (tag, issuer, payload) => {
+  const h = Varsig.encode(Varsig.create(issuer.signatureCode, Varsig.DAG_CBOR))
+  const s = await issuer.sign(encodeSigPayload(tag, h, payload))
+  return { s, h, payload }
+}
+
+/**
+ * Verifies that the envelope was signed by the given verifier.
+ *
+ * @template {string} Tag
+ * @template T
+ * @param {Tag} tag
+ * @param {UCAN.Envelope<Tag, T>} envelope
+ * @param {UCAN.Crypto.Verifier} verifier
+ */
+export const verify = (tag, { s, h, payload }, verifier) =>
+  verifier.verify(encodeSigPayload(tag, h, payload), s)
+
+/**
+ * Encodes envelope into `[signature, { h, [tag]: payload }]` DAG-CBOR.
+ *
+ * @template {string} Tag
+ * @template T
+ * @param {Tag} tag
+ * @param {UCAN.Envelope<Tag, T>} envelope
+ * @returns {UCAN.ByteView<UCAN.Envelope<Tag, T>>}
+ */
+export const encode = (tag, { s, h, payload }) =>
+  CBOR.encode(/** @type {any} */ ([s.raw, { h, [tag]: payload }]))
+
+/**
+ * Decodes `[signature, { h, [tag]: payload }]` DAG-CBOR envelope and reads
+ * its payload with the given `read` function. It does not verify the
+ * signature. Throws `LimitError` if envelope exceeds `maxBytes`, `maxDepth` or
+ * `maxSignatureSize` limits.
+ *
+ * @template {string} Tag
+ * @template T
+ * @param {Tag} tag
+ * @param {UCAN.ByteView<UCAN.Envelope<Tag, T>>} bytes
+ * @param {(payload:unknown) => T} read
+ * @param {Partial<UCAN.Limits>} [limits]
+ * @returns {UCAN.Envelope<Tag, T>}
+ */
+export const decode = (tag, bytes, read, limits) => {
+  Limits.check("maxBytes", bytes.byteLength, limits)
+  const data = CBOR.decode(bytes)
+  Limits.checkDepth(data, limits)
+  if (!Array.isArray(data) || data.length !== 2) {
+    fail(`Expected envelope to be an array of signature and payload`)
+  }
+  const [signature, body] = data
+  const raw = readBytes(signature, "0")
+  Limits.check("maxSignatureSize", raw.byteLength, limits, "0")
+  const { h, ...rest } = readStruct(body, Object, "1")
+  const header = readBytes(h, "1.h")
+  const varsig = Varsig.read(header, "1.h")
+  if (
+    varsig.encoding !== Varsig.DAG_CBOR &&
+    varsig.encoding !== Varsig.DAG_JSON
+  ) {
+    fail(
+      `Unsupported varsig header 1.h, envelope payload can not be signed as 0x${varsig.encoding.toString(16)}`,
+      "1.h",
+      "INVALID_SIGNATURE"
+    )
+  }
+  const [key, ...keys] = Object.keys(rest)
+  if (key !== tag || keys.length > 0) {
+    fail(`Expected envelope to contain "${tag}" payload`, "1")
+  }
+
+  return {
+    s: Varsig.toSignature(varsig, raw),
+    h: header,
+    payload: read(rest[tag]),
+  }
+}
+
+/**
+ * Encodes envelope with the given `encode` function and returns a DAG-CBOR
+ * block with its bytes and CID.
+ *
+ * @template T
+ * @param {T} envelope
+ * @param {(envelope: T) => UCAN.ByteView<T>} encode
+ * @param {{hasher?: UCAN.MultihashHasher}} options
+ * @returns {Promise<UCAN.IPLDBlock<T, typeof CBOR.code> & {data: T}>}
+ */
+export const write = async (
+  envelope,
+  encode,
+  { hasher = /** @type {UCAN.MultihashHasher} */ (sha256) } = {}
+) => {
+  const bytes = encode(envelope)
+  const digest = await hasher.digest(bytes)
+  return { bytes, cid: createLink(CBOR.code, digest), data: envelope }
+}
+
+/**
+ * Creates a CID for the envelope encoded with the given `encode` function.
+ *
+ * @template T
+ * @param {T} envelope
+ * @param {(envelope: T) => UCAN.ByteView<T>} encode
+ * @param {{hasher?: UCAN.MultihashHasher}} [options]
+ */
+export const link = async (envelope, encode, options) => {
+  const { cid } = await write(envelope, encode, options)
+  return cid
+}
+
+/**
+ * Returns random nonce of the given size.
+ *
+ * @param {number} [size]
+ */
+export const createNonce = (size = 12) =>
+  crypto.getRandomValues(new Uint8Array(size))
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.DID}
+ */
+export const readDID = (input, context) =>
+  readStringPrincipal(input, context).did()
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {Record<string, unknown>}
+ */
+export const readMeta = (input, context) =>
+  readStruct(
+    input,
+    meta => /** @type {Record<string, unknown>} */ (meta),
+    context
+  )
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.Command}
+ */
+export const readCommand = (input, context) => {
+  const command = readString(input, context)
+  return command === "/" ||
+    (command.startsWith("/") &&
+      !command.endsWith("/") &&
+      command === command.toLowerCase())
+    ? /** @type {UCAN.Command} */ (command)
+    : fail(
+        `Invalid command '${context}: ${JSON.stringify(
+          command
+        )}', must be a lowercase "/" delimited path`,
+        context
+      )
+}
@@ -0,0 +1,214 @@
+import * as UCAN from "./ucan.js"
+
+/**
+ * Base class for errors raised when UCAN or its parts are malformed. Every
+ * error has a stable `code` describing the kind of failure, `path` in the
+ * JSON pointer format pointing to the offending field (e.g. `/att/2/with`)
+ * and an optional `cause`.
+ *
+ * @implements {UCAN.UCANError}
+ */
+export class UCANError extends Error {
+  /**
+   * @param {UCAN.ErrorCode} code
+   * @param {string} message
+   * @param {UCAN.ErrorOptions} [options]
+   */
+  constructor(code, message, options = {}) {
+    // @ts-expect-error - types don't know about second arg
+    super(message, { cause: options.cause })
+    this.code = code
+    this.path = options.path || ""
+    /** @type {unknown} */
+    this.cause = options.cause
+  }
+  get name() {
+    return "UCANError"
+  }
+
+  /**
+   * @param {UCAN.ErrorCode} code
+   * @param {string} message
+   * @param {UCAN.ErrorOptions} [options]
+   * @returns {never}
+   */
+  static throw(code, message, options) {
+    throw new this(code, message, options)
+  }
+
+  /**
+   * {@link DIDError} and {@link SignatureError} extend `RangeError` and
+   * `TypeError` that earlier versions threw, yet they are `UCANError`s too.
+   *
+   * @param {unknown} value
+   */
+  static [Symbol.hasInstance](value) {
+    return (
+      Function.prototype[Symbol.hasInstance].call(this, value) ||
+      (this === UCANError &&
+        (value instanceof DIDError || value instanceof SignatureError))
+    )
+  }
+}
+
+/**
+ * Raised when UCAN payload or header does not match the schema.
+ */
+export class ParseError extends UCANError {
+  get name() {
+    return "ParseError"
+  }
+}
+
+/**
+ * Raised when DID can not be parsed or decoded.
+ *
+ * @implements {UCAN.UCANError}
+ */
+export class DIDError extends RangeError {
+  /**
+   * @param {UCAN.ErrorCode} code
+   * @param {string} message
+   * @param {UCAN.ErrorOptions} [options]
+   */
+  constructor(code, message, options = {}) {
+    // @ts-expect-error - types don't know about second arg
+    super(message, { cause: options.cause })
+    this.code = code
+    this.path = options.path || ""
+    /** @type {unknown} */
+    this.cause = options.cause
+  }
+  get name() {
+    return "DIDError"
+  }
+
+  /**
+   * @param {UCAN.ErrorCode} code
+   * @param {string} message
+   * @param {UCAN.ErrorOptions} [options]
+   * @returns {never}
+   */
+  static throw(code, message, options) {
+    throw new this(code, message, options)
+  }
+}
+
+/**
+ * Raised when signature can not be decoded or uses unknown algorithm.
+ *
+ * @implements {UCAN.UCANError}
+ */
+export class SignatureError extends TypeError {
+  /**
+   * @param {UCAN.ErrorCode} code
+   * @param {string} message
+   * @param {UCAN.ErrorOptions} [options]
+   */
+  constructor(code, message, options = {}) {
+    // @ts-expect-error - types don't know about second arg
+    super(message, { cause: options.cause })
+    this.code = code
+    this.path = options.path || ""
+    /** @type {unknown} */
+    this.cause = options.cause
+  }
+  get name() {
+    return "SignatureError"
+  }
+
+  /**
+   * @param {UCAN.ErrorCode} code
+   * @param {string} message
+   * @param {UCAN.ErrorOptions} [options]
+   * @returns {never}
+   */
+  static throw(code, message, options) {
+    throw new this(code, message, options)
+  }
+}
+
+/**
+ * Raised when UCAN in IPLD representation decodes, but is not canonically
+ * encoded, meaning that encoding it again would produce different bytes and
+ * therefore a different CID.
+ */
+export class NonCanonicalError extends UCANError {
+  get name() {
+    return "NonCanonicalError"
+  }
+}
+
+/**
+ * Raised when UCAN exceeds one of the configured limits.
+ */
+export class LimitError extends UCANError {
+  get name() {
+    return "LimitError"
+  }
+}
+
+/**
+ * Describes why UCAN or its proof chain is not valid.
+ *
+ * @implements {UCAN.InvalidChain}
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {UCAN.InvalidReason} reason
+   * @param {string} message
+   * @param {UCAN.Link[]} path
+   * @param {unknown} [cause]
+   */
+  constructor(reason, message, path, cause) {
+    // @ts-expect-error - types don't know about second arg
+    super(message, { cause })
+    this.reason = reason
+    this.path = path
+  }
+  get name() {
+    return "ValidationError"
+  }
+  /** @type {"INVALID_CHAIN"} */
+  get code() {
+    return "INVALID_CHAIN"
+  }
+
+  /**
+   * @param {UCAN.InvalidReason} reason
+   * @param {string} message
+   * @param {UCAN.Link[]} path
+   * @param {unknown} [cause]
+   * @returns {{error: ValidationError}}
+   */
+  static fail(reason, message, path, cause) {
+    return { error: new this(reason, message, path, cause) }
+  }
+}
+
+/**
+ * Converts field context used in error messages (e.g. `att[2].with` or
+ * `cap["mailto:alice@web.mail"]`) into a JSON pointer (e.g. `/att/2/with` or
+ * `/cap/mailto:alice@web.mail`).
+ *
+ * @param {string} context
+ */
+export const toPath = context =>
+  [...context.matchAll(SEGMENT)]
+    .map(([, key, index, field]) =>
+      escape(key != null ? JSON.parse(`"${key}"`) : (index ?? field))
+    )
+    .map(segment => `/${segment}`)
+    .join("")
+
+/**
+ * Matches `["key"]`, `[index]` and `.field` segments of the field context.
+ */
+const SEGMENT = /\["((?:[^"\\]|\\.)*)"\]|\[(\d+)\]|\.?([^.[]+)/g
+
+/**
+ * Escapes JSON pointer reference token.
+ *
+ * @param {string} segment
+ */
+const escape = segment => segment.replace(/~/g, "~0").replace(/\//g, "~1")
@@ -1,8 +1,11 @@
 import * as UCAN from "./ucan.js"
 import * as DID from "./did.js"
 import * as json from "@ipld/dag-json"
+import { equals } from "multiformats/bytes"
 import { base64url } from "multiformats/bases/base64"
 import * as Signature from "./signature.js"
+import * as UTF8 from "./utf8.js"
+import { hasCapabilityMap } from "./schema.js"
 
 /**
  * @template {UCAN.Capabilities} C
@@ -10,8 +13,8 @@ import * as Signature from "./signature.js"
  * @returns {UCAN.JWT<C>}
  */
 export const format = model => {
-  const header = formatHeader(model.v, model.s.algorithm)
-  const payload = formatPayload(model)
+  const header = formatHeader(model.v, model.s.algorithm, model.hdr)
+  const payload = formatPayload(model, model.v)
   const signature = formatSignature(model.s)
   return /** @type {UCAN.JWT<C>} */ (`${header}.${payload}.${signature}`)
 }
@@ -21,57 +24,208 @@ export const format = model => {
  * @param {UCAN.Payload<C>} payload
  * @param {UCAN.Version} version
  * @param {string} alg
+ * @param {UCAN.Extensions} [header] - Header fields not defined by the spec.
  */
-export const formatSignPayload = (payload, version, alg) =>
-  `${formatHeader(version, alg)}.${formatPayload(payload)}`
+export const formatSignPayload = (payload, version, alg, header) =>
+  `${formatHeader(version, alg, header)}.${formatPayload(payload, version)}`
 
 /**
  * @param {UCAN.Version} version
  * @param {string} alg
+ * @param {UCAN.Extensions} [header] - Header fields not defined by the spec.
  */
-export const formatHeader = (version, alg) =>
-  base64url.baseEncode(encodeHeader(version, alg))
+export const formatHeader = (version, alg, header) =>
+  base64url.baseEncode(encodeHeader(version, alg, header))
 
 /**
+ * Formats payload in the shape of the given UCAN version, which is the
+ * inverse of the version aware parsing.
+ *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.Payload<C>} data
+ * @param {UCAN.Version} [version]
  */
-export const formatPayload = data => base64url.baseEncode(encodePayload(data))
+export const formatPayload = (data, version = "0.9.1") =>
+  base64url.baseEncode(json.encode(toPayloadJSON(data, version)))
 
 /**
  * @param {UCAN.Signature<string>} signature
  */
 export const formatSignature = signature => base64url.baseEncode(signature.raw)
 
+/**
+ * Tells whether formatting the model would produce the JWT it was parsed
+ * from, without formatting it. Header and payload are compared against the
+ * JSON text of the decoded segments, which for plain JSON data is serialized
+ * natively and only otherwise with DAG-JSON.
+ *
+ * @param {UCAN.Model} model
+ * @param {import("./parser.js").Segments} segments
+ */
+export const isCanonical = (model, { header, payload, signature }) =>
+  isCanonicalBase64(signature) &&
+  isCanonicalJSON(
+    header,
+    toHeaderJSON(model.v, model.s.algorithm, model.hdr)
+  ) &&
+  isCanonicalJSON(payload, toPayloadJSON(model, model.v))
+
+/**
+ * Base64url decoder rejects non-zero trailing bits, so segment is in canonical
+ * encoding unless it is padded.
+ *
+ * @param {import("./parser.js").Segment} segment
+ */
+const isCanonicalBase64 = ({ source, bytes }) =>
+  source.length === Math.ceil((bytes.byteLength * 4) / 3)
+
+/**
+ * @param {import("./parser.js").Segment} segment
+ * @param {unknown} data
+ */
+const isCanonicalJSON = (segment, data) => {
+  if (!isCanonicalBase64(segment)) {
+    return false
+  }
+  const text = stringify(data)
+  const bytes = text === undefined ? json.encode(data) : UTF8.encode(text)
+  return equals(segment.bytes, bytes)
+}
+
+/**
+ * Serializes data the same way DAG-JSON does, that is without whitespace and
+ * with keys sorted, but using native `JSON.stringify` for strings. Returns
+ * `undefined` if data contains anything but strings, booleans, nulls, safe
+ * integers, arrays and plain objects, in which case DAG-JSON should be used
+ * instead.
+ *
+ * @param {unknown} data
+ * @returns {string|undefined}
+ */
+const stringify = data => {
+  switch (typeof data) {
+    case "string":
+    case "boolean":
+      return JSON.stringify(data)
+    case "number":
+      return Number.isSafeInteger(data) ? String(data) : undefined
+    case "object": {
+      if (data === null) {
+        return "null"
+      } else if (Array.isArray(data)) {
+        const members = []
+        for (const member of data) {
+          const text = stringify(member)
+          if (text === undefined) {
+            return undefined
+          }
+          members.push(text)
+        }
+        return `[${members.join(",")}]`
+      } else if (Object.getPrototypeOf(data) === Object.prototype) {
+        const entries = []
+        for (const key of Object.keys(data).sort()) {
+          const text = stringify(/** @type {any} */ (data)[key])
+          if (text === undefined) {
+            return undefined
+          }
+          entries.push(`${JSON.stringify(key)}:${text}`)
+        }
+        return `{${entries.join(",")}}`
+      }
+    }
+  }
+  return undefined
+}
+
 /**
  * @param {UCAN.Version} v
  * @param {string} alg
+ * @param {UCAN.Extensions} [header]
  * @returns {UCAN.ByteView<UCAN.JWTHeader>}
  */
-const encodeHeader = (v, alg) =>
-  json.encode({
-    alg,
-    ucv: v,
-    typ: "JWT",
-  })
+const encodeHeader = (v, alg, header) =>
+  json.encode(toHeaderJSON(v, alg, header))
+
+/**
+ * JWT header in the shape of the given version, UCAN 0.10 moved `ucv` into
+ * the payload.
+ *
+ * @param {UCAN.Version} v
+ * @param {string} alg
+ * @param {UCAN.Extensions} [header]
+ * @returns {UCAN.JWTHeader & UCAN.Extensions}
+ */
+export const toHeaderJSON = (v, alg, header) => ({
+  ...header,
+  alg,
+  ...(!hasCapabilityMap(v) && { ucv: v }),
+  typ: "JWT",
+})
+
+/**
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.Payload<C>} data
+ * @param {UCAN.Version} version
+ */
+const toPayloadJSON = (data, version) =>
+  hasCapabilityMap(version)
+    ? toCapabilityMapJSON(data, version)
+    : toAttenuationJSON(data)
+
+/**
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.Payload<C>} data
+ */
+const toAttenuationJSON = data => ({
+  ...data.ext,
+  iss: DID.format(data.iss),
+  aud: DID.format(data.aud),
+  att: data.att,
+  exp: data.exp,
+  prf: data.prf.map(encodeProof),
+  // leave out optionals and empty fields
+  ...(data.fct.length > 0 && { fct: data.fct }),
+  ...(data.nnc && { nnc: data.nnc }),
+  ...(data.nbf && { nbf: data.nbf }),
+})
 
 /**
+ * Payload in the UCAN 0.10 shape, where capabilities are grouped into
+ * `{ [with]: { [can]: nb[] } }` map, facts are merged into a single map and
+ * `ucv` is included.
+ *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.Payload<C>} data
- * @returns {UCAN.ByteView<UCAN.JWTPayload<C>>}
- */
-const encodePayload = data =>
-  json.encode({
-    iss: DID.format(data.iss),
-    aud: DID.format(data.aud),
-    att: data.att,
-    exp: data.exp,
-    prf: data.prf.map(encodeProof),
-    // leave out optionals and empty fields
-    ...(data.fct.length > 0 && { fct: data.fct }),
-    ...(data.nnc && { nnc: data.nnc }),
-    ...(data.nbf && { nbf: data.nbf }),
-  })
+ * @param {UCAN.Version} version
+ */
+const toCapabilityMapJSON = (data, version) => ({
+  ...data.ext,
+  ucv: version,
+  iss: DID.format(data.iss),
+  aud: DID.format(data.aud),
+  cap: encodeCapabilities(data.att),
+  exp: data.exp,
+  prf: data.prf.map(encodeProof),
+  // leave out optionals and empty fields
+  ...(data.fct.length > 0 && { fct: Object.assign({}, ...data.fct) }),
+  ...(data.nnc && { nnc: data.nnc }),
+  ...(data.nbf && { nbf: data.nbf }),
+})
+
+/**
+ * @param {UCAN.Capabilities} capabilities
+ */
+const encodeCapabilities = capabilities => {
+  /** @type {Record<string, Record<string, unknown[]>>} */
+  const cap = {}
+  for (const { with: resource, can, nb } of capabilities) {
+    const abilities = (cap[resource] = cap[resource] || {})
+    const caveats = (abilities[can] = abilities[can] || [])
+    caveats.push(nb || {})
+  }
+  return cap
+}
 
 /**
  * @param {UCAN.Link} proof
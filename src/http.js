@@ -0,0 +1,60 @@
+import * as UCAN from "./ucan.js"
+import { parse, format, link } from "./lib.js"
+
+const BEARER = /^Bearer\s+(\S+)$/i
+
+/**
+ * Reads UCAN passed as a bearer token in the `Authorization: Bearer <jwt>`
+ * header along with its proofs passed as comma separated JWTs in the `ucans`
+ * header. Proofs are keyed by their CIDs, so that links in `prf` fields can
+ * be looked up. Throws if `Authorization` header is missing or is not a
+ * bearer token.
+ *
+ * @template {UCAN.Capabilities} C
+ * @param {Request|Headers} input
+ * @returns {Promise<UCAN.BearerToken<C>>}
+ */
+export const read = async input => {
+  const headers = "headers" in input ? input.headers : input
+  const authorization = headers.get("authorization") || ""
+  const [, jwt] = authorization.trim().match(BEARER) || []
+  if (!jwt) {
+    throw new TypeError(
+      `Expected "Authorization: Bearer <jwt>" header, instead got "${authorization}"`
+    )
+  }
+
+  /** @type {Map<string, UCAN.View>} */
+  const proofs = new Map()
+  for (const source of (headers.get("ucans") || "").split(",")) {
+    const token = source.trim()
+    if (token !== "") {
+      const proof = parse(token)
+      proofs.set((await link(proof)).toString(), proof)
+    }
+  }
+
+  return { ucan: parse(jwt), proofs }
+}
+
+/**
+ * Sets `Authorization` header to the UCAN bearer token and `ucans` header to
+ * the comma separated proofs. UCANs in IPLD representation are formatted as
+ * JWTs, which parse back into IPLD representation so their CIDs are retained.
+ * Returns given headers.
+ *
+ * @template {Headers} H
+ * @param {H} headers
+ * @param {UCAN.BearerTokenInput} token
+ * @returns {H}
+ */
+export const write = (headers, { ucan, proofs = [] }) => {
+  headers.set("authorization", `Bearer ${format(ucan)}`)
+  const ucans = [...proofs.values()].map(proof => format(proof))
+  if (ucans.length > 0) {
+    headers.set("ucans", ucans.join(", "))
+  } else {
+    headers.delete("ucans")
+  }
+  return headers
+}
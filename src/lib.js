@@ -4,13 +4,38 @@ import * as JWT from "./codec/jwt.js"
 import * as UTF8 from "./utf8.js"
 import { readPayload } from "./schema.js"
 import { parse as parseDID } from "./did.js"
-import { parse as parseJWT } from "./parser.js"
-import { formatSignPayload } from "./formatter.js"
+import { read as readJWT } from "./parser.js"
+import { formatSignPayload, isCanonical } from "./formatter.js"
 import { sha256 } from "multiformats/hashes/sha2"
+import { identity } from "multiformats/hashes/identity"
 import { create as createLink } from "multiformats/link"
 import { format as formatDID } from "./did.js"
+import * as Revocation from "./revocation.js"
+import * as CAR from "./car.js"
+import { check as checkAttenuation } from "./attenuation.js"
+import { View } from "./view.js"
+import { ValidationError, UCANError } from "./error.js"
+import {
+  now,
+  systemClock,
+  findVerifier,
+  deriveVerifier,
+  loadBlock,
+  verifyBlock,
+} from "./chain.js"
 
 export * from "./ucan.js"
+export {
+  UCANError,
+  ParseError,
+  DIDError,
+  SignatureError,
+  NonCanonicalError,
+  LimitError,
+  ValidationError,
+} from "./error.js"
+export { now } from "./chain.js"
+export { defaults as LIMITS } from "./limits.js"
 
 export const VERSION = "0.9.1"
 export const name = "dag-ucan"
@@ -37,26 +62,43 @@ export const encode = ucan => (ucan.jwt ? JWT.encode(ucan) : CBOR.encode(ucan))
 
 /**
  * Decodes binary encoded UCAN. It assumes UCAN is in primary IPLD
- * representation and attempts to decode it with DAG-CBOR, if that
- * fails it falls back to secondary representation and parses it as
- * a JWT.
+ * representation and attempts to decode it with DAG-CBOR, if bytes are not
+ * DAG-CBOR it falls back to secondary representation and parses it as a JWT.
+ * Errors of the decoded DAG-CBOR UCAN (e.g. `LimitError` or
+ * `NonCanonicalError`) are rethrown.
  *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.ByteView<UCAN.UCAN<C>>} bytes
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.View<C>}
  */
-export const decode = bytes => {
+export const decode = (bytes, options) => {
   try {
-    return CBOR.decode(bytes)
-  } catch (_) {
-    return JWT.decode(/** @type {UCAN.ByteView<UCAN.FromJWT<C>>} */ (bytes))
+    return CBOR.decode(bytes, options)
+  } catch (error) {
+    if (error instanceof UCANError && !isASCII(bytes)) {
+      throw error
+    }
+    return JWT.decode(
+      /** @type {UCAN.ByteView<UCAN.FromJWT<C>>} */ (bytes),
+      options
+    )
   }
 }
 
+/**
+ * UCAN in IPLD representation starts with a DAG-CBOR map header, while JWT
+ * starts with an ASCII character.
+ *
+ * @param {Uint8Array} bytes
+ */
+const isASCII = bytes => bytes[0] < 0x80
+
 /**
  * Convenience function to create a CID for the given UCAN. If UCAN is
  * in JWT representation get CID with RAW multicodec, while UCANs in IPLD
- * representation get UCAN multicodec code.
+ * representation get UCAN multicodec code. Same as `ucan.link(options)`, so
+ * CIDs are cached on the view per hasher.
  *
  * @template {UCAN.Capabilities} C
  * @template {number} [A=typeof sha256.code] - Multihash code
@@ -76,6 +118,11 @@ export const link = async (ucan, options) => {
  * @returns {Promise<UCAN.Block<C, UCAN.Code, A>>}
  */
 export const write = async (ucan, { hasher = defaultHasher } = {}) => {
+  // views cache their bytes and links, other UCANs are encoded every time
+  if (isView(ucan)) {
+    return { bytes: ucan.bytes, cid: await ucan.link({ hasher }), data: ucan }
+  }
+
   const [code, bytes] = ucan.jwt
     ? [/** @type {UCAN.Code} */ (JWT.code), JWT.encode(ucan)]
     : [/** @type {UCAN.Code} */ (CBOR.code), CBOR.encode(ucan)]
@@ -88,6 +135,13 @@ export const write = async (ucan, { hasher = defaultHasher } = {}) => {
   }
 }
 
+/**
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.UCAN<C>} ucan
+ * @returns {ucan is UCAN.View<C>}
+ */
+const isView = ucan => ucan instanceof View
+
 /**
  * Parses UCAN formatted as JWT string. Returns UCAN view in IPLD representation
  * when serializing it back would produce original string, otherwise returns UCAN
@@ -98,20 +152,26 @@ export const write = async (ucan, { hasher = defaultHasher } = {}) => {
  *
  * Note: Parsing does not perform validation of capabilities or semantics of the
  * UCAN, it only ensures structure is spec compliant and throws `ParseError`
- * if it is not.
+ * if it is not. Pass `{ mode: "strict" }` to reject non-canonical tokens or
+ * `{ mode: "lenient" }` to normalize common deviations from the spec, see
+ * {@link UCAN.ParseMode}. Lenient parsing of such tokens will produce UCAN view
+ * in JWT representation, so that the signature remains valid.
  *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.JWT<C>|string} jwt
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.View<C>}
  */
-export const parse = jwt => {
-  const model = parseJWT(jwt)
+export const parse = (jwt, options) => {
+  const { model, segments } = readJWT(jwt, options)
 
   // If formatting UCAN produces same jwt string we can use IPLD representation
   // otherwise we need to fallback to raw representation. This decision will
-  // affect how we `encode` the UCAN.
-  return CBOR.format(model) === jwt
-    ? CBOR.from(model)
+  // affect how we `encode` the UCAN. Decoded segments are compared against the
+  // model instead of formatting it, and the view remembers the jwt so it does
+  // not need to be formatted later either.
+  return isCanonical(model, segments)
+    ? CBOR.from(model, /** @type {UCAN.JWT<C>} */ (jwt))
     : JWT.from({ ...model, jwt: /** @type {UCAN.JWT<C>} */ (jwt) })
 }
 
@@ -126,8 +186,8 @@ export const format = ucan => (ucan.jwt ? JWT.format(ucan) : CBOR.format(ucan))
 
 /**
  * Creates a new signed token with a given `options.issuer`. If expiration is
- * not set it defaults to 30 seconds from now. Returns UCAN in primary - IPLD
- * representation.
+ * not set it defaults to 30 seconds from now as reported by `options.clock`.
+ * Returns UCAN in primary - IPLD representation.
  *
  * @template {number} A
  * @template {UCAN.Capabilities} C
@@ -138,8 +198,9 @@ export const issue = async ({
   issuer,
   audience,
   capabilities,
+  clock = systemClock,
   lifetimeInSeconds = 30,
-  expiration = now() + lifetimeInSeconds,
+  expiration = clock.now() + lifetimeInSeconds,
   notBefore,
   facts = [],
   proofs = [],
@@ -165,15 +226,103 @@ export const issue = async ({
   })
 }
 
+/**
+ * Issues a UCAN that re-delegates capabilities of the `parent` UCAN. Link to
+ * the parent is added to the proofs and time bounds are clamped so that
+ * resulting UCAN does not outlive the parent or become valid before it. If
+ * `options.capabilities` are omitted all capabilities of the parent are
+ * delegated.
+ *
+ * Throws if issuer is not the audience of the parent, if parent does not
+ * grant some of the capabilities or if clamped `nbf` ends up past `exp`.
+ *
+ * Note: Parent proof chain is not validated.
+ *
+ * @template {number} A
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.View} parent
+ * @param {UCAN.DelegationOptions<C, A>} options
+ * @returns {Promise<UCAN.View<C>>}
+ */
+export const delegate = async (
+  parent,
+  {
+    issuer,
+    capabilities = /** @type {C} */ (parent.capabilities),
+    clock = systemClock,
+    lifetimeInSeconds = 30,
+    expiration = clock.now() + lifetimeInSeconds,
+    notBefore,
+    proofs = [],
+    ...options
+  }
+) => {
+  if (issuer.did() !== parent.audience.did()) {
+    throw new Error(
+      `Issuer ${issuer.did()} can not delegate capabilities of UCAN issued to ${parent.audience.did()}`
+    )
+  }
+
+  const result = checkAttenuation(capabilities, parent.capabilities)
+  if (result.error) {
+    throw result.error
+  }
+
+  const proof = await link(parent)
+  const exp = Math.min(expiration, parent.expiration)
+  const nbf =
+    parent.notBefore == null
+      ? notBefore
+      : Math.max(notBefore ?? parent.notBefore, parent.notBefore)
+
+  if (nbf != null && nbf > exp) {
+    throw new UCANError(
+      "INVALID_TIME_BOUNDS",
+      `Delegation of ${proof} would expire at ${exp} before becoming valid at ${nbf}`,
+      { path: "/nbf" }
+    )
+  }
+
+  return issue({
+    ...options,
+    issuer,
+    capabilities,
+    clock,
+    expiration: exp,
+    notBefore: nbf,
+    proofs: [proof, ...proofs],
+  })
+}
+
 /**
  *
  * @param {UCAN.Payload} payload
  * @param {UCAN.Version} version
  * @param {string} algorithm
+ * @param {UCAN.Extensions} [header]
  * @returns
  */
-const encodeSignaturePayload = (payload, version, algorithm) =>
-  UTF8.encode(formatSignPayload(payload, version, algorithm))
+const encodeSignaturePayload = (payload, version, algorithm, header) =>
+  UTF8.encode(formatSignPayload(payload, version, algorithm, header))
+
+/**
+ * Returns bytes that were signed by the UCAN issuer. For UCANs in JWT
+ * representation those are taken from the original JWT string, because
+ * formatting the model may not reproduce the same header and payload.
+ *
+ * @param {UCAN.View} ucan
+ */
+const readSignaturePayload = ucan => {
+  const { jwt } = /** @type {UCAN.UCAN} */ (ucan.model)
+  return jwt
+    ? UTF8.encode(jwt.slice(0, jwt.lastIndexOf(".")))
+    : encodeSignaturePayload(
+        ucan.model,
+        ucan.model.v,
+        ucan.signature.algorithm,
+        ucan.model.hdr
+      )
+}
 
 /**
  * Verifies UCAN signature.
@@ -183,26 +332,399 @@ const encodeSignaturePayload = (payload, version, algorithm) =>
  */
 export const verifySignature = (ucan, verifier) =>
   formatDID(ucan.issuer) === verifier.did() &&
-  verifier.verify(
-    encodeSignaturePayload(ucan.model, ucan.model.v, ucan.signature.algorithm),
-    ucan.signature
-  )
+  verifier.verify(readSignaturePayload(ucan), ucan.signature)
+
+/**
+ * Verifies UCAN signature with a verifier derived from the `did:key` of its
+ * issuer. Verifier is created by the algorithm registered for the key type in
+ * `options.registry`, which defaults to the registry of all built-in
+ * algorithms. Fails if the key type is not supported or if the signature was
+ * produced by a different algorithm than the key type implies.
+ *
+ * Issuers with other DID methods are verified against the keys from their DID
+ * documents if `options.didResolver` is provided.
+ *
+ * @param {UCAN.View} ucan
+ * @param {UCAN.VerifyOptions} [options]
+ * @returns {Promise<UCAN.Result<{}, Error>>}
+ */
+export const verify = async (ucan, options = {}) => {
+  const result = await deriveVerifier(ucan.issuer, ucan.signature, options)
+  if (result.error) {
+    return result
+  } else if (await verifySignature(ucan, result.ok)) {
+    return { ok: {} }
+  } else {
+    return {
+      error: new Error(
+        `Signature does not match the payload signed by ${ucan.issuer.did()}`
+      ),
+    }
+  }
+}
+
+/**
+ * Exports UCAN along with all of its transitive proofs into a CARv1 with a
+ * UCAN CID as a root. Proofs are loaded through `options.resolve`, inline
+ * proofs (ones with identity multihash) are already contained in the linking
+ * UCAN and are not written as separate blocks, but their proofs are.
+ *
+ * @param {UCAN.View} ucan
+ * @param {{resolve: UCAN.ProofResolver}} options
+ * @returns {Promise<Uint8Array>}
+ */
+export const exportCAR = async (ucan, { resolve }) => {
+  const root = await write(ucan)
+  /** @type {Map<string, {cid: UCAN.Link, bytes: Uint8Array}>} */
+  const blocks = new Map([[root.cid.toString(), root]])
+  const queue = [...ucan.proofs]
+  while (queue.length > 0) {
+    const cid = /** @type {UCAN.Link} */ (queue.shift())
+    const key = cid.toString()
+    if (!blocks.has(key)) {
+      const bytes = await loadBlock(cid, resolve)
+      if (cid.multihash.code !== identity.code) {
+        blocks.set(key, { cid, bytes })
+      }
+      queue.push(...decode(bytes).proofs)
+    }
+  }
+
+  return CAR.encode({ roots: [root.cid], blocks: [...blocks.values()] })
+}
+
+/**
+ * Imports UCAN from the CARv1 created by {@link exportCAR}. Every block in the
+ * archive is verified to match its CID. Returns root UCAN and all the blocks
+ * keyed by their CID, which can be used to resolve proofs.
+ *
+ * @template {UCAN.Capabilities} C
+ * @param {Uint8Array} bytes
+ * @returns {Promise<UCAN.CARImport<C>>}
+ */
+export const importCAR = async bytes => {
+  const { roots, blocks } = CAR.decode(bytes)
+  if (roots.length !== 1) {
+    throw new RangeError(
+      `Expected CAR with a single root instead got ${roots.length}`
+    )
+  }
+
+  /** @type {Map<string, UCAN.ByteView<UCAN.UCAN>>} */
+  const index = new Map()
+  for (const { cid, bytes } of blocks) {
+    await verifyBlock(cid, bytes)
+    index.set(cid.toString(), bytes)
+  }
+
+  const [cid] = roots
+  const block = index.get(cid.toString())
+  if (!block) {
+    throw new RangeError(`CAR does not contain root block ${cid}`)
+  }
+
+  return {
+    root: decode(/** @type {UCAN.ByteView<UCAN.UCAN<C>>} */ (block)),
+    blocks: index,
+  }
+}
 
 /**
  * Check if a UCAN is expired.
  *
  * @param {UCAN.View} ucan
+ * @param {UCAN.TimeOptions} [options]
  */
-export const isExpired = ucan => ucan.expiration <= now()
+export const isExpired = (ucan, options = {}) =>
+  isExpiredAt(ucan, readClock(options).now(), options.tolerance)
 
 /**
  * Check if a UCAN is not active yet.
  * @param {UCAN.View} ucan
+ * @param {UCAN.TimeOptions} [options]
  */
-export const isTooEarly = ucan =>
-  ucan.notBefore != null && now() <= ucan.notBefore
+export const isTooEarly = (ucan, options = {}) =>
+  isTooEarlyAt(ucan, readClock(options).now(), options.tolerance)
 
 /**
- * Returns UTC Unix timestamp for comparing it against time window of the UCAN.
+ * @param {UCAN.View} ucan
+ * @param {UCAN.UTCUnixTimestamp} time
+ * @param {number} [tolerance]
+ */
+const isExpiredAt = (ucan, time, tolerance = 0) =>
+  ucan.expiration + tolerance <= time
+
+/**
+ * @param {UCAN.View} ucan
+ * @param {UCAN.UTCUnixTimestamp} time
+ * @param {number} [tolerance]
+ */
+const isTooEarlyAt = (ucan, time, tolerance = 0) =>
+  ucan.notBefore != null && time + tolerance <= ucan.notBefore
+
+/**
+ * @param {UCAN.TimeOptions} options
+ */
+const readClock = ({ clock = systemClock }) => clock
+
+/**
+ * Returns API where time sensitive functions use given `clock` and
+ * `tolerance` unless overridden by the options passed to them.
+ *
+ * @param {UCAN.TimeOptions} config
+ */
+export const configure = ({ clock = systemClock, tolerance = 0 }) => ({
+  now: () => clock.now(),
+  /**
+   * @template {number} A
+   * @template {UCAN.Capabilities} C
+   * @param {UCAN.UCANOptions<C, A>} options
+   */
+  issue: options => issue({ clock, ...options }),
+  /**
+   * @template {number} A
+   * @template {UCAN.Capabilities} C
+   * @param {UCAN.View} parent
+   * @param {UCAN.DelegationOptions<C, A>} options
+   */
+  delegate: (parent, options) => delegate(parent, { clock, ...options }),
+  /**
+   * @param {UCAN.View} ucan
+   * @param {UCAN.TimeOptions} [options]
+   */
+  isExpired: (ucan, options) =>
+    isExpired(ucan, { clock, tolerance, ...options }),
+  /**
+   * @param {UCAN.View} ucan
+   * @param {UCAN.TimeOptions} [options]
+   */
+  isTooEarly: (ucan, options) =>
+    isTooEarly(ucan, { clock, tolerance, ...options }),
+  /**
+   * @template {UCAN.Capabilities} C
+   * @param {UCAN.View<C>} ucan
+   * @param {UCAN.ValidationOptions} options
+   */
+  validate: (ucan, options) => validate(ucan, { clock, tolerance, ...options }),
+})
+
+/**
+ * Validates UCAN and its proof chain. Every UCAN linked from `prf` is loaded
+ * through `options.resolve`, decoded and validated recursively. Validation
+ * checks signatures, time bounds and that audience of every proof is the
+ * issuer of the UCAN that links to it. Proofs linked from several UCANs are
+ * validated once and chains deeper than `options.maxDepth` are rejected.
+ *
+ * Note: Capabilities are not checked, it is up to the caller to decide whether
+ * they are supported by the proofs.
+ *
+ * Returns `{ ok: chain }` with all the loaded proofs if chain is valid,
+ * otherwise returns `{ error }` describing the first encountered failure and
+ * the `path` of links leading to the UCAN that failed.
+ *
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.View<C>} ucan
+ * @param {UCAN.ValidationOptions} options
+ * @returns {Promise<UCAN.Result<UCAN.Chain<C>, UCAN.InvalidChain>>}
+ */
+export const validate = async (ucan, options) =>
+  validateChain(ucan, [await link(ucan)], options, new Map())
+
+/**
+ * Default bound on the number of links from the validated UCAN to its deepest
+ * proof, so that hostile chains can not exhaust the stack.
+ */
+const MAX_DEPTH = 64
+
+/**
+ * Valid chain along with its height, that is the number of links from its UCAN
+ * to the deepest proof.
+ *
+ * @typedef {object} Validated
+ * @property {UCAN.Chain} chain
+ * @property {number} height
+ */
+
+/**
+ * Validates UCAN at the end of the `path` and its proofs. Proofs shared by
+ * several UCANs in the chain are validated once and reused from `validated`,
+ * keyed by their CIDs.
+ *
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.View<C>} ucan
+ * @param {UCAN.Link[]} path
+ * @param {UCAN.ValidationOptions} options
+ * @param {Map<string, Validated>} validated
+ * @returns {Promise<UCAN.Result<UCAN.Chain<C>, UCAN.InvalidChain>>}
  */
-export const now = () => Math.floor(Date.now() / 1000)
+const validateChain = async (ucan, path, options, validated) => {
+  const time = options.now ?? readClock(options).now()
+  const { maxDepth = MAX_DEPTH } = options
+  const [cid] = path.slice(-1)
+  if (isExpiredAt(ucan, time, options.tolerance)) {
+    return ValidationError.fail(
+      "expired",
+      `UCAN ${cid} has expired at ${ucan.expiration}`,
+      path
+    )
+  }
+
+  if (isTooEarlyAt(ucan, time, options.tolerance)) {
+    return ValidationError.fail(
+      "too-early",
+      `UCAN ${cid} is not valid before ${ucan.notBefore}`,
+      path
+    )
+  }
+
+  const issuer = ucan.issuer.did()
+  const verifier = await findVerifier(ucan.issuer, ucan.signature, options)
+  if (verifier.error) {
+    return ValidationError.fail(
+      "unknown-issuer",
+      `UCAN ${cid} is issued by ${issuer} which has no verifier`,
+      path,
+      verifier.error
+    )
+  }
+
+  try {
+    if (!(await verifySignature(ucan, verifier.ok))) {
+      throw new Error(`Signature does not match the payload`)
+    }
+  } catch (cause) {
+    return ValidationError.fail(
+      "invalid-signature",
+      `UCAN ${cid} has invalid signature from ${issuer}`,
+      path,
+      cause
+    )
+  }
+
+  /** @type {UCAN.Chain[]} */
+  const proofs = []
+  let height = 0
+  for (const link of ucan.proofs) {
+    const route = [...path, link]
+    const known = validated.get(link.toString())
+    // depth of the deepest proof reached through this link
+    const depth = route.length - 1 + (known ? known.height : 0)
+    if (depth > maxDepth) {
+      return ValidationError.fail(
+        "too-deep",
+        `Proof ${link} of UCAN ${cid} is deeper than ${maxDepth} links`,
+        route
+      )
+    }
+
+    /** @type {UCAN.View} */
+    let proof
+    if (known) {
+      proof = known.chain.ucan
+    } else {
+      /** @type {UCAN.ByteView<UCAN.UCAN>} */
+      let bytes
+      try {
+        bytes = await loadBlock(link, options.resolve)
+      } catch (cause) {
+        return ValidationError.fail(
+          "unresolved-proof",
+          `Proof ${link} of UCAN ${cid} could not be loaded`,
+          route,
+          cause
+        )
+      }
+
+      try {
+        proof = decode(bytes)
+      } catch (cause) {
+        return ValidationError.fail(
+          "invalid-proof",
+          `Proof ${link} of UCAN ${cid} is not a valid UCAN`,
+          route,
+          cause
+        )
+      }
+    }
+
+    if (proof.audience.did() !== issuer) {
+      return ValidationError.fail(
+        "audience-mismatch",
+        `Proof ${link} is delegated to ${proof.audience.did()} while UCAN ${cid} is issued by ${issuer}`,
+        route
+      )
+    }
+
+    /** @type {UCAN.Result<UCAN.Chain, UCAN.InvalidChain>} */
+    const result = known
+      ? { ok: known.chain }
+      : await validateChain(proof, route, options, validated)
+    if (result.error) {
+      return result
+    } else {
+      proofs.push(result.ok)
+      const { height: proofHeight } = /** @type {Validated} */ (
+        validated.get(link.toString())
+      )
+      height = Math.max(height, 1 + proofHeight)
+    }
+  }
+
+  const chain = { ucan, proofs }
+  const revocation = await findRevocation(cid, chain, options)
+  if (revocation) {
+    return ValidationError.fail(
+      "revoked",
+      `UCAN ${cid} has been revoked by ${revocation.iss.did()}`,
+      path
+    )
+  }
+
+  validated.set(cid.toString(), { chain, height })
+  return { ok: chain }
+}
+
+/**
+ * Finds valid revocation of the UCAN with a given CID. Revocation is valid if
+ * it is signed by the issuer of the UCAN or by an issuer of any of its proofs.
+ *
+ * @param {UCAN.Link} cid
+ * @param {UCAN.Chain} chain
+ * @param {UCAN.ValidationOptions} options
+ */
+const findRevocation = async (cid, chain, options) => {
+  if (!options.revocations) {
+    return null
+  }
+
+  const issuers = new Set(readIssuers(chain))
+  for (const revocation of await options.revocations.find(cid)) {
+    if (issuers.has(revocation.iss.did())) {
+      const verifier = await findVerifier(
+        revocation.iss,
+        revocation.challenge,
+        options
+      )
+      try {
+        if (verifier.ok && (await Revocation.verify(revocation, verifier.ok))) {
+          return revocation
+        }
+      } catch (_) {
+        // Invalid revocations are ignored
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * @param {UCAN.Chain} chain
+ * @returns {Iterable<UCAN.DID>}
+ */
+const readIssuers = function* ({ ucan, proofs }) {
+  yield ucan.issuer.did()
+  for (const proof of proofs) {
+    yield* readIssuers(proof)
+  }
+}
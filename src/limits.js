@@ -0,0 +1,87 @@
+import * as UCAN from "./ucan.js"
+import * as Link from "multiformats/link"
+import { LimitError, toPath } from "./error.js"
+
+/**
+ * Recommended limits, which are used for the limits that are not provided
+ * when parse options have `limits`. Without `limits` nothing is checked.
+ *
+ * @type {Readonly<UCAN.Limits>}
+ */
+export const defaults = Object.freeze({
+  maxBytes: 1024 * 1024,
+  maxSegmentLength: 1024 * 1024,
+  maxCapabilities: 1024,
+  maxProofs: 1024,
+  maxFacts: 1024,
+  maxDepth: 64,
+  maxSignatureSize: 1024,
+})
+
+/**
+ * @type {Record<keyof UCAN.Limits, [UCAN.LimitErrorCode, string]>}
+ */
+const errors = {
+  maxBytes: ["MAX_BYTES_EXCEEDED", "UCAN size"],
+  maxSegmentLength: ["MAX_SEGMENT_LENGTH_EXCEEDED", "JWT segment length"],
+  maxCapabilities: ["MAX_CAPABILITIES_EXCEEDED", "Number of capabilities"],
+  maxProofs: ["MAX_PROOFS_EXCEEDED", "Number of proofs"],
+  maxFacts: ["MAX_FACTS_EXCEEDED", "Number of facts"],
+  maxDepth: ["MAX_DEPTH_EXCEEDED", "Nesting depth"],
+  maxSignatureSize: ["MAX_SIGNATURE_SIZE_EXCEEDED", "Signature size"],
+}
+
+/**
+ * Throws {@link LimitError} if `size` exceeds the named limit, otherwise
+ * returns `size`. Nothing is checked unless `limits` are provided.
+ *
+ * @param {keyof UCAN.Limits} name
+ * @param {number} size
+ * @param {Partial<UCAN.Limits>} [limits]
+ * @param {string} [context] - Field the limit applies to.
+ * @param {string} [label] - What is limited, used in the error message.
+ */
+export const check = (name, size, limits, context = "", label) => {
+  const max = limits && (limits[name] ?? defaults[name])
+  if (max != null && size > max) {
+    const [code, description] = errors[name]
+    LimitError.throw(
+      code,
+      `${label || description} ${size} exceeds the limit of ${max}`,
+      { path: toPath(context) }
+    )
+  }
+  return size
+}
+
+/**
+ * Throws {@link LimitError} if objects and arrays in the given value are
+ * nested deeper than `maxDepth`. Links and bytes are not descended into.
+ *
+ * @param {unknown} value
+ * @param {Partial<UCAN.Limits>} [limits]
+ * @param {string} [context]
+ */
+export const checkDepth = (value, limits, context = "") => {
+  /**
+   * @param {unknown} value
+   * @param {string} context
+   * @param {number} depth
+   */
+  const visit = (value, context, depth) => {
+    if (
+      value !== null &&
+      typeof value === "object" &&
+      !(value instanceof Uint8Array) &&
+      !Link.isLink(value)
+    ) {
+      check("maxDepth", depth + 1, limits, context)
+      for (const [key, member] of Object.entries(value)) {
+        visit(member, `${context}[${JSON.stringify(key)}]`, depth + 1)
+      }
+    }
+  }
+  if (limits) {
+    visit(value, context, 0)
+  }
+}
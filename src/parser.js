@@ -1,54 +1,208 @@
 import * as UCAN from "./ucan.js"
 import * as json from "@ipld/dag-json"
 import * as Schema from "./schema.js"
+import * as Limits from "./limits.js"
 import { base64url } from "multiformats/bases/base64"
 import { createNamed as createSignature } from "./signature.js"
 
 /**
- * Parse JWT formatted UCAN. Note than no validation takes place here.
+ * Parse JWT formatted UCAN. Note than no validation takes place here. Throws
+ * `LimitError` if JWT exceeds any of the `options.limits`.
  *
  * @template {UCAN.Capabilities} C
  * @param {UCAN.JWT<C>|string} jwt
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.Model<C>}
  */
-export const parse = jwt => {
+export const parse = (jwt, options) => read(jwt, options).model
+
+/**
+ * @typedef {object} Segment
+ * @property {string} source - Base64url encoded segment of the JWT.
+ * @property {Uint8Array} bytes - Bytes the segment decodes to.
+ *
+ * @typedef {object} Segments
+ * @property {Segment} header
+ * @property {Segment} payload
+ * @property {Segment} signature
+ */
+
+/**
+ * Same as {@link parse}, but also returns decoded JWT segments, which can be
+ * compared against the model to tell whether formatting it would produce the
+ * same JWT.
+ *
+ * @template {UCAN.Capabilities} C
+ * @param {UCAN.JWT<C>|string} jwt
+ * @param {UCAN.ParseOptions} [options]
+ * @returns {{model: UCAN.Model<C>, segments: Segments}}
+ */
+export const read = (jwt, options = {}) => {
+  Limits.check("maxBytes", jwt.length, options.limits, "", "JWT length")
   const segments = jwt.split(".")
   const [header, payload, signature] =
     segments.length === 3
       ? segments
       : Schema.throw(
-          `Can't parse UCAN: ${jwt}: Expected JWT format: 3 dot-separated base64url-encoded values.`
+          `Can't parse UCAN: ${jwt}: Expected JWT format: 3 dot-separated base64url-encoded values.`,
+          "",
+          "INVALID_JWT"
         )
 
-  const { ucv, alg } = parseHeader(header)
+  const headerBytes = decodeSegment(header, "header", options)
+  const { ucv: version, alg, hdr } = readHeader(headerBytes, options)
+  const payloadBytes = decodeSegment(payload, "payload", options)
+  /** @type {{ucv: UCAN.Version, data: UCAN.Payload<C>}} */
+  const { ucv, data } = readPayload(payloadBytes, version, options)
+  const raw = parseSignature(signature, options)
 
   return {
-    ...parsePayload(payload),
-    v: ucv,
-    s: createSignature(alg, base64url.baseDecode(signature)),
+    model: {
+      ...data,
+      v: ucv,
+      ...(hdr && { hdr }),
+      s: createSignature(alg, raw),
+    },
+    segments: {
+      header: { source: header, bytes: headerBytes },
+      payload: { source: payload, bytes: payloadBytes },
+      signature: { source: signature, bytes: raw },
+    },
   }
 }
 
 /**
+ * @param {string} source
+ * @param {UCAN.ParseOptions} options
+ */
+const parseSignature = (source, options) => {
+  const raw = decodeSegment(source, "signature", options)
+  Limits.check("maxSignatureSize", raw.byteLength, options.limits)
+  return raw
+}
+
+/**
+ * Parses JWT header. Fields not defined by the spec are returned as `hdr`, so
+ * that they can be formatted back, unless in `strict` mode where they are
+ * rejected. In `lenient` mode missing `typ` is tolerated. Header of UCAN 0.10
+ * has no `ucv`, in which case it is read from the payload.
+ *
  * @param {string} header
+ * @param {UCAN.ParseOptions} [options]
  */
-export const parseHeader = header => {
-  const { ucv, alg, typ } = json.decode(base64url.baseDecode(header))
+export const parseHeader = (header, options = {}) =>
+  readHeader(decodeSegment(header, "header", options), options)
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {UCAN.ParseOptions} options
+ */
+const readHeader = (bytes, options) => {
+  /** @type {Record<string, unknown>} */
+  const data = readJSON(bytes, "header")
+  const hdr = Schema.pickExtensions(data, Schema.HEADER_FIELDS)
+  if (hdr && options.mode === "strict") {
+    Schema.failOnExtensions(hdr, "INVALID_HEADER")
+  }
 
   return {
-    typ: Schema.readLiteral(typ, "JWT", "typ"),
-    ucv: Schema.readVersion(ucv, "ucv"),
-    alg: Schema.readString(alg, "alg"),
+    typ:
+      data.typ === undefined && options.mode === "lenient"
+        ? Schema.normalize(options, "typ", `Added missing 'typ: "JWT"'`, "JWT")
+        : Schema.readLiteral(data.typ, "JWT", "typ"),
+    ucv:
+      data.ucv === undefined ? undefined : Schema.readVersion(data.ucv, "ucv"),
+    alg: Schema.readString(data.alg, "alg"),
+    ...(hdr && { hdr }),
   }
 }
 
 /**
+ * Parses payload in the shape of the given UCAN version into a normalized
+ * payload.
+ *
  * @template {UCAN.Capabilities} C
  * @param {string} source
+ * @param {UCAN.Version} [version]
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.Payload<C>}
  */
-export const parsePayload = source => {
+export const parsePayload = (source, version, options = {}) => {
+  /** @type {{data: UCAN.Payload<C>}} */
+  const { data } = readPayload(
+    decodeSegment(source, "payload", options),
+    version,
+    options
+  )
+  return data
+}
+
+/**
+ * Reads payload in the shape of the given version, which defaults to the
+ * `ucv` of the payload as UCAN 0.10 carries it there.
+ *
+ * @template {UCAN.Capabilities} C
+ * @param {Uint8Array} bytes
+ * @param {UCAN.Version|undefined} version
+ * @param {UCAN.ParseOptions} options
+ * @returns {{ucv: UCAN.Version, data: UCAN.Payload<C>}}
+ */
+const readPayload = (bytes, version, options) => {
   /** @type {Record<string, unknown>} */
-  const payload = json.decode(base64url.baseDecode(source))
-  return Schema.readJWTPayload(payload)
+  const payload = readJSON(bytes, "payload")
+  Schema.checkLimits(payload, options.limits)
+  const ucv = version || Schema.readVersion(payload.ucv, "ucv")
+  return { ucv, data: Schema.readJWTPayload(payload, ucv, options) }
+}
+
+/**
+ * Decodes base64url encoded JWT segment. In `lenient` mode padding is removed
+ * instead of failing.
+ *
+ * @param {string} source
+ * @param {string} segment
+ * @param {UCAN.ParseOptions} options
+ */
+const decodeSegment = (source, segment, options) => {
+  Limits.check(
+    "maxSegmentLength",
+    source.length,
+    options.limits,
+    "",
+    `JWT ${segment} segment length`
+  )
+  const unpadded =
+    options.mode === "lenient" && source.endsWith("=")
+      ? Schema.normalize(
+          options,
+          "",
+          `Removed base64 padding of the UCAN ${segment}`,
+          source.replace(/=+$/, "")
+        )
+      : source
+  try {
+    return base64url.baseDecode(unpadded)
+  } catch (cause) {
+    throw new Schema.ParseError(
+      "INVALID_JWT",
+      `Can't parse UCAN ${segment}, it is not a valid base64url string`,
+      { cause }
+    )
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} segment
+ */
+const readJSON = (bytes, segment) => {
+  try {
+    return json.decode(bytes)
+  } catch (cause) {
+    throw new Schema.ParseError(
+      "INVALID_JWT",
+      `Can't parse UCAN ${segment}, it is not a valid JSON`,
+      { cause }
+    )
+  }
 }
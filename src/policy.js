@@ -0,0 +1,587 @@
+import * as UCAN from "./ucan.js"
+import * as DAGJSON from "@ipld/dag-json"
+import * as Link from "multiformats/link"
+import { isEqual } from "./attenuation.js"
+import { readArray, readString, fail } from "./schema.js"
+
+/**
+ * @typedef {object} Segment
+ * @property {"field"|"index"|"iterator"} type
+ * @property {string} [name]
+ * @property {number} [index]
+ * @property {boolean} optional
+ */
+
+/**
+ * Parses policy from the DAG-JSON string.
+ *
+ * @param {string} source
+ * @returns {UCAN.Policy}
+ */
+export const parse = source => read(DAGJSON.parse(source))
+
+/**
+ * Formats policy as a DAG-JSON string.
+ *
+ * @param {UCAN.Policy} policy
+ * @returns {string}
+ */
+export const format = policy => DAGJSON.stringify(policy)
+
+/**
+ * Checks that input is a well formed policy and returns it. Throws
+ * `ParseError` pointing to the malformed statement otherwise.
+ *
+ * @param {unknown} input
+ * @param {string} [context]
+ * @returns {UCAN.Policy}
+ */
+export const read = (input, context = "pol") =>
+  readArray(input, readStatement, context)
+
+/**
+ * Like {@link read} except it returns result instead of throwing.
+ *
+ * @param {unknown} input
+ * @returns {UCAN.Result<UCAN.Policy, UCAN.UCANError>}
+ */
+export const validate = input => {
+  try {
+    return { ok: read(input) }
+  } catch (error) {
+    return { error: /** @type {UCAN.UCANError} */ (error) }
+  }
+}
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.Statement}
+ */
+export const readStatement = (input, context) => {
+  if (!Array.isArray(input) || typeof input[0] !== "string") {
+    return invalid(
+      `Expected ${context} to be a statement, instead got ${show(input)}`,
+      context
+    )
+  }
+
+  const [op, ...operands] = input
+  switch (op) {
+    case "==":
+    case "!=":
+      return [op, ...readOperands(operands, 2, context), operands[1]]
+    case ">":
+    case ">=":
+    case "<":
+    case "<=":
+      return [
+        op,
+        ...readOperands(operands, 2, context),
+        typeof operands[1] === "number"
+          ? operands[1]
+          : invalid(
+              `Expected ${context}[2] to be a number, instead got ${show(
+                operands[1]
+              )}`,
+              `${context}[2]`
+            ),
+      ]
+    case "like":
+      return [
+        op,
+        ...readOperands(operands, 2, context),
+        readString(operands[1], `${context}[2]`),
+      ]
+    case "not":
+      readArity(operands, 1, context)
+      return [op, readStatement(operands[0], `${context}[1]`)]
+    case "and":
+    case "or":
+      readArity(operands, 1, context)
+      return [op, readArray(operands[0], readStatement, `${context}[1]`)]
+    case "all":
+    case "any":
+      return [
+        op,
+        ...readOperands(operands, 2, context),
+        readStatement(operands[1], `${context}[2]`),
+      ]
+    default:
+      return invalid(
+        `Unknown operator '${context}[0]: ${show(op)}'`,
+        `${context}[0]`
+      )
+  }
+}
+
+/**
+ * Checks that statement has expected number of operands and that first one is
+ * a valid selector.
+ *
+ * @param {unknown[]} operands
+ * @param {number} arity
+ * @param {string} context
+ * @returns {[UCAN.Selector]}
+ */
+const readOperands = (operands, arity, context) => {
+  readArity(operands, arity, context)
+  return [readSelector(operands[0], `${context}[1]`)]
+}
+
+/**
+ * @param {unknown[]} operands
+ * @param {number} arity
+ * @param {string} context
+ */
+const readArity = (operands, arity, context) =>
+  operands.length === arity ||
+  invalid(
+    `Expected ${context} to have ${arity} operand(s), instead got ${operands.length}`,
+    context
+  )
+
+/**
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.Selector}
+ */
+export const readSelector = (input, context) => {
+  const selector = readString(input, context)
+  const result = parseSelector(selector)
+  return result.error
+    ? invalid(
+        `Invalid selector '${context}: ${show(selector)}', ${
+          result.error.message
+        }`,
+        context
+      )
+    : /** @type {UCAN.Selector} */ (selector)
+}
+
+/**
+ * Parses selector into segments.
+ *
+ * @param {string} selector
+ * @returns {UCAN.Result<Segment[], Error>}
+ */
+export const parseSelector = selector => {
+  if (!selector.startsWith(".")) {
+    return { error: new Error(`must start with "."`) }
+  }
+
+  /** @type {Segment[]} */
+  const segments = []
+  let offset = selector === "." ? 1 : 0
+  while (offset < selector.length) {
+    const match = SEGMENT.exec(selector.slice(offset))
+    if (!match || match[0].length === 0) {
+      return { error: new Error(`unexpected input at ${offset}`) }
+    }
+    // Regex captures exactly one of name, index or key, otherwise it matched
+    // an iterator.
+    const [token, name, index, key, , optional] = match
+    const segment =
+      name !== undefined
+        ? { type: "field", name }
+        : key !== undefined
+          ? { type: "field", name: JSON.parse(key) }
+          : index !== undefined
+            ? { type: "index", index: Number(index) }
+            : { type: "iterator" }
+
+    segments.push(
+      /** @type {Segment} */ ({ ...segment, optional: optional === "?" })
+    )
+    offset += token.length
+  }
+
+  return { ok: segments }
+}
+
+/**
+ * Matches a single selector segment: `.name`, `[0]`, `["key"]` or `[]`, where
+ * brackets may be preceded by `.` and every segment may be followed by `?`.
+ */
+const SEGMENT =
+  /^(?:\.([A-Za-z_][A-Za-z0-9_]*)|\.?\[(?:(-?\d+)|("(?:[^"\\]|\\.)*")|()\s*)\])(\?)?/
+
+/**
+ * Selects value from the `data` with the given `selector`. Fails if selected
+ * field or index does not exist unless segment is optional, in which case
+ * `null` is selected. Iterator `[]` selects all the values of the list or a
+ * map, remaining segments are applied to each one.
+ *
+ * @param {UCAN.Selector} selector
+ * @param {unknown} data
+ * @returns {UCAN.Result<{value: unknown}, Error>}
+ */
+export const select = (selector, data) => {
+  const result = parseSelector(selector)
+  return result.error ? result : selectSegments(selector, result.ok, data)
+}
+
+/**
+ * @param {UCAN.Selector} selector
+ * @param {Segment[]} segments
+ * @param {unknown} data
+ * @returns {UCAN.Result<{value: unknown}, Error>}
+ */
+const selectSegments = (selector, segments, data) => {
+  let value = data
+  for (const [offset, segment] of segments.entries()) {
+    if (segment.type === "iterator") {
+      const values = Array.isArray(value)
+        ? value
+        : isMap(value)
+          ? Object.values(value)
+          : null
+      if (values === null) {
+        return segment.optional
+          ? { ok: { value: null } }
+          : notFound(selector, `${show(value)} is not a list or a map`)
+      }
+      const rest = segments.slice(offset + 1)
+      const selected = []
+      for (const item of values) {
+        const result = selectSegments(selector, rest, item)
+        if (result.error) {
+          return result
+        }
+        selected.push(result.ok.value)
+      }
+      return { ok: { value: selected } }
+    }
+
+    const next =
+      segment.type === "field"
+        ? isMap(value) && hasOwnProperty.call(value, String(segment.name))
+          ? { value: value[String(segment.name)] }
+          : null
+        : Array.isArray(value)
+          ? at(value, Number(segment.index))
+          : null
+
+    if (next) {
+      value = next.value
+    } else if (segment.optional) {
+      return { ok: { value: null } }
+    } else {
+      return notFound(
+        selector,
+        segment.type === "field"
+          ? `${show(value)} has no field ${show(segment.name)}`
+          : `${show(value)} has no element at ${segment.index}`
+      )
+    }
+  }
+
+  return { ok: { value } }
+}
+
+const { hasOwnProperty } = Object.prototype
+
+/**
+ * @param {unknown[]} list
+ * @param {number} index
+ */
+const at = (list, index) => {
+  const offset = index < 0 ? list.length + index : index
+  return offset >= 0 && offset < list.length ? { value: list[offset] } : null
+}
+
+/**
+ * @param {UCAN.Selector} selector
+ * @param {string} reason
+ * @returns {{error: Error}}
+ */
+const notFound = (selector, reason) => ({
+  error: new Error(`Can not select ${selector}, ${reason}`),
+})
+
+/**
+ * Evaluates policy against the given `data`, usually arguments of the
+ * invocation or a {@link UCAN.Capability}. Returns `{ ok: {} }` if every
+ * statement holds, otherwise returns `{ error }` with a sub-statement that
+ * does not hold and its path within the policy. If sub-statement could not be
+ * evaluated, because selected value is missing or has unexpected type, error
+ * has a `cause` and it is not inverted by `not`.
+ *
+ * @param {UCAN.Policy} policy
+ * @param {unknown} data
+ * @returns {UCAN.Result<{}, PolicyViolation>}
+ */
+export const evaluate = (policy, data) => {
+  for (const [index, statement] of policy.entries()) {
+    const result = evaluateStatement(statement, data, `/${index}`)
+    if (result.error) {
+      return result
+    }
+  }
+  return { ok: {} }
+}
+
+/**
+ * @param {UCAN.Statement} statement
+ * @param {unknown} data
+ * @param {string} path
+ * @returns {UCAN.Result<{}, PolicyViolation>}
+ */
+export const evaluateStatement = (statement, data, path = "") => {
+  switch (statement[0]) {
+    case "not": {
+      const result = evaluateStatement(statement[1], data, `${path}/1`)
+      return result.error
+        ? result.error.cause
+          ? result
+          : { ok: {} }
+        : PolicyViolation.fail(
+            statement,
+            path,
+            `${show(statement[1])} must not hold`
+          )
+    }
+    case "and": {
+      for (const [index, member] of statement[1].entries()) {
+        const result = evaluateStatement(member, data, `${path}/1/${index}`)
+        if (result.error) {
+          return result
+        }
+      }
+      return { ok: {} }
+    }
+    case "or": {
+      const reasons = []
+      for (const [index, member] of statement[1].entries()) {
+        const result = evaluateStatement(member, data, `${path}/1/${index}`)
+        if (result.error) {
+          reasons.push(result.error.message)
+        } else {
+          return result
+        }
+      }
+      return reasons.length === 0
+        ? { ok: {} }
+        : PolicyViolation.fail(
+            statement,
+            path,
+            `None of the statements hold:\n${reasons
+              .map(reason => `  - ${reason}`)
+              .join("\n")}`
+          )
+    }
+    case "all":
+    case "any":
+      return evaluateQuantifier(statement, data, path)
+    default:
+      return evaluateComparison(statement, data, path)
+  }
+}
+
+/**
+ * @param {Extract<UCAN.Statement, [op: "all"|"any", ...rest: unknown[]]>} statement
+ * @param {unknown} data
+ * @param {string} path
+ * @returns {UCAN.Result<{}, PolicyViolation>}
+ */
+const evaluateQuantifier = (statement, data, path) => {
+  const [op, selector, predicate] = statement
+  const selected = select(selector, data)
+  if (selected.error) {
+    return unevaluable(statement, path, selected.error)
+  }
+
+  const { value } = selected.ok
+  const values = Array.isArray(value)
+    ? value
+    : isMap(value)
+      ? Object.values(value)
+      : null
+  if (values === null) {
+    return unevaluable(
+      statement,
+      path,
+      new TypeError(
+        `Expected ${selector} to be a list or a map, instead got ${show(value)}`
+      )
+    )
+  }
+
+  for (const item of values) {
+    const result = evaluateStatement(predicate, item, `${path}/2`)
+    if (op === "all" && result.error) {
+      return result
+    } else if (op === "any" && result.ok) {
+      return result
+    }
+  }
+
+  return op === "all"
+    ? { ok: {} }
+    : PolicyViolation.fail(
+        statement,
+        path,
+        `None of the elements of ${selector} satisfy ${show(predicate)}`
+      )
+}
+
+/**
+ * @param {Extract<UCAN.Statement, [op: UCAN.Comparison|"like", ...rest: unknown[]]>} statement
+ * @param {unknown} data
+ * @param {string} path
+ * @returns {UCAN.Result<{}, PolicyViolation>}
+ */
+const evaluateComparison = (statement, data, path) => {
+  const [op, selector, expected] = statement
+  const selected = select(selector, data)
+  if (selected.error) {
+    return unevaluable(statement, path, selected.error)
+  }
+
+  const actual = selected.ok.value
+  const type =
+    op === "like" ? "string" : op === "==" || op === "!=" ? null : "number"
+  if (type && typeof actual !== type) {
+    return unevaluable(
+      statement,
+      path,
+      new TypeError(
+        `Expected ${selector} to be a ${type}, instead got ${show(actual)}`
+      )
+    )
+  }
+
+  return compare(op, actual, expected)
+    ? { ok: {} }
+    : PolicyViolation.fail(
+        statement,
+        path,
+        `Expected ${selector} ${op} ${show(expected)}, instead got ${show(
+          actual
+        )}`
+      )
+}
+
+/**
+ * Creates violation for the statement that could not be evaluated.
+ *
+ * @param {UCAN.Statement} statement
+ * @param {string} path
+ * @param {Error} cause
+ */
+const unevaluable = (statement, path, cause) =>
+  PolicyViolation.fail(statement, path, cause.message, cause)
+
+/**
+ * Compares values of the types checked by the caller.
+ *
+ * @param {UCAN.Comparison|"like"} op
+ * @param {any} actual
+ * @param {any} expected
+ */
+const compare = (op, actual, expected) => {
+  switch (op) {
+    case "==":
+      return isEqual(actual, expected)
+    case "!=":
+      return !isEqual(actual, expected)
+    case "like":
+      return like(actual, expected)
+    case ">":
+      return actual > expected
+    case ">=":
+      return actual >= expected
+    case "<":
+      return actual < expected
+    default:
+      return actual <= expected
+  }
+}
+
+/**
+ * Matches string against a glob pattern where `*` matches any number of
+ * characters and `\*` matches a literal `*`.
+ *
+ * @param {string} value
+ * @param {string} pattern
+ */
+export const like = (value, pattern) => {
+  const source = pattern
+    .split(/(\\\*|\*)/)
+    .map(part =>
+      part === "*"
+        ? "[\\s\\S]*"
+        : part === "\\*"
+          ? "\\*"
+          : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("")
+  return new RegExp(`^${source}$`).test(value)
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+const isMap = value =>
+  value != null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Uint8Array) &&
+  !Link.isLink(value)
+
+/**
+ * @param {unknown} value
+ */
+const show = value => {
+  try {
+    return DAGJSON.stringify(value)
+  } catch (_) {
+    return String(value)
+  }
+}
+
+/**
+ * @param {string} message
+ * @param {string} context
+ * @returns {never}
+ */
+const invalid = (message, context) => fail(message, context, "INVALID_POLICY")
+
+/**
+ * @implements {UCAN.PolicyViolation}
+ */
+export class PolicyViolation extends Error {
+  /**
+   * @param {UCAN.Statement} statement
+   * @param {string} path
+   * @param {string} message
+   * @param {unknown} [cause]
+   */
+  constructor(statement, path, message, cause) {
+    // @ts-expect-error - types don't know about second arg
+    super(message, { cause })
+    this.statement = statement
+    this.path = path
+    /** @type {unknown} */
+    this.cause = cause
+  }
+  get name() {
+    return "PolicyViolation"
+  }
+  /** @type {"POLICY_VIOLATION"} */
+  get code() {
+    return "POLICY_VIOLATION"
+  }
+
+  /**
+   * @param {UCAN.Statement} statement
+   * @param {string} path
+   * @param {string} message
+   * @param {unknown} [cause]
+   * @returns {{error: PolicyViolation}}
+   */
+  static fail(statement, path, message, cause) {
+    return { error: new this(statement, path, message, cause) }
+  }
+}
@@ -0,0 +1,114 @@
+import * as UCAN from "./ucan.js"
+import * as DID from "./did.js"
+import * as Ed25519 from "./signer/ed25519.js"
+import * as P256 from "./signer/p256.js"
+import * as P384 from "./signer/p384.js"
+import * as P521 from "./signer/p521.js"
+import { varint } from "multiformats"
+
+/**
+ * Signature algorithms supported out of the box.
+ *
+ * @type {UCAN.VerifierAlgorithm[]}
+ */
+export const algorithms = [
+  {
+    name: Ed25519.name,
+    code: DID.ED25519,
+    signatureCode: Ed25519.signatureCode,
+    signatureAlgorithm: Ed25519.signatureAlgorithm,
+    decode: Ed25519.decodeVerifier,
+  },
+  ...[P256, P384, P521].map(
+    ({ name, code, signatureCode, signatureAlgorithm, decodeVerifier }) => ({
+      name,
+      code,
+      signatureCode,
+      signatureAlgorithm,
+      decode: decodeVerifier,
+    })
+  ),
+]
+
+/**
+ * Creates a registry of signature algorithms which can be used to derive
+ * verifiers from the `did:key` principals. By default registry contains
+ * {@link algorithms}, others (e.g. `SECP256K1` or `RSA`) can be added via
+ * `registry.register(algorithm)`.
+ *
+ * @param {UCAN.VerifierAlgorithm[]} [entries]
+ */
+export const create = (entries = algorithms) => new Registry(entries)
+
+/**
+ * @implements {UCAN.VerifierRegistry}
+ */
+class Registry {
+  /**
+   * @param {UCAN.VerifierAlgorithm[]} algorithms
+   */
+  constructor(algorithms) {
+    /** @type {Map<number, UCAN.VerifierAlgorithm>} */
+    this.algorithms = new Map(
+      algorithms.map(algorithm => [algorithm.code, algorithm])
+    )
+  }
+
+  /**
+   * Returns new registry which in addition contains given algorithm. If
+   * algorithm for the same key type already exists it is replaced.
+   *
+   * @param {UCAN.VerifierAlgorithm} algorithm
+   */
+  register(algorithm) {
+    return new Registry([...this.algorithms.values(), algorithm])
+  }
+
+  /**
+   * Derives verifier for the given `did:key` principal. Fails if there is no
+   * algorithm registered for the key type or if `signature` was given and
+   * it was not produced by the key of this type.
+   *
+   * @param {UCAN.PrincipalView} principal
+   * @param {UCAN.SignatureView} [signature]
+   * @returns {Promise<UCAN.Result<UCAN.Verifier, Error>>}
+   */
+  async verifier(principal, signature) {
+    const [code] = varint.decode(principal)
+    const did = principal.did()
+    if (code === DID.DID_CORE) {
+      return {
+        error: new Error(
+          `Can not derive verifier for ${did}, only did:key principals are supported`
+        ),
+      }
+    }
+
+    const algorithm = this.algorithms.get(code)
+    if (!algorithm) {
+      return {
+        error: new Error(
+          `No verifier is registered for key type 0x${code.toString(
+            16
+          )} of ${did}`
+        ),
+      }
+    }
+
+    if (signature && signature.code !== algorithm.signatureCode) {
+      return {
+        error: new Error(
+          `Signature algorithm ${signature.algorithm} does not match ${algorithm.name} key of ${did} which requires ${algorithm.signatureAlgorithm}`
+        ),
+      }
+    }
+
+    try {
+      return { ok: await algorithm.decode(principal) }
+    } catch (cause) {
+      return { error: /** @type {Error} */ (cause) }
+    }
+  }
+}
+
+export const registry = create()
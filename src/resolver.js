@@ -0,0 +1,251 @@
+import * as UCAN from "./ucan.js"
+import * as DID from "./did.js"
+import { registry as defaultRegistry } from "./registry.js"
+import { base58btc } from "multiformats/bases/base58"
+import { DIDError } from "./error.js"
+
+/**
+ * Creates resolver that looks up DID documents from the given set.
+ *
+ * @param {UCAN.DIDDocument[]} documents
+ * @returns {UCAN.DIDResolver}
+ */
+export const memory = documents => new MemoryResolver(documents)
+
+/**
+ * @implements {UCAN.DIDResolver}
+ */
+class MemoryResolver {
+  /**
+   * @param {UCAN.DIDDocument[]} documents
+   */
+  constructor(documents) {
+    /** @type {Map<UCAN.DID, UCAN.DIDDocument>} */
+    this.documents = new Map(documents.map(document => [document.id, document]))
+  }
+
+  /**
+   * @template {UCAN.DID} ID
+   * @param {ID} did
+   * @returns {Promise<UCAN.Result<UCAN.DIDDocument<ID>, Error>>}
+   */
+  async resolve(did) {
+    const document = this.documents.get(did)
+    return document
+      ? { ok: /** @type {UCAN.DIDDocument<ID>} */ (document) }
+      : {
+          error: new DIDError(
+            "DID_RESOLUTION_FAILED",
+            `DID document for ${did} is not found`
+          ),
+        }
+  }
+}
+
+/**
+ * @typedef {object} WebResolverOptions
+ * @property {typeof globalThis.fetch} [fetch] - Fetch implementation used to
+ * load DID documents, defaults to `globalThis.fetch`.
+ */
+
+/**
+ * Creates `did:web` resolver which loads DID documents over HTTPS as per
+ * https://w3c-ccg.github.io/did-method-web/#read-resolve
+ *
+ * @param {WebResolverOptions} [options]
+ * @returns {UCAN.DIDResolver}
+ */
+export const web = (options = {}) =>
+  new WebResolver(options.fetch || globalThis.fetch.bind(globalThis))
+
+/**
+ * @implements {UCAN.DIDResolver}
+ */
+class WebResolver {
+  /**
+   * @param {typeof globalThis.fetch} fetch
+   */
+  constructor(fetch) {
+    this.fetch = fetch
+  }
+
+  /**
+   * @template {UCAN.DID} ID
+   * @param {ID} did
+   * @returns {Promise<UCAN.Result<UCAN.DIDDocument<ID>, Error>>}
+   */
+  async resolve(did) {
+    let url
+    try {
+      url = toURL(did)
+    } catch (error) {
+      return { error: /** @type {Error} */ (error) }
+    }
+
+    try {
+      const response = await this.fetch(url)
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`)
+      }
+
+      const document = await response.json()
+      if (document?.id !== did) {
+        throw new Error(`Document id ${document?.id} does not match`)
+      }
+
+      return { ok: document }
+    } catch (cause) {
+      return {
+        error: new DIDError(
+          "DID_RESOLUTION_FAILED",
+          `Failed to resolve DID document for ${did} from ${url}`,
+          { cause }
+        ),
+      }
+    }
+  }
+}
+
+/**
+ * Maps `did:web` to the URL of its DID document.
+ *
+ * @param {UCAN.DID} did
+ */
+export const toURL = did => {
+  if (!did.startsWith("did:web:")) {
+    DIDError.throw("INVALID_DID", `Expected did:web instead got ${did}`)
+  }
+
+  const [host, ...path] = did
+    .slice("did:web:".length)
+    .split(":")
+    .map(decodeURIComponent)
+  const pathname = path.length > 0 ? path.join("/") : ".well-known"
+  return new URL(`https://${host}/${pathname}/did.json`)
+}
+
+/**
+ * @typedef {object} VerifierOptions
+ * @property {UCAN.DIDResolver} resolver
+ * @property {UCAN.VerifierRegistry} [registry]
+ * @property {UCAN.SignatureView} [signature] - If provided, only verification
+ * methods with keys producing signatures of the same algorithm are used.
+ */
+
+/**
+ * Derives verifier for the given DID from the verification methods of its DID
+ * document. Returned verifier reports given DID and accepts signatures made by
+ * any of the verification method keys.
+ *
+ * @template {UCAN.DID} ID
+ * @param {UCAN.Principal<ID>} principal
+ * @param {VerifierOptions} options
+ * @returns {Promise<UCAN.Result<UCAN.Verifier<ID>, Error>>}
+ */
+export const verifier = async (
+  principal,
+  { resolver, registry = defaultRegistry, signature }
+) => {
+  const did = principal.did()
+  const result = await resolver.resolve(did)
+  if (result.error) {
+    return result
+  }
+
+  /** @type {UCAN.Verifier[]} */
+  const verifiers = []
+  for (const method of readAssertionMethods(result.ok)) {
+    const key = readKey(method)
+    const derived = key && (await registry.verifier(key, signature))
+    if (derived && derived.ok) {
+      verifiers.push(derived.ok)
+    }
+  }
+
+  if (verifiers.length === 0) {
+    return {
+      error: new DIDError(
+        "DID_RESOLUTION_FAILED",
+        signature
+          ? `DID document of ${did} has no verification methods for ${signature.algorithm} signatures`
+          : `DID document of ${did} has no supported verification methods`
+      ),
+    }
+  }
+
+  return { ok: new DIDVerifier(did, verifiers) }
+}
+
+/**
+ * @template {UCAN.DID} ID
+ * @implements {UCAN.Verifier<ID>}
+ */
+class DIDVerifier {
+  /**
+   * @param {ID} id
+   * @param {UCAN.Verifier[]} verifiers
+   */
+  constructor(id, verifiers) {
+    this.id = id
+    this.verifiers = verifiers
+  }
+  did() {
+    return this.id
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @param {UCAN.Signature<T>} signature
+   */
+  async verify(payload, signature) {
+    for (const verifier of this.verifiers) {
+      if (await verifier.verify(payload, signature)) {
+        return true
+      }
+    }
+    return false
+  }
+}
+
+/**
+ * @param {UCAN.DIDDocument} document
+ */
+const readAssertionMethods = ({
+  id: did,
+  verificationMethod = [],
+  assertionMethod,
+}) => {
+  if (!assertionMethod) {
+    return verificationMethod
+  }
+
+  const methods = []
+  for (const method of assertionMethod) {
+    if (typeof method !== "string") {
+      methods.push(method)
+    } else {
+      // References may be relative to the document e.g. `#key-1`
+      const found = verificationMethod.find(
+        ({ id }) => id === method || id === `${did}${method}`
+      )
+      if (found) {
+        methods.push(found)
+      }
+    }
+  }
+  return methods
+}
+
+/**
+ * @param {UCAN.VerificationMethod} method
+ */
+const readKey = ({ publicKeyMultibase }) => {
+  try {
+    return publicKeyMultibase
+      ? DID.decode(base58btc.decode(publicKeyMultibase))
+      : null
+  } catch (_) {
+    return null
+  }
+}
@@ -0,0 +1,109 @@
+import * as UCAN from "./ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as DID from "./did.js"
+import * as UTF8 from "./utf8.js"
+import { readPrincipal, readProof, readSignature } from "./schema.js"
+
+export const code = CBOR.code
+
+/**
+ * Returns payload that issuer signs to revoke UCAN with the given CID.
+ *
+ * @param {UCAN.Link} link
+ * @returns {UCAN.ByteView<string>}
+ */
+export const challenge = link => UTF8.encode(`REVOKE:${link}`)
+
+/**
+ * Creates a revocation record for the UCAN with `options.revoke` CID, which
+ * can be obtained via `UCAN.link(ucan)`.
+ *
+ * @param {UCAN.RevocationOptions} options
+ * @returns {Promise<UCAN.Revocation>}
+ */
+export const issue = async ({ issuer, revoke }) => ({
+  iss: DID.parse(issuer.did()),
+  revoke,
+  challenge: await issuer.sign(challenge(revoke)),
+})
+
+/**
+ * Verifies that revocation was signed by its issuer.
+ *
+ * @param {UCAN.Revocation} revocation
+ * @param {UCAN.Verifier} verifier
+ */
+export const verify = (revocation, verifier) =>
+  revocation.iss.did() === verifier.did() &&
+  verifier.verify(challenge(revocation.revoke), revocation.challenge)
+
+/**
+ * Encodes revocation record as DAG-CBOR.
+ *
+ * @param {UCAN.Revocation} revocation
+ * @returns {UCAN.ByteView<UCAN.Revocation>}
+ */
+export const encode = ({ iss, revoke, challenge }) =>
+  /** @type {UCAN.ByteView<UCAN.Revocation>} */ (
+    CBOR.encode({
+      iss: new Uint8Array(iss),
+      revoke,
+      challenge: new Uint8Array(challenge),
+    })
+  )
+
+/**
+ * Decodes revocation record from DAG-CBOR. It does not verify the signature.
+ *
+ * @param {UCAN.ByteView<UCAN.Revocation>} bytes
+ * @returns {UCAN.Revocation}
+ */
+export const decode = bytes => {
+  const data = CBOR.decode(bytes)
+  return {
+    iss: readPrincipal(data.iss, "iss"),
+    revoke: readProof(data.revoke, "revoke"),
+    challenge: /** @type {UCAN.SignatureView<string>} */ (
+      readSignature(data.challenge, "challenge")
+    ),
+  }
+}
+
+/**
+ * Creates in-memory revocation store.
+ *
+ * @param {UCAN.Revocation[]} [revocations]
+ */
+export const memory = (revocations = []) => new MemoryStore(revocations)
+
+/**
+ * @implements {UCAN.RevocationStore}
+ */
+class MemoryStore {
+  /**
+   * @param {UCAN.Revocation[]} revocations
+   */
+  constructor(revocations) {
+    /** @type {Map<string, UCAN.Revocation[]>} */
+    this.revocations = new Map()
+    for (const revocation of revocations) {
+      this.add(revocation)
+    }
+  }
+
+  /**
+   * @param {UCAN.Revocation} revocation
+   */
+  add(revocation) {
+    const key = revocation.revoke.toString()
+    this.revocations.set(key, [...this.find(revocation.revoke), revocation])
+    return this
+  }
+
+  /**
+   * @param {UCAN.Link} link
+   */
+  find(link) {
+    return this.revocations.get(link.toString()) || []
+  }
+}
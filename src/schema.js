@@ -5,28 +5,152 @@ import { identity } from "multiformats/hashes/identity"
 import * as DID from "./did.js"
 import * as raw from "multiformats/codecs/raw"
 import * as Signature from "./signature.js"
+import * as Limits from "./limits.js"
+import { ParseError, DIDError, SignatureError, toPath } from "./error.js"
+
+export { ParseError }
 
 /**
  * @template {UCAN.Capabilities} C
  * @param {Record<string, unknown>|UCAN.Payload<C>} data
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.Payload<C>}
  */
-export const readPayload = data =>
-  readPayloadWith(data, {
-    readPrincipal,
-    readProof,
-  })
+export const readPayload = (data, options) =>
+  readPayloadWith(
+    data,
+    {
+      readPrincipal,
+      readProof,
+    },
+    options
+  )
 
 /**
+ * Fields of the JWT header defined by the spec.
+ */
+export const HEADER_FIELDS = new Set(["alg", "typ", "ucv"])
+
+/**
+ * Fields of the payload defined by the spec in any of the supported versions.
+ */
+export const PAYLOAD_FIELDS = new Set([
+  "ucv",
+  "iss",
+  "aud",
+  "att",
+  "cap",
+  "exp",
+  "nbf",
+  "nnc",
+  "fct",
+  "prf",
+])
+
+/**
+ * Reads payload of the JWT formatted UCAN in the shape of the given version
+ * into a normalized model. UCAN 0.10 capabilities (`cap` map of resources to
+ * abilities to caveats) are normalized into `att` capabilities, each caveat
+ * becoming `nb` of a separate capability, and facts map becomes a single
+ * fact. UCAN 0.10 proofs may also be a `prf` map keyed by proof CIDs, in which
+ * case keys are read as proofs. UCAN 0.8 and 0.9 payloads already are in the
+ * normalized shape.
+ *
  * @template {UCAN.Capabilities} C
  * @param {Record<string, unknown>|UCAN.Payload<C>} data
+ * @param {UCAN.Version} [version]
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.Payload<C>}
  */
-export const readJWTPayload = data =>
-  readPayloadWith(data, {
-    readPrincipal: readStringPrincipal,
-    readProof: readStringProof,
-  })
+export const readJWTPayload = (data, version = "0.9.1", options) =>
+  readPayloadWith(
+    data,
+    {
+      readPrincipal: readStringPrincipal,
+      readProof: readStringProof,
+      readExtensions: (data, options) =>
+        rejectInStrictMode(pickExtensions(data, PAYLOAD_FIELDS), options, ""),
+      readTime: readJWTTimestamp,
+      ...(hasCapabilityMap(version) && {
+        readCapabilities: (data, options) =>
+          readCapabilityMap(data.cap, "cap", options),
+        readFacts: data =>
+          data.fct === undefined ? [] : [readFact(data.fct, "fct")],
+        readProofs: data =>
+          isProofMap(data.prf)
+            ? Object.keys(data.prf).map(key =>
+                readStringProof(key, `prf[${JSON.stringify(key)}]`)
+              )
+            : readProofList(data, readStringProof),
+      }),
+    },
+    options
+  )
+
+/**
+ * Checks that decoded payload (or IPLD model) is within the given limits
+ * before it is read, so that hostile tokens are rejected early. Throws
+ * `LimitError` if any of the limits is exceeded.
+ *
+ * @param {Record<string, any>} data
+ * @param {Partial<UCAN.Limits>} [limits]
+ */
+export const checkLimits = (data, limits) => {
+  Limits.checkDepth(data, limits)
+  if (Array.isArray(data.att)) {
+    Limits.check("maxCapabilities", data.att.length, limits, "att")
+  } else if (data.cap != null && typeof data.cap === "object") {
+    Limits.check("maxCapabilities", countCaveats(data.cap), limits, "cap")
+  }
+  if (Array.isArray(data.prf)) {
+    Limits.check("maxProofs", data.prf.length, limits, "prf")
+  } else if (isProofMap(data.prf)) {
+    Limits.check("maxProofs", Object.keys(data.prf).length, limits, "prf")
+  }
+  if (Array.isArray(data.fct)) {
+    Limits.check("maxFacts", data.fct.length, limits, "fct")
+  }
+}
+
+/**
+ * Counts caveats of the UCAN 0.10 capabilities map, each of which is read as
+ * a separate capability.
+ *
+ * @param {object} cap
+ */
+const countCaveats = cap =>
+  Object.values(cap).reduce(
+    (count, abilities) =>
+      abilities != null && typeof abilities === "object"
+        ? Object.values(abilities).reduce(
+            (count, caveats) =>
+              count + (Array.isArray(caveats) ? caveats.length : 0),
+            count
+          )
+        : count,
+    0
+  )
+
+/**
+ * Returns `true` if UCANs of the given version represent capabilities as a
+ * `cap` map and facts as a map (UCAN 0.10) as opposed to `att` and `fct`
+ * arrays (UCAN 0.8 and 0.9).
+ *
+ * @param {UCAN.Version} version
+ */
+export const hasCapabilityMap = version => {
+  const [major, minor] = version.split(".").map(Number)
+  return major === 0 && minor >= 10
+}
+
+/**
+ * @typedef {(data: Record<string, any>, options: UCAN.ParseOptions) => UCAN.Capabilities} CapabilitiesReader
+ * @typedef {(data: Record<string, any>) => UCAN.Fact[]} FactsReader
+ * @typedef {(data: Record<string, any>) => UCAN.Link[]} ProofsReader
+ * @typedef {(data: Record<string, any>, options: UCAN.ParseOptions) => UCAN.Extensions|undefined} ExtensionsReader
+ * @typedef {(input: unknown, context: string, options: UCAN.ParseOptions) => UCAN.UTCUnixTimestamp} TimeReader
+ */
+
 /**
  *
  * @template {UCAN.Capabilities} C
@@ -34,33 +158,325 @@ export const readJWTPayload = data =>
  * @param {object} readers
  * @param {(source:unknown, context:string) => UCAN.Principal} readers.readPrincipal
  * @param {(source:unknown, context:string) => UCAN.Link} readers.readProof
+ * @param {CapabilitiesReader} [readers.readCapabilities]
+ * @param {FactsReader} [readers.readFacts]
+ * @param {ProofsReader} [readers.readProofs]
+ * @param {ExtensionsReader} [readers.readExtensions]
+ * @param {TimeReader} [readers.readTime]
+ * @param {UCAN.ParseOptions} [options]
  * @returns {UCAN.Payload<C>}
  */
-const readPayloadWith = (data, { readPrincipal, readProof }) => ({
-  iss: readPrincipal(data.iss, "iss"),
-  aud: readPrincipal(data.aud, "aud"),
-  att: readCapabilities(data.att, "att"),
-  prf: readOptionalArray(data.prf, readProof, "prf") || [],
-  exp: readNullable(data.exp === Infinity ? null : data.exp, readInt, "exp"),
-  nbf: readOptional(data.nbf, readInt, "nbf"),
-  fct: readOptionalArray(data.fct, readFact, "fct") || [],
-  nnc: readOptional(data.nnc, readString, "nnc"),
-})
+const readPayloadWith = (
+  data,
+  {
+    readPrincipal,
+    readProof,
+    readCapabilities = readAttenuation,
+    readFacts = readFactList,
+    readProofs = data => readProofList(data, readProof),
+    readExtensions = readPayloadExtensions,
+    readTime = readTimestamp,
+  },
+  options = {}
+) => {
+  const ext = readExtensions(data, options)
+
+  /**
+   * @param {unknown} input
+   * @param {string} context
+   */
+  const readTimeWith = (input, context) => readTime(input, context, options)
+  const exp = readNullable(
+    data.exp === Infinity ? null : data.exp,
+    readTimeWith,
+    "exp"
+  )
+  const nbf = readOptional(data.nbf, readTimeWith, "nbf")
+  if (options.mode === "strict" && nbf != null && exp != null && nbf > exp) {
+    fail(`Expected nbf ${nbf} to be less than or equal to exp ${exp}`, "nbf")
+  }
+
+  return {
+    iss: readCanonicalPrincipal(readPrincipal(data.iss, "iss"), "iss", options),
+    aud: readCanonicalPrincipal(readPrincipal(data.aud, "aud"), "aud", options),
+    att: /** @type {C} */ (readCapabilities(data, options)),
+    prf: readProofs(data),
+    exp,
+    nbf,
+    fct: readFacts(data),
+    nnc: readOptional(data.nnc, readString, "nnc"),
+    ...(ext && { ext }),
+  }
+}
+
+/**
+ * Timestamps greater than this are assumed to be in milliseconds, as they
+ * would be past year 5000 in seconds.
+ */
+const MAX_SECONDS = 1e11
+
+/**
+ * Reads `exp` or `nbf` timestamp. Negative timestamps are rejected in `strict`
+ * mode.
+ *
+ * @type {TimeReader}
+ */
+export const readTimestamp = (input, context, options) => {
+  const time = readInt(input, context)
+  return options.mode === "strict" && time < 0
+    ? fail(
+        `Expected ${context} to be a non-negative timestamp, instead got ${time}`,
+        context
+      )
+    : time
+}
+
+/**
+ * Reads `exp` or `nbf` timestamp of the JWT, where millisecond timestamps are
+ * converted into seconds in `lenient` mode. IPLD representation is produced
+ * by this library, so its timestamps are read as they are.
+ *
+ * @type {TimeReader}
+ */
+const readJWTTimestamp = (input, context, options) => {
+  const time = readTimestamp(input, context, options)
+  return options.mode === "lenient" && time > MAX_SECONDS
+    ? normalize(
+        options,
+        context,
+        `Converted ${context} from milliseconds to seconds`,
+        Math.floor(time / 1000)
+      )
+    : time
+}
+
+/**
+ * DID method names are lowercase, which is required in `strict` mode.
+ *
+ * @template {UCAN.Principal} P
+ * @param {P} principal
+ * @param {string} context
+ * @param {UCAN.ParseOptions} options
+ * @returns {P}
+ */
+const readCanonicalPrincipal = (principal, context, options) =>
+  options.mode !== "strict" || /^did:[a-z0-9]+:/.test(principal.did())
+    ? principal
+    : fail(
+        `Expected ${context} to be a DID with lowercase method name, instead got "${principal.did()}"`,
+        context
+      )
+
+/**
+ * Reports normalization to the `onNormalize` callback and returns the
+ * normalized value.
+ *
+ * @template T
+ * @param {UCAN.ParseOptions} options
+ * @param {string} context
+ * @param {string} message
+ * @param {T} value
+ * @returns {T}
+ */
+export const normalize = ({ onNormalize }, context, message, value) => {
+  if (onNormalize) {
+    onNormalize({ path: toPath(context), message })
+  }
+  return value
+}
+
+/**
+ * Throws on the first of the given fields, which are not defined by the spec
+ * and therefore are not allowed in `strict` mode.
+ *
+ * @param {UCAN.Extensions} extensions
+ * @param {UCAN.ErrorCode} code
+ * @param {string} [context] - Field holding the extensions, if any.
+ * @returns {never}
+ */
+export const failOnExtensions = (extensions, code, context = "") => {
+  const [key] = Object.keys(extensions)
+  return fail(
+    `Unknown field "${key}" is not allowed in strict mode`,
+    `${context}[${JSON.stringify(key)}]`,
+    code
+  )
+}
+
+/** @type {CapabilitiesReader} */
+const readAttenuation = (data, options) =>
+  readCapabilities(data.att, "att", options)
+
+/**
+ * @param {Record<string, any>} data
+ * @param {(source:unknown, context:string) => UCAN.Link} readProof
+ */
+const readProofList = (data, readProof) =>
+  readOptionalArray(data.prf, readProof, "prf") || []
+
+/**
+ * UCAN 0.10 `prf` map, as opposed to a list of proofs.
+ *
+ * @param {unknown} prf
+ * @returns {prf is Record<string, unknown>}
+ */
+const isProofMap = prf =>
+  prf != null && typeof prf === "object" && !Array.isArray(prf)
+
+/** @type {FactsReader} */
+const readFactList = data => readOptionalArray(data.fct, readFact, "fct") || []
+
+/** @type {ExtensionsReader} */
+const readPayloadExtensions = (data, options) =>
+  rejectInStrictMode(
+    readOptional(
+      data.ext,
+      (input, context) => readExtensions(input, PAYLOAD_FIELDS, context),
+      "ext"
+    ),
+    options,
+    "ext"
+  )
+
+/**
+ * Returns given payload extensions unless in `strict` mode, which does not
+ * allow them.
+ *
+ * @param {UCAN.Extensions|undefined} ext
+ * @param {UCAN.ParseOptions} options
+ * @param {string} context - Field holding the extensions.
+ */
+const rejectInStrictMode = (ext, options, context) => {
+  if (ext && options.mode === "strict") {
+    failOnExtensions(ext, "INVALID_FIELD", context)
+  }
+  return ext
+}
+
+/**
+ * Returns fields of the JWT header or payload that are not defined by the
+ * spec or `undefined` if there are none.
+ *
+ * @param {object} data
+ * @param {Set<string>} fields - Fields defined by the spec.
+ * @returns {UCAN.Extensions|undefined}
+ */
+export const pickExtensions = (data, fields) => {
+  const entries = Object.entries(data).filter(([key]) => !fields.has(key))
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined
+}
+
+/**
+ * Reads extensions of the IPLD representation. They are merged into the JWT
+ * header or payload when formatted, which is why they can not contain fields
+ * defined by the spec.
+ *
+ * @param {unknown} input
+ * @param {Set<string>} fields - Fields defined by the spec.
+ * @param {string} context
+ * @returns {UCAN.Extensions}
+ */
+export const readExtensions = (input, fields, context) =>
+  readStruct(
+    input,
+    data => {
+      for (const key of Object.keys(data)) {
+        if (fields.has(key)) {
+          fail(
+            `${context} can not contain "${key}" field defined by the spec`,
+            `${context}.${key}`
+          )
+        }
+      }
+      return /** @type {UCAN.Extensions} */ (data)
+    },
+    context
+  )
 
 /**
+ * Reads UCAN 0.10 `{ [resource]: { [ability]: caveats[] } }` capabilities into
+ * a list of capabilities, one per caveat. Empty caveat `{}` means no caveats
+ * and is read as a capability without `nb`.
+ *
+ * @param {unknown} input
+ * @param {string} context
+ * @param {UCAN.ParseOptions} [options]
+ * @returns {UCAN.Capabilities}
+ */
+export const readCapabilityMap = (input, context, options) =>
+  /** @type {UCAN.Capabilities} */ (
+    Array.isArray(input)
+      ? fail(
+          `${context} must be a map of resources, instead got an array`,
+          context
+        )
+      : readStruct(
+          input,
+          resources =>
+            Object.entries(resources).flatMap(([resource, abilities]) => {
+              const scope = `${context}[${JSON.stringify(resource)}]`
+              return Object.entries(
+                readStruct(abilities, Object, scope)
+              ).flatMap(([ability, caveats]) => {
+                const path = `${scope}[${JSON.stringify(ability)}]`
+                const list = readArray(caveats, readFact, path)
+                return list.length > 0
+                  ? list.map((caveat, n) =>
+                      asCapability(
+                        {
+                          with: resource,
+                          can: ability,
+                          ...(Object.keys(caveat).length > 0 && { nb: caveat }),
+                        },
+                        `${path}[${n}]`,
+                        options
+                      )
+                    )
+                  : fail(`${path} must have at least one caveat`, path)
+              })
+            }),
+          context
+        )
+  )
+
+/**
+ * Reads signature and checks size of the raw signature against the limits.
+ * Truncated signatures fail to decode their varint prefix, which is reported
+ * as `INVALID_SIGNATURE` like the rest of malformed signatures.
+ *
  * @template {unknown} T
  * @template {number} A
  * @param {UCAN.ByteView<UCAN.Signature<T, A>>|unknown} source
+ * @param {string} [context]
+ * @param {Partial<UCAN.Limits>} [limits]
  */
-export const readSignature = source => {
-  if (source instanceof Uint8Array) {
-    return Signature.decode(source)
-  } else {
-    throw new TypeError(
-      `Can only decode Uint8Array into a Signature, instead got ${JSON.stringify(
-        source
-      )}`
+export const readSignature = (source, context = "s", limits) => {
+  const signature = decodeSignature(source, context)
+  Limits.check("maxSignatureSize", signature.raw.byteLength, limits, context)
+  return signature
+}
+
+/**
+ * @template {unknown} T
+ * @template {number} A
+ * @param {UCAN.ByteView<UCAN.Signature<T, A>>|unknown} source
+ * @param {string} context
+ * @returns {UCAN.SignatureView<T, A>}
+ */
+const decodeSignature = (source, context) => {
+  try {
+    return Signature.decode(
+      /** @type {UCAN.ByteView<UCAN.Signature<T, A>>} */ (source)
     )
+  } catch (error) {
+    const path = toPath(context)
+    throw error instanceof SignatureError
+      ? new ParseError(error.code, error.message, { path, cause: error })
+      : new ParseError(
+          "INVALID_SIGNATURE",
+          `Malformed signature: ${/** @type {Error} */ (error).message}`,
+          { path, cause: error }
+        )
   }
 }
 
@@ -72,72 +488,122 @@ export const readSignature = source => {
 export const readInt = (input, name) =>
   Number.isInteger(input)
     ? /** @type {number} */ (input)
-    : ParseError.throw(
-        `Expected ${name} to be integer, instead got ${JSON.stringify(input)}`
+    : fail(
+        `Expected ${name} to be integer, instead got ${JSON.stringify(input)}`,
+        name
       )
 
 /**
  * @param {unknown} input
  * @param {string} context
+ * @param {UCAN.ParseOptions} [options]
  */
 
-export const readCapability = (input, context) =>
-  readStruct(input, asCapability, context)
+export const readCapability = (input, context, options) =>
+  readStruct(input, input => asCapability(input, context, options), context)
 
 /**
  * @template {UCAN.Capabilities} C
  * @param {unknown|C} input
  * @param {string} context
+ * @param {UCAN.ParseOptions} [options]
  * @returns {C}
  */
-export const readCapabilities = (input, context) =>
-  /** @type {C} */ (readArray(input, readCapability, context))
+export const readCapabilities = (input, context, options) =>
+  /** @type {C} */ (
+    readArray(
+      input,
+      (input, context) => readCapability(input, context, options),
+      context
+    )
+  )
 
 /**
  * @template {UCAN.Capability} C
  * @param {object & {can?:unknown, with?:unknown}|C} input
+ * @param {string} [context]
+ * @param {UCAN.ParseOptions} [options]
  * @returns {C}
  */
-export const asCapability = input =>
+export const asCapability = (input, context = "", options = {}) =>
   /** @type {C} */ ({
     ...input,
-    can: readAbility(input.can),
-    with: readResource(input.with),
+    can: readAbility(input.can, join(context, "can"), options),
+    with: readResource(input.with, join(context, "with")),
   })
 
 /**
  * @param {unknown} input
+ * @param {string} context
+ * @param {UCAN.ParseOptions} options
  */
-const readAbility = input =>
+const readAbility = (input, context, options) =>
   typeof input !== "string"
-    ? ParseError.throw(
+    ? fail(
         `Capability has invalid 'can: ${JSON.stringify(
           input
-        )}', value must be a string`
+        )}', value must be a string`,
+        context,
+        "INVALID_CAPABILITY"
       )
     : input.slice(1, -1).includes("/")
-    ? /** @type {UCAN.Ability} */ (input.toLocaleLowerCase())
-    : input === "*"
-    ? input
-    : ParseError.throw(
-        `Capability has invalid 'can: "${input}"', value must have at least one path segment`
-      )
+      ? readCanonicalAbility(input, context, options)
+      : input === "*"
+        ? input
+        : fail(
+            `Capability has invalid 'can: "${input}"', value must have at least one path segment`,
+            context,
+            "INVALID_CAPABILITY"
+          )
+
+/**
+ * Abilities are case insensitive and are lowercased, unless in `strict` mode
+ * where only lowercase abilities are accepted.
+ *
+ * @param {string} input
+ * @param {string} context
+ * @param {UCAN.ParseOptions} options
+ */
+const readCanonicalAbility = (input, context, options) => {
+  const ability = /** @type {UCAN.Ability} */ (input.toLocaleLowerCase())
+  return ability === input
+    ? ability
+    : options.mode === "strict"
+      ? fail(
+          `Capability has non-canonical 'can: "${input}"', value must be lowercase`,
+          context,
+          "INVALID_CAPABILITY"
+        )
+      : normalize(options, context, `Lowercased 'can: "${input}"'`, ability)
+}
 
 /**
  * @param {unknown} input
+ * @param {string} context
  */
-const readResource = input =>
+const readResource = (input, context) =>
   typeof input !== "string"
-    ? ParseError.throw(
+    ? fail(
         `Capability has invalid 'with: ${JSON.stringify(
           input
-        )}', value must be a string`
+        )}', value must be a string`,
+        context,
+        "INVALID_CAPABILITY"
       )
     : parseURL(input) ||
-      ParseError.throw(
-        `Capability has invalid 'with: "${input}"', value must be a valid URI string`
+      fail(
+        `Capability has invalid 'with: "${input}"', value must be a valid URI string`,
+        context,
+        "INVALID_CAPABILITY"
       )
 
+/**
+ * @param {string} context
+ * @param {string} field
+ */
+const join = (context, field) =>
+  context === "" ? field : `${context}.${field}`
+
 /**
  * @param {string} input
  */
@@ -159,7 +625,7 @@ const parseURL = input => {
 export const readArray = (input, read, context) =>
   Array.isArray(input)
     ? input.map((element, n) => read(element, `${context}[${n}]`))
-    : ParseError.throw(`${context} must be an array`)
+    : fail(`${context} must be an array`, context)
 
 /**
  * @template T
@@ -181,9 +647,7 @@ export const readOptionalArray = (input, reader, context) =>
 export const readStruct = (input, reader, context) =>
   input != null && typeof input === "object"
     ? reader(input)
-    : ParseError.throw(
-        `${context} must be of type object, instead got ${input}`
-      )
+    : fail(`${context} must be of type object, instead got ${input}`, context)
 
 /**
  * @param {unknown} input
@@ -203,7 +667,8 @@ export const readProof = (source, context) =>
     : fail(
         `Expected ${context} to be IPLD link, instead got ${JSON.stringify(
           source
-        )}`
+        )}`,
+        context
       )
 
 /**
@@ -233,14 +698,35 @@ const parseProof = source => {
  * @param {string} context
  */
 export const readPrincipal = (input, context) =>
-  DID.decode(readBytes(input, context))
+  readDID(() => DID.decode(readBytes(input, context)), context)
 
 /**
  * @param {unknown} source
  * @param {string} context
  */
 export const readStringPrincipal = (source, context) =>
-  DID.parse(readString(source, context))
+  readDID(() => DID.parse(readString(source, context)), context)
+
+/**
+ * Reads DID and annotates DID errors with a field path.
+ *
+ * @template T
+ * @param {() => T} read
+ * @param {string} context
+ * @returns {T}
+ */
+const readDID = (read, context) => {
+  try {
+    return read()
+  } catch (error) {
+    throw error instanceof DIDError
+      ? new ParseError(error.code, error.message, {
+          path: toPath(context),
+          cause: error,
+        })
+      : error
+  }
+}
 
 /**
  * @template T
@@ -270,7 +756,7 @@ export const readNullable = (source, read, context) =>
 export const readString = (source, context = "Field") =>
   typeof source === "string"
     ? source
-    : fail(`${context} has invalid value ${source}`)
+    : fail(`${context} has invalid value ${source}`, context)
 
 /**
  *
@@ -284,7 +770,8 @@ export const readBytes = (source, context) =>
     : fail(
         `Expected ${context} to be Uint8Array, instead got ${JSON.stringify(
           source
-        )}`
+        )}`,
+        context
       )
 
 /**
@@ -295,7 +782,11 @@ export const readBytes = (source, context) =>
 export const readVersion = (input, context) =>
   /\d+\.\d+\.\d+/.test(/** @type {string} */ (input))
     ? /** @type {UCAN.Version} */ (input)
-    : ParseError.throw(`Invalid version '${context}: ${JSON.stringify(input)}'`)
+    : fail(
+        `Invalid version '${context}: ${JSON.stringify(input)}'`,
+        context,
+        "INVALID_VERSION"
+      )
 
 /**
  * @template {string|number|boolean|null} T
@@ -307,28 +798,51 @@ export const readVersion = (input, context) =>
 export const readLiteral = (input, literal, context) =>
   input === literal
     ? literal
-    : ParseError.throw(
+    : fail(
         `Expected ${context} to be a ${JSON.stringify(
           literal
-        )} instead got ${JSON.stringify(input)}`
+        )} instead got ${JSON.stringify(input)}`,
+        context
       )
 
-export class ParseError extends TypeError {
-  get name() {
-    return "ParseError"
-  }
-  /**
-   * @param {string} message
-   * @returns {never}
-   */
-  static throw(message) {
-    throw new this(message)
-  }
+/**
+ * Error codes corresponding to the top level fields.
+ *
+ * @type {Record<string, UCAN.ErrorCode>}
+ */
+const codes = {
+  iss: "INVALID_DID",
+  aud: "INVALID_DID",
+  att: "INVALID_CAPABILITY",
+  cap: "INVALID_CAPABILITY",
+  prf: "INVALID_PROOF",
+  fct: "INVALID_FACT",
+  exp: "INVALID_TIMESTAMP",
+  nbf: "INVALID_TIMESTAMP",
+  v: "INVALID_VERSION",
+  ucv: "INVALID_VERSION",
+  typ: "INVALID_HEADER",
+  alg: "INVALID_HEADER",
+  hdr: "INVALID_HEADER",
+  s: "INVALID_SIGNATURE",
+  pol: "INVALID_POLICY",
 }
 
 /**
+ * Throws {@link ParseError} for the field in the given `context`. Unless
+ * provided error `code` is derived from the top level field.
+ *
  * @param {string} reason
+ * @param {string} [context]
+ * @param {UCAN.ErrorCode} [code]
+ * @returns {never}
  */
-export const fail = reason => ParseError.throw(reason)
+export const fail = (reason, context = "Field", code) => {
+  const path = context === "Field" ? "" : toPath(context)
+  const [, field = ""] = path.split("/")
+  return ParseError.throw(code || codes[field] || "INVALID_FIELD", reason, {
+    path,
+  })
+}
 
 export { fail as throw }
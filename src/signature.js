@@ -2,6 +2,8 @@ import * as UCAN from "./ucan.js"
 import { varint } from "multiformats"
 import { base64url, base64 } from "multiformats/bases/base64"
 import * as UTF8 from "./utf8.js"
+import { SignatureError } from "./error.js"
+import * as Limits from "./limits.js"
 
 export const NON_STANDARD = 0xd000
 export const ES256K = 0xd0e7
@@ -39,7 +41,8 @@ const codeName = code => {
     case EIP191:
       return "EIP191"
     default:
-      throw new RangeError(
+      return SignatureError.throw(
+        "UNKNOWN_SIGNATURE_ALGORITHM",
         `Unknown signature algorithm code 0x${code.toString(16)}`
       )
   }
@@ -227,23 +230,28 @@ export const view = bytes =>
   new Signature(bytes.buffer, bytes.byteOffset, bytes.byteLength)
 
 /**
+ * Decodes signature, throws `LimitError` if raw signature (without the
+ * prefix) is larger than `limits.maxSignatureSize`.
+ *
  * @template {unknown} T
  * @template {number} A
  * @param {UCAN.ByteView<UCAN.Signature<T, A>>} bytes
+ * @param {Partial<UCAN.Limits>} [limits]
  * @returns {UCAN.SignatureView<T, A>}
  */
-export const decode = bytes => {
+export const decode = (bytes, limits) => {
   if (!(bytes instanceof Uint8Array)) {
-    throw new TypeError(
+    SignatureError.throw(
+      "INVALID_SIGNATURE",
       `Can only decode Uint8Array into a Signature, instead got ${JSON.stringify(
         bytes
       )}`
     )
   }
-
   /** @type {UCAN.SignatureView<T, A>} */
   const signature = view(bytes)
   const { code, algorithm, raw } = signature
+  Limits.check("maxSignatureSize", raw.byteLength, limits)
   return signature
 }
 
@@ -253,7 +261,8 @@ export const decode = bytes => {
  * @param {UCAN.Signature<T, A>} signature
  * @returns {UCAN.ByteView<UCAN.Signature<T, A>>}
  */
-export const encode = signature => decode(signature)
+export const encode = signature =>
+  decode(signature, { maxSignatureSize: Infinity })
 
 /**
  * @template {unknown} T
@@ -0,0 +1,386 @@
+import * as UCAN from "../ucan.js"
+import * as DID from "../did.js"
+import * as Signature from "../signature.js"
+import { varint } from "multiformats"
+
+/**
+ * @typedef {object} Curve
+ * @property {"P-256"|"P-384"|"P-521"} name - Named curve as used by WebCrypto.
+ * @property {typeof DID.P256|typeof DID.P384|typeof DID.P521} code - Multicodec
+ * code of the public key.
+ * @property {typeof Signature.ES256|typeof Signature.ES384|typeof Signature.ES512} signatureCode
+ * @property {"ES256"|"ES384"|"ES512"} signatureAlgorithm
+ * @property {"SHA-256"|"SHA-384"|"SHA-512"} hash
+ * @property {number} size - Byte length of the field element.
+ * @property {bigint} p - Prime of the underlying field.
+ * @property {bigint} b - Curve coefficient `b`, coefficient `a` is `-3` for
+ * all of the supported curves.
+ */
+
+/** @type {Curve} */
+export const P256 = {
+  name: "P-256",
+  code: DID.P256,
+  signatureCode: Signature.ES256,
+  signatureAlgorithm: "ES256",
+  hash: "SHA-256",
+  size: 32,
+  p: BigInt(
+    "0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff"
+  ),
+  b: BigInt(
+    "0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b"
+  ),
+}
+
+/** @type {Curve} */
+export const P384 = {
+  name: "P-384",
+  code: DID.P384,
+  signatureCode: Signature.ES384,
+  signatureAlgorithm: "ES384",
+  hash: "SHA-384",
+  size: 48,
+  p: BigInt(
+    "0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffeffffffff0000000000000000ffffffff"
+  ),
+  b: BigInt(
+    "0xb3312fa7e23ee7e4988e056be3f82d19181d9c6efe8141120314088f5013875ac656398d8a2ed19d2a85c8edd3ec2aef"
+  ),
+}
+
+/** @type {Curve} */
+export const P521 = {
+  name: "P-521",
+  code: DID.P521,
+  signatureCode: Signature.ES512,
+  signatureAlgorithm: "ES512",
+  hash: "SHA-512",
+  size: 66,
+  p: (BigInt(1) << BigInt(521)) - BigInt(1),
+  b: BigInt(
+    "0x0051953eb9618e1c9a1f929a21a0b68540eea2da725b99b315f3b8b489918ef109e156193951ec7e937b1652c0bd3bb1bf073573df883d2c34f1ef451fd46b503f00"
+  ),
+}
+
+/**
+ * @typedef {object} Options
+ * @property {SubtleCrypto} [crypto] - WebCrypto implementation to use,
+ * defaults to `globalThis.crypto.subtle`.
+ */
+
+/**
+ * @typedef {object} GenerateOptions
+ * @property {boolean} [extractable] - Whether private key can be exported,
+ * defaults to `false`.
+ */
+
+/**
+ * Generates a new signer with a key pair on the given curve. Private key is
+ * not extractable unless `options.extractable` is `true`.
+ *
+ * @param {Curve} curve
+ * @param {Options & GenerateOptions} [options]
+ */
+export const generate = async (curve, options = {}) => {
+  const subtle = select(options)
+  const keypair = await subtle.generateKey(
+    { name: "ECDSA", namedCurve: curve.name },
+    options.extractable || false,
+    ["sign", "verify"]
+  )
+
+  return from(curve, keypair, options)
+}
+
+/**
+ * Creates a signer from the existing WebCrypto key pair. Private key may be
+ * non-extractable, which is usually the case for keys persisted in the
+ * browser.
+ *
+ * @param {Curve} curve
+ * @param {CryptoKeyPair} keypair
+ * @param {Options} [options]
+ */
+export const from = async (curve, { privateKey, publicKey }, options = {}) => {
+  for (const key of [privateKey, publicKey]) {
+    const algorithm = /** @type {EcKeyAlgorithm} */ (key.algorithm)
+    if (algorithm.name !== "ECDSA" || algorithm.namedCurve !== curve.name) {
+      throw new TypeError(
+        `Expected ECDSA key on ${curve.name} curve instead got ${
+          algorithm.name
+        } key${algorithm.namedCurve ? ` on ${algorithm.namedCurve}` : ""}`
+      )
+    }
+  }
+
+  const subtle = select(options)
+  const point = new Uint8Array(await subtle.exportKey("raw", publicKey))
+  const verifier = new ECDSAVerifier(curve, compress(point), publicKey, subtle)
+  return new ECDSASigner(curve, privateKey, verifier, subtle)
+}
+
+/**
+ * Creates verifier from the `did:key` of the public key on the given curve.
+ *
+ * @param {Curve} curve
+ * @param {UCAN.DID} did
+ * @param {Options} [options]
+ */
+export const parseVerifier = (curve, did, options) =>
+  decodeVerifier(curve, DID.parse(did), options)
+
+/**
+ * Creates verifier from the multicodec tagged compressed public key, which is
+ * the same as bytes of the `did:key` {@link UCAN.PrincipalView}.
+ *
+ * @param {Curve} curve
+ * @param {UCAN.ByteView<UCAN.Principal>} bytes
+ * @param {Options} [options]
+ */
+export const decodeVerifier = async (curve, bytes, options = {}) => {
+  const [code, offset] = varint.decode(bytes)
+  if (code !== curve.code) {
+    throw new RangeError(
+      `Given bytes must be a multiformat with 0x${curve.code.toString(16)} tag`
+    )
+  }
+
+  const point = bytes.slice(offset)
+  if (point.byteLength !== curve.size + 1) {
+    throw new RangeError(
+      `Expected compressed ${curve.name} public key with byteLength of ${
+        curve.size + 1
+      } instead got ${point.byteLength}`
+    )
+  }
+
+  const subtle = select(options)
+  const publicKey = await subtle.importKey(
+    "raw",
+    decompress(curve, point),
+    { name: "ECDSA", namedCurve: curve.name },
+    true,
+    ["verify"]
+  )
+
+  return new ECDSAVerifier(curve, point, publicKey, subtle)
+}
+
+/**
+ * @implements {UCAN.Verifier<UCAN.DID<"key">, number>}
+ */
+class ECDSAVerifier {
+  /**
+   * @param {Curve} curve
+   * @param {Uint8Array} point - Compressed public key.
+   * @param {CryptoKey} publicKey
+   * @param {SubtleCrypto} subtle
+   */
+  constructor(curve, point, publicKey, subtle) {
+    this.curve = curve
+    this.point = point
+    this.publicKey = publicKey
+    this.subtle = subtle
+  }
+  get signatureCode() {
+    return this.curve.signatureCode
+  }
+  get signatureAlgorithm() {
+    return this.curve.signatureAlgorithm
+  }
+
+  /**
+   * @returns {UCAN.DID<"key">}
+   */
+  did() {
+    const offset = varint.encodingLength(this.curve.code)
+    const bytes = new Uint8Array(offset + this.point.byteLength)
+    varint.encodeTo(this.curve.code, bytes)
+    bytes.set(this.point, offset)
+    const did = /** @type {UCAN.DID<"key">} */ (DID.decode(bytes).did())
+    Object.defineProperties(this, { did: { value: () => did } })
+    return did
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @param {UCAN.Signature<T, number>} signature
+   * @returns {Promise<boolean>}
+   */
+  async verify(payload, signature) {
+    return (
+      signature.code === this.signatureCode &&
+      this.subtle.verify(
+        { name: "ECDSA", hash: this.curve.hash },
+        this.publicKey,
+        signature.raw,
+        payload
+      )
+    )
+  }
+}
+
+/**
+ * @implements {UCAN.Signer<UCAN.DID<"key">, number>}
+ * @implements {UCAN.Verifier<UCAN.DID<"key">, number>}
+ */
+class ECDSASigner {
+  /**
+   * @param {Curve} curve
+   * @param {CryptoKey} privateKey
+   * @param {ECDSAVerifier} verifier
+   * @param {SubtleCrypto} subtle
+   */
+  constructor(curve, privateKey, verifier, subtle) {
+    this.curve = curve
+    this.privateKey = privateKey
+    this.subtle = subtle
+    /** @readonly */
+    this.verifier = verifier
+  }
+  get signatureCode() {
+    return this.curve.signatureCode
+  }
+  get signatureAlgorithm() {
+    return this.curve.signatureAlgorithm
+  }
+
+  did() {
+    return this.verifier.did()
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @returns {Promise<UCAN.SignatureView<T, number>>}
+   */
+  async sign(payload) {
+    const raw = await this.subtle.sign(
+      { name: "ECDSA", hash: this.curve.hash },
+      this.privateKey,
+      payload
+    )
+    return Signature.create(this.signatureCode, new Uint8Array(raw))
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @param {UCAN.Signature<T, number>} signature
+   */
+  verify(payload, signature) {
+    return this.verifier.verify(payload, signature)
+  }
+}
+
+/**
+ * Compresses uncompressed SEC1 encoded point.
+ *
+ * @param {Uint8Array} point
+ */
+export const compress = point => {
+  const size = (point.byteLength - 1) / 2
+  const compressed = new Uint8Array(size + 1)
+  compressed[0] = 0x02 | (point[point.byteLength - 1] & 1)
+  compressed.set(point.subarray(1, size + 1), 1)
+  return compressed
+}
+
+/**
+ * Decompresses SEC1 encoded point. WebCrypto implementations are not required
+ * to support compressed points so we recover `y` from the curve equation
+ * `y² = x³ - 3x + b`. All the supported curves have `p ≡ 3 (mod 4)` so square
+ * root can be computed as `(y²)^((p + 1) / 4)`. Throws `RangeError` if the
+ * point is not on the curve.
+ *
+ * @param {Curve} curve
+ * @param {Uint8Array} point
+ */
+export const decompress = (curve, point) => {
+  const { p, b, size } = curve
+  const prefix = point[0]
+  if (prefix !== 0x02 && prefix !== 0x03) {
+    throw new RangeError(
+      `Expected compressed point to start with 0x02 or 0x03 instead got 0x${prefix.toString(
+        16
+      )}`
+    )
+  }
+
+  const x = toBigInt(point.subarray(1))
+  if (x >= p) {
+    throw new RangeError(`Expected x coordinate of ${curve.name} point below p`)
+  }
+
+  const y2 = (((x * x * x - BigInt(3) * x + b) % p) + p) % p
+  let y = power(y2, (p + BigInt(1)) / BigInt(4), p)
+  // square root only exists if x is a coordinate of the point on the curve
+  if ((y * y) % p !== y2) {
+    throw new RangeError(`Compressed point is not on the ${curve.name} curve`)
+  }
+  if ((y & BigInt(1)) !== BigInt(prefix & 1)) {
+    y = p - y
+  }
+
+  const uncompressed = new Uint8Array(1 + size * 2)
+  uncompressed[0] = 0x04
+  uncompressed.set(point.subarray(1), 1)
+  uncompressed.set(fromBigInt(y, size), 1 + size)
+  return uncompressed
+}
+
+/**
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @param {bigint} modulus
+ */
+const power = (base, exponent, modulus) => {
+  let result = BigInt(1)
+  base = base % modulus
+  while (exponent > BigInt(0)) {
+    if (exponent & BigInt(1)) {
+      result = (result * base) % modulus
+    }
+    base = (base * base) % modulus
+    exponent = exponent >> BigInt(1)
+  }
+  return result
+}
+
+/**
+ * @param {Uint8Array} bytes
+ */
+const toBigInt = bytes => {
+  let value = BigInt(0)
+  for (const byte of bytes) {
+    value = (value << BigInt(8)) | BigInt(byte)
+  }
+  return value
+}
+
+/**
+ * @param {bigint} value
+ * @param {number} size
+ */
+const fromBigInt = (value, size) => {
+  const bytes = new Uint8Array(size)
+  for (let offset = size - 1; offset >= 0; offset--) {
+    bytes[offset] = Number(value & BigInt(0xff))
+    value = value >> BigInt(8)
+  }
+  return bytes
+}
+
+/**
+ * @param {Options} options
+ */
+const select = ({ crypto = globalThis.crypto?.subtle }) => {
+  if (!crypto) {
+    throw new Error(
+      `WebCrypto is not available, please pass SubtleCrypto via options.crypto`
+    )
+  }
+  return crypto
+}
@@ -0,0 +1,354 @@
+import * as UCAN from "../ucan.js"
+import * as DID from "../did.js"
+import * as Signature from "../signature.js"
+import * as noble from "@noble/ed25519"
+import { varint } from "multiformats"
+import { base64pad, base64url } from "multiformats/bases/base64"
+
+export const name = "Ed25519"
+
+/**
+ * Multicodec code for the Ed25519 private key.
+ */
+export const code = 0x1300
+
+export const signatureCode = Signature.EdDSA
+export const signatureAlgorithm = "EdDSA"
+
+const KEY_SIZE = 32
+const SECRET_OFFSET = varint.encodingLength(code)
+const PUBLIC_TAG_SIZE = varint.encodingLength(DID.ED25519)
+const PUBLIC_OFFSET = SECRET_OFFSET + KEY_SIZE
+const SIZE = PUBLIC_OFFSET + PUBLIC_TAG_SIZE + KEY_SIZE
+
+/**
+ * ASN.1 prefix of the PKCS #8 encoded Ed25519 private key, it is followed by
+ * the 32 byte secret.
+ */
+const PKCS8_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04,
+  0x22, 0x04, 0x20,
+])
+
+/**
+ * @typedef {object} Options
+ * @property {SubtleCrypto|null} [crypto] - WebCrypto implementation to use,
+ * defaults to `globalThis.crypto.subtle`. Pass `null` to use pure JS
+ * implementation instead.
+ */
+
+/**
+ * Generates a new Ed25519 signer.
+ *
+ * @param {Options} [options]
+ */
+export const generate = (options = {}) =>
+  derive(noble.utils.randomPrivateKey(), options)
+
+/**
+ * Derives Ed25519 signer from the 32 byte secret.
+ *
+ * @param {Uint8Array} secret
+ * @param {Options} [options]
+ */
+export const derive = async (secret, options = {}) => {
+  if (secret.byteLength !== KEY_SIZE) {
+    throw new RangeError(
+      `Expected Uint8Array with byteLength of ${KEY_SIZE} instead got ${secret.byteLength}`
+    )
+  }
+
+  const implementation = await select(options)
+  const publicKey = await implementation.getPublicKey(secret)
+  return new Ed25519Signer(secret, publicKey, implementation)
+}
+
+/**
+ * Encodes signer keys into bytes. Result is a multicodec tagged secret
+ * followed by multicodec tagged public key.
+ *
+ * @param {Ed25519Signer} signer
+ * @returns {UCAN.ByteView<Ed25519Signer>}
+ */
+export const encode = signer => {
+  const bytes = new Uint8Array(SIZE)
+  varint.encodeTo(code, bytes)
+  bytes.set(signer.secret, SECRET_OFFSET)
+  varint.encodeTo(DID.ED25519, bytes, PUBLIC_OFFSET)
+  bytes.set(signer.publicKey, PUBLIC_OFFSET + PUBLIC_TAG_SIZE)
+  return bytes
+}
+
+/**
+ * Decodes signer from the bytes produced by {@link encode}.
+ *
+ * @param {UCAN.ByteView<Ed25519Signer>} bytes
+ * @param {Options} [options]
+ */
+export const decode = async (bytes, options = {}) => {
+  if (bytes.byteLength !== SIZE) {
+    throw new RangeError(
+      `Expected Uint8Array with byteLength of ${SIZE} instead got ${bytes.byteLength}`
+    )
+  }
+
+  const [secretCode] = varint.decode(bytes)
+  if (secretCode !== code) {
+    throw new RangeError(
+      `Given bytes must be a multiformat with 0x${code.toString(16)} tag`
+    )
+  }
+
+  const [publicCode] = varint.decode(bytes.subarray(PUBLIC_OFFSET))
+  if (publicCode !== DID.ED25519) {
+    throw new RangeError(
+      `Given bytes must contain public key in multiformats with 0x${DID.ED25519.toString(
+        16
+      )} tag`
+    )
+  }
+
+  return new Ed25519Signer(
+    bytes.slice(SECRET_OFFSET, PUBLIC_OFFSET),
+    bytes.slice(PUBLIC_OFFSET + PUBLIC_TAG_SIZE),
+    await select(options)
+  )
+}
+
+/**
+ * Formats signer keys into a base64 multibase string.
+ *
+ * @param {Ed25519Signer} signer
+ */
+export const format = signer => base64pad.encode(encode(signer))
+
+/**
+ * Parses signer from the string produced by {@link format}.
+ *
+ * @param {string} source
+ * @param {Options} [options]
+ */
+export const parse = (source, options) =>
+  decode(base64pad.decode(source), options)
+
+/**
+ * Creates verifier from the `did:key` of the Ed25519 public key.
+ *
+ * @param {UCAN.DID} did
+ * @param {Options} [options]
+ */
+export const parseVerifier = (did, options) =>
+  decodeVerifier(DID.parse(did), options)
+
+/**
+ * Creates verifier from the multicodec tagged Ed25519 public key, which is
+ * the same as bytes of the `did:key` {@link UCAN.PrincipalView}.
+ *
+ * @param {UCAN.ByteView<UCAN.Principal>} bytes
+ * @param {Options} [options]
+ */
+export const decodeVerifier = async (bytes, options = {}) => {
+  const [keyCode] = varint.decode(bytes)
+  if (keyCode !== DID.ED25519) {
+    throw new RangeError(
+      `Given bytes must be a multiformat with 0x${DID.ED25519.toString(16)} tag`
+    )
+  }
+
+  const publicKey = bytes.slice(PUBLIC_TAG_SIZE)
+  if (publicKey.byteLength !== KEY_SIZE) {
+    throw new RangeError(
+      `Expected public key with byteLength of ${KEY_SIZE} instead got ${publicKey.byteLength}`
+    )
+  }
+
+  return new Ed25519Verifier(publicKey, await select(options))
+}
+
+/**
+ * @implements {UCAN.Verifier<UCAN.DID<"key">, typeof signatureCode>}
+ */
+class Ed25519Verifier {
+  /**
+   * @param {Uint8Array} publicKey
+   * @param {Implementation} implementation
+   */
+  constructor(publicKey, implementation) {
+    this.publicKey = publicKey
+    this.implementation = implementation
+  }
+  /** @type {typeof signatureCode} */
+  get signatureCode() {
+    return signatureCode
+  }
+  get signatureAlgorithm() {
+    return signatureAlgorithm
+  }
+
+  /**
+   * @returns {UCAN.DID<"key">}
+   */
+  did() {
+    const bytes = new Uint8Array(PUBLIC_TAG_SIZE + KEY_SIZE)
+    varint.encodeTo(DID.ED25519, bytes)
+    bytes.set(this.publicKey, PUBLIC_TAG_SIZE)
+    const did = /** @type {UCAN.DID<"key">} */ (DID.decode(bytes).did())
+    Object.defineProperties(this, { did: { value: () => did } })
+    return did
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @param {UCAN.Signature<T, typeof signatureCode>} signature
+   * @returns {Promise<boolean>}
+   */
+  async verify(payload, signature) {
+    return (
+      signature.code === signatureCode &&
+      this.implementation.verify(this.publicKey, payload, signature.raw)
+    )
+  }
+}
+
+/**
+ * @implements {UCAN.Signer<UCAN.DID<"key">, typeof signatureCode>}
+ * @implements {UCAN.Verifier<UCAN.DID<"key">, typeof signatureCode>}
+ */
+class Ed25519Signer {
+  /**
+   * @param {Uint8Array} secret
+   * @param {Uint8Array} publicKey
+   * @param {Implementation} implementation
+   */
+  constructor(secret, publicKey, implementation) {
+    this.secret = secret
+    this.publicKey = publicKey
+    this.implementation = implementation
+    /** @readonly */
+    this.verifier = new Ed25519Verifier(publicKey, implementation)
+  }
+  /** @type {typeof signatureCode} */
+  get signatureCode() {
+    return signatureCode
+  }
+  get signatureAlgorithm() {
+    return signatureAlgorithm
+  }
+
+  did() {
+    return this.verifier.did()
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @returns {Promise<UCAN.SignatureView<T, typeof signatureCode>>}
+   */
+  async sign(payload) {
+    const raw = await this.implementation.sign(this.secret, payload)
+    return Signature.create(signatureCode, raw)
+  }
+
+  /**
+   * @template T
+   * @param {UCAN.ByteView<T>} payload
+   * @param {UCAN.Signature<T, typeof signatureCode>} signature
+   */
+  verify(payload, signature) {
+    return this.verifier.verify(payload, signature)
+  }
+
+  encode() {
+    return encode(this)
+  }
+
+  format() {
+    return format(this)
+  }
+}
+
+/**
+ * @typedef {object} Implementation
+ * @property {(secret: Uint8Array) => Promise<Uint8Array>} getPublicKey
+ * @property {(secret: Uint8Array, payload: Uint8Array) => Promise<Uint8Array>} sign
+ * @property {(publicKey: Uint8Array, payload: Uint8Array, signature: Uint8Array) => Promise<boolean>} verify
+ */
+
+/**
+ * Pure JS implementation used when WebCrypto does not support Ed25519.
+ *
+ * @type {Implementation}
+ */
+const js = {
+  getPublicKey: secret => noble.getPublicKey(secret),
+  sign: (secret, payload) => noble.sign(payload, secret),
+  verify: (publicKey, payload, signature) =>
+    noble.verify(signature, payload, publicKey),
+}
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @returns {Implementation}
+ */
+const webcrypto = subtle => ({
+  async getPublicKey(secret) {
+    const key = await importSecret(subtle, secret, true)
+    const { x } = await subtle.exportKey("jwk", key)
+    return base64url.baseDecode(/** @type {string} */ (x))
+  },
+  async sign(secret, payload) {
+    const key = await importSecret(subtle, secret, false)
+    return new Uint8Array(await subtle.sign(name, key, payload))
+  },
+  async verify(publicKey, payload, signature) {
+    const key = await subtle.importKey("raw", publicKey, name, false, [
+      "verify",
+    ])
+    return subtle.verify(name, key, signature, payload)
+  },
+})
+
+/**
+ * @param {SubtleCrypto} subtle
+ * @param {Uint8Array} secret
+ * @param {boolean} extractable
+ */
+const importSecret = (subtle, secret, extractable) => {
+  const pkcs8 = new Uint8Array(PKCS8_PREFIX.byteLength + secret.byteLength)
+  pkcs8.set(PKCS8_PREFIX)
+  pkcs8.set(secret, PKCS8_PREFIX.byteLength)
+  return subtle.importKey("pkcs8", pkcs8, name, extractable, ["sign"])
+}
+
+/** @type {WeakMap<SubtleCrypto, Promise<Implementation>>} */
+const implementations = new WeakMap()
+
+/**
+ * Selects implementation backed by the given WebCrypto if it supports
+ * Ed25519, otherwise falls back to the pure JS implementation.
+ *
+ * @param {Options} options
+ * @returns {Promise<Implementation>}
+ */
+const select = ({ crypto: subtle = defaultCrypto() }) => {
+  if (subtle == null) {
+    return Promise.resolve(js)
+  }
+
+  const cached = implementations.get(subtle)
+  if (cached) {
+    return cached
+  }
+
+  const implementation = subtle
+    .importKey("raw", new Uint8Array(KEY_SIZE), name, false, ["verify"])
+    .then(
+      () => webcrypto(subtle),
+      () => js
+    )
+  implementations.set(subtle, implementation)
+  return implementation
+}
+
+const defaultCrypto = () => globalThis.crypto?.subtle || null
@@ -0,0 +1,33 @@
+import * as UCAN from "../ucan.js"
+import * as ECDSA from "./ecdsa.js"
+
+/**
+ * P-521 curve, signers on it produce ES512 signatures.
+ */
+export const curve = ECDSA.P521
+export const { name, code, signatureCode, signatureAlgorithm } = curve
+
+/**
+ * @param {ECDSA.Options & ECDSA.GenerateOptions} [options]
+ */
+export const generate = options => ECDSA.generate(curve, options)
+
+/**
+ * @param {CryptoKeyPair} keypair
+ * @param {ECDSA.Options} [options]
+ */
+export const from = (keypair, options) => ECDSA.from(curve, keypair, options)
+
+/**
+ * @param {UCAN.DID} did
+ * @param {ECDSA.Options} [options]
+ */
+export const parseVerifier = (did, options) =>
+  ECDSA.parseVerifier(curve, did, options)
+
+/**
+ * @param {UCAN.ByteView<UCAN.Principal>} bytes
+ * @param {ECDSA.Options} [options]
+ */
+export const decodeVerifier = (bytes, options) =>
+  ECDSA.decodeVerifier(curve, bytes, options)
@@ -11,6 +11,7 @@ import type {
 } from "multiformats"
 import type { code as RAW_CODE } from "multiformats/codecs/raw"
 import type { code as CBOR_CODE } from "@ipld/dag-cbor"
+import type { sha256 } from "multiformats/hashes/sha2"
 import * as Crypto from "./crypto.js"
 
 export * from "./crypto.js"
@@ -55,8 +56,7 @@ export interface Principal<ID extends DID = DID> {
  * A byte-encoded {@link DID} that provides a `did` accessor method (see {@link Principal}).
  */
 export interface PrincipalView<ID extends DID = DID>
-  extends ByteView<Principal<ID>>,
-    Principal<ID> {}
+  extends ByteView<Principal<ID>>, Principal<ID> {}
 
 /**
  * Entity that can verify UCAN signatures against a {@link Principal} produced
@@ -64,9 +64,9 @@ export interface PrincipalView<ID extends DID = DID>
  */
 export interface Verifier<
   ID extends DID = DID,
-  SigAlg extends Crypto.SigAlg = Crypto.SigAlg
-> extends Crypto.Verifier<SigAlg>,
-    Principal<ID> {}
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
+>
+  extends Crypto.Verifier<SigAlg>, Principal<ID> {}
 
 export interface Audience extends Principal {}
 export interface Issuer extends Principal {}
@@ -76,9 +76,9 @@ export interface Issuer extends Principal {}
  */
 export interface Signer<
   ID extends DID = DID,
-  SigAlg extends Crypto.SigAlg = Crypto.SigAlg
-> extends Crypto.Signer<SigAlg>,
-    Principal<ID> {
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
+>
+  extends Crypto.Signer<SigAlg>, Principal<ID> {
   /**
    * Integer corresponding to the byteprefix of the {@link Crypto.SigAlg}. It
    * is used to tag [signature] so it can self describe what algorithm was used.
@@ -105,6 +105,93 @@ export interface Signer<
  */
 export type Fact = Record<string, unknown>
 
+/**
+ * Fields of the UCAN header or payload that are not defined by the spec, like
+ * `kid` or `cty` in the header or vendor specific fields in the payload. They
+ * are retained so that tokens carrying them can be formatted back as is.
+ */
+export type Extensions = Record<string, unknown>
+
+/**
+ * Mode in which UCANs are parsed and decoded.
+ *
+ * - `strict` - rejects non-canonical (not lowercase) abilities, unknown
+ *   fields (including {@link Extensions} held by `hdr` and `ext` of the IPLD
+ *   representation), `nbf` greater than `exp`, negative timestamps and DIDs
+ *   with non lowercase method name. UCANs in IPLD representation must be canonically
+ *   encoded, that is encoding decoded UCAN must produce the same bytes.
+ * - `lenient` - tolerates base64 padding of JWT segments, missing `typ` header
+ *   and millisecond timestamps in JWTs, normalizing them instead.
+ *
+ * When omitted tokens are parsed as before, which lowercases abilities and
+ * retains unknown fields as {@link Extensions}.
+ */
+export type ParseMode = "strict" | "lenient"
+
+/**
+ * Normalization applied to the UCAN while parsing it.
+ */
+export interface Normalization {
+  /**
+   * JSON pointer to the normalized field e.g. `/att/0/can`, empty string if it
+   * is not specific to a field.
+   */
+  path: string
+  message: string
+}
+
+/**
+ * Limits on the size and shape of the UCANs that are parsed or decoded, which
+ * protect against hostile tokens. Limits are opt-in, they are checked only
+ * when provided through {@link ParseOptions}. Every limit is checked before
+ * the input is processed any further and fails with a {@link LimitErrorCode}
+ * specific to the limit.
+ */
+export interface Limits {
+  /**
+   * Max size of the encoded UCAN in bytes or of the JWT string in characters.
+   */
+  maxBytes: number
+  /**
+   * Max length of each base64url encoded JWT segment.
+   */
+  maxSegmentLength: number
+  /**
+   * Max number of capabilities.
+   */
+  maxCapabilities: number
+  /**
+   * Max number of proofs.
+   */
+  maxProofs: number
+  /**
+   * Max number of facts.
+   */
+  maxFacts: number
+  /**
+   * Max nesting depth of the payload, including facts and caveats.
+   */
+  maxDepth: number
+  /**
+   * Max size of the raw signature in bytes, not including the varsig prefix.
+   */
+  maxSignatureSize: number
+}
+
+export interface ParseOptions {
+  mode?: ParseMode
+  /**
+   * Enables {@link Limits}, ones that are omitted default to the recommended
+   * `LIMITS`.
+   */
+  limits?: Partial<Limits>
+  /**
+   * Called with every normalization applied to the parsed UCAN, which is how
+   * `lenient` mode reports what it normalized.
+   */
+  onNormalize?: (normalization: Normalization) => void
+}
+
 /**
  * The version of the UCAN spec used to produce a specific UCAN.
  */
@@ -115,7 +202,10 @@ export type Version = `${number}.${number}.${number}`
  * @see https://github.com/ucan-wg/spec/#31-header
  */
 export interface JWTHeader {
-  ucv: Version
+  /**
+   * Version of the UCAN, which UCAN 0.10 carries in the payload instead.
+   */
+  ucv?: Version
   alg: "EdDSA" | "RS256" | string
   typ: "JWT"
 }
@@ -147,6 +237,10 @@ export type JWT<C extends Capabilities = Capabilities> = ToString<
 
 export interface Header {
   v: Version
+  /**
+   * Fields of the JWT header other than `alg`, `typ` and `ucv`.
+   */
+  hdr?: Extensions
 }
 
 export interface Payload<C extends Capabilities = Capabilities> {
@@ -158,14 +252,17 @@ export interface Payload<C extends Capabilities = Capabilities> {
   nnc?: Nonce
   fct: Fact[]
   prf: Link[]
+  /**
+   * Payload fields that are not defined by the spec.
+   */
+  ext?: Extensions
 }
 
 /**
  * IPLD representation of a signed UCAN.
  */
 export interface Model<C extends Capabilities = Capabilities>
-  extends Header,
-    Payload<C> {
+  extends Header, Payload<C> {
   s: Crypto.SignatureView
 }
 
@@ -182,16 +279,20 @@ export type UCANJSON<T extends UCAN = UCAN> = ToJSON<
     fct?: ToJSON<T["fct"]>
     nnc?: Nonce
     nbf?: UTCUnixTimestamp
+    hdr?: JSONObject
+    ext?: JSONObject
   }
 >
 
-export interface FromJWT<C extends Capabilities = Capabilities>
-  extends Model<C> {
+export interface FromJWT<
+  C extends Capabilities = Capabilities,
+> extends Model<C> {
   jwt: JWT<C>
 }
 
-export interface FromModel<C extends Capabilities = Capabilities>
-  extends Model<C> {
+export interface FromModel<
+  C extends Capabilities = Capabilities,
+> extends Model<C> {
   jwt?: never
 }
 
@@ -199,8 +300,7 @@ export interface FromModel<C extends Capabilities = Capabilities>
  * A signed UCAN in either IPLD or JWT format.
  */
 export type UCAN<C extends Capabilities = Capabilities> =
-  | FromJWT<C>
-  | FromModel<C>
+  FromJWT<C> | FromModel<C>
 
 /**
  * Represents a decoded "view" of a UCAN as a JS object that can be used in your domain logic, etc.
@@ -221,10 +321,25 @@ export interface View<C extends Capabilities = Capabilities> extends Model<C> {
   readonly facts: Fact[]
   readonly proofs: Link[]
 
+  readonly header: JWTHeader & Extensions
+  readonly extensions: Extensions
+
   readonly signature: Crypto.SignatureView
 
+  /**
+   * Encoded UCAN, computed on first access unless view was decoded from it.
+   */
+  readonly bytes: ByteView<UCAN<C>>
+
   encode(): ByteView<UCAN<C>>
   format(): JWT<C>
+  /**
+   * Creates CID of the UCAN with the given hasher (sha256 by default), which
+   * is cached per hasher.
+   */
+  link<A extends number = typeof sha256.code>(options?: {
+    hasher?: MultihashHasher<A>
+  }): Promise<Link<C, Code, A>>
   toJSON(): UCANJSON<this>
 }
 
@@ -236,7 +351,7 @@ export interface View<C extends Capabilities = Capabilities> extends Model<C> {
  */
 export interface UCANOptions<
   C extends Capabilities = Capabilities,
-  SigAlg extends Crypto.SigAlg = Crypto.SigAlg
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
 > {
   issuer: Signer<DID, SigAlg>
   audience: Audience
@@ -249,6 +364,711 @@ export interface UCANOptions<
 
   facts?: Fact[]
   proofs?: Link[]
+
+  /**
+   * Clock used to derive default `expiration`.
+   */
+  clock?: Clock
+}
+
+/**
+ * Source of the current time, mostly useful for testing time sensitive
+ * behavior or when system clock can not be trusted.
+ */
+export interface Clock {
+  now(): UTCUnixTimestamp
+}
+
+export interface TimeOptions {
+  /**
+   * Clock to check time bounds against, defaults to the system clock.
+   */
+  clock?: Clock
+  /**
+   * Number of seconds UCAN time bounds are extended by in both directions to
+   * tolerate clock drift between devices. Defaults to `0`.
+   */
+  tolerance?: number
+}
+
+/**
+ * Options for delegating capabilities of the parent UCAN, see
+ * {@link UCANOptions}. Capabilities default to the ones of the parent.
+ */
+export interface DelegationOptions<
+  C extends Capabilities = Capabilities,
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
+> extends Omit<UCANOptions<C, SigAlg>, "capabilities"> {
+  capabilities?: C
+}
+
+/**
+ * Function that loads bytes of the UCAN block referenced by the given link.
+ * It may return `null` or `undefined` when block could not be found. Links
+ * with identity multihash (inline proofs) are never passed to the resolver.
+ */
+export interface ProofResolver {
+  (link: Link): Crypto.Await<ByteView<UCAN> | null | undefined>
+}
+
+/**
+ * UCAN imported from the CAR along with all the blocks it contained, keyed by
+ * their CID string.
+ */
+export interface CARImport<C extends Capabilities = Capabilities> {
+  root: View<C>
+  blocks: Map<string, ByteView<UCAN>>
+}
+
+export type ContainerTag = "ctn-v1"
+
+/**
+ * [UCAN container] bundling encoded UCANs, which is DAG-CBOR encoded.
+ *
+ * [UCAN container]:https://github.com/ucan-wg/container
+ */
+export type Container = { [K in ContainerTag]: ByteView<UCAN>[] }
+
+/**
+ * Encoding of the serialized {@link Container}.
+ */
+export type ContainerFormat = "raw" | "base64" | "base64url"
+
+export interface ContainerOptions {
+  format?: ContainerFormat
+  /**
+   * Whether to gzip DAG-CBOR encoded container, defaults to `false`.
+   */
+  gzip?: boolean
+}
+
+/**
+ * UCAN passed as a bearer token over HTTP along with its proofs keyed by their
+ * CID string.
+ */
+export interface BearerToken<C extends Capabilities = Capabilities> {
+  ucan: View<C>
+  proofs: Map<string, View>
+}
+
+export interface BearerTokenInput<C extends Capabilities = Capabilities> {
+  ucan: View<C>
+  proofs?: View[] | Map<string, View>
+}
+
+/**
+ * Options used when validating a UCAN proof chain.
+ */
+export interface ValidationOptions extends VerifyOptions, TimeOptions {
+  /**
+   * Used to load UCANs linked from the `prf` field.
+   */
+  resolve: ProofResolver
+  /**
+   * Verifiers used to check signatures. Verifier is selected by matching its
+   * DID against the issuer of the UCAN. Issuers with no matching verifier get
+   * one derived through the `registry` or the `didResolver`.
+   */
+  verifiers?: Verifier[]
+  /**
+   * Time against which UCAN time bounds are checked, defaults to the time
+   * reported by the `clock`.
+   */
+  now?: UTCUnixTimestamp
+  /**
+   * Revocations consulted for every UCAN in the chain.
+   */
+  revocations?: RevocationStore
+  /**
+   * Max number of links from the validated UCAN to its deepest proof, chains
+   * that are deeper fail with `"too-deep"` reason. Defaults to `64`.
+   */
+  maxDepth?: number
+}
+
+/**
+ * Revocation record as per UCAN revocation spec. It revokes UCAN with a
+ * `revoke` CID and is valid only if issued by the issuer of that UCAN or by an
+ * issuer of any UCAN in its proof chain.
+ */
+export interface Revocation {
+  iss: PrincipalView
+  revoke: Link
+  /**
+   * Signature of the `REVOKE:${revoke}` payload.
+   */
+  challenge: Crypto.SignatureView<string>
+}
+
+export interface RevocationOptions {
+  issuer: Signer
+  /**
+   * Link to the UCAN to be revoked, see {@link Link}.
+   */
+  revoke: Link
+}
+
+/**
+ * Store of the revocation records.
+ */
+export interface RevocationStore {
+  /**
+   * Returns revocation records for the UCAN with a given CID. Records are
+   * verified by the consumer, so store may contain invalid ones.
+   */
+  find(link: Link): Crypto.Await<Iterable<Revocation>>
+}
+
+/**
+ * Command of the UCAN 1.0 delegation or invocation. It is a `/` delimited path
+ * e.g. `/store/add`, where `/` covers every command.
+ */
+export type Command = "/" | `/${string}`
+
+/**
+ * Policy of the UCAN 1.0 delegation constraining arguments of the invocations.
+ * Invocation is allowed only if every statement holds.
+ *
+ * @see https://github.com/ucan-wg/delegation/#policy
+ */
+export type Policy = Statement[]
+
+/**
+ * Selects value from the arguments e.g. `.`, `.foo`, `.bar[0]`, `.["key"]`,
+ * `.items[]` or `.foo?`, where `?` selects `null` instead of failing.
+ */
+export type Selector = "." | `.${string}`
+
+export type Comparison = "==" | "!=" | ">" | ">=" | "<" | "<="
+
+export type Statement =
+  | [op: "==" | "!=", selector: Selector, value: unknown]
+  | [op: ">" | ">=" | "<" | "<=", selector: Selector, value: number]
+  | [op: "like", selector: Selector, pattern: string]
+  | [op: "not", statement: Statement]
+  | [op: "and" | "or", statements: Statement[]]
+  | [op: "all" | "any", selector: Selector, statement: Statement]
+
+export interface PolicyViolation extends Error {
+  readonly code: "POLICY_VIOLATION"
+  /**
+   * Sub-statement that does not hold.
+   */
+  readonly statement: Statement
+  /**
+   * JSON pointer to the {@link statement} within the policy e.g. `/0/1/2`.
+   */
+  readonly path: string
+  /**
+   * Set when {@link statement} could not be evaluated, e.g. because selected
+   * value is missing or has unexpected type.
+   */
+  readonly cause?: unknown
+}
+
+/**
+ * Payload of the UCAN 1.0 delegation.
+ *
+ * @see https://github.com/ucan-wg/delegation/
+ */
+export interface DelegationPayload {
+  iss: DID
+  aud: DID
+  /**
+   * Principal capabilities are delegated for, `null` delegates capabilities
+   * for any subject (powerline).
+   */
+  sub: DID | null
+  cmd: Command
+  pol: Policy
+  nonce: Uint8Array
+  meta?: Record<string, unknown>
+  nbf?: UTCUnixTimestamp
+  exp: UTCUnixTimestamp | null
+}
+
+/**
+ * Multicodec code of the encoding signed payload was in, as recorded in the
+ * [varsig] header: raw bytes, DAG-CBOR, DAG-JSON or JWT signing input.
+ *
+ * [varsig]:https://github.com/ChainAgnostic/varsig
+ */
+export type PayloadEncoding = 0x5f | 0x71 | 0x0129 | 0x6a77
+
+/**
+ * Decoded [varsig] header describing how the signature was produced.
+ *
+ * [varsig]:https://github.com/ChainAgnostic/varsig
+ */
+export interface VarsigHeader<A extends number = Crypto.SigAlg> {
+  /**
+   * Signature code as used by {@link Crypto.SignatureView} e.g. `0xd0ed`.
+   */
+  code: A
+  /**
+   * Name of the signature algorithm e.g. `EdDSA`.
+   */
+  algorithm: string
+  /**
+   * Multicodec code of the hash algorithm applied to the payload.
+   */
+  hash: number
+  encoding: PayloadEncoding
+}
+
+/**
+ * Payload signed by the issuer of the UCAN 1.0 {@link Envelope}. It is DAG-CBOR
+ * encoded varsig header `h` and a payload under a type `Tag`.
+ */
+export type SigPayload<Tag extends string = string, T = unknown> = {
+  h: Uint8Array
+} & { [K in Tag]: T }
+
+/**
+ * UCAN 1.0 envelope, which is encoded as `[s, { h, [Tag]: payload }]`.
+ */
+export interface Envelope<Tag extends string = string, T = unknown> {
+  s: Crypto.SignatureView<SigPayload<Tag, T>>
+  /**
+   * Varsig header describing signature algorithm and payload encoding.
+   */
+  h: Uint8Array
+  payload: T
+}
+
+export type DelegationTag = "ucan/dlg@1.0.0-rc.1"
+
+export interface Delegation extends Envelope<
+  DelegationTag,
+  DelegationPayload
+> {}
+
+export interface DelegationView extends Delegation {
+  readonly issuer: PrincipalView
+  readonly audience: PrincipalView
+  readonly subject: PrincipalView | null
+  readonly command: Command
+  readonly policy: Policy
+  readonly nonce: Uint8Array
+  readonly meta: Record<string, unknown>
+  readonly expiration: UTCUnixTimestamp
+  readonly notBefore?: UTCUnixTimestamp
+  readonly signature: Crypto.SignatureView<
+    SigPayload<DelegationTag, DelegationPayload>
+  >
+
+  encode(): ByteView<Delegation>
+}
+
+/**
+ * Options used when issuing a new UCAN 1.0 delegation.
+ */
+export interface DelegationIssueOptions<
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
+> {
+  issuer: Signer<DID, SigAlg>
+  audience: Principal
+  /**
+   * Principal capabilities are delegated for, `null` for powerline
+   * delegation.
+   */
+  subject: Principal | null
+  command: Command
+  /**
+   * Defaults to empty policy that does not constrain arguments.
+   */
+  policy?: Policy
+  /**
+   * Defaults to 12 random bytes.
+   */
+  nonce?: Uint8Array
+  meta?: Record<string, unknown>
+  lifetimeInSeconds?: number
+  expiration?: UTCUnixTimestamp
+  notBefore?: UTCUnixTimestamp
+  clock?: Clock
+}
+
+/**
+ * Payload of the UCAN 1.0 invocation.
+ *
+ * @see https://github.com/ucan-wg/invocation/
+ */
+export interface InvocationPayload {
+  iss: DID
+  /**
+   * Principal invoked command is about.
+   */
+  sub: DID
+  /**
+   * Executor of the invocation, defaults to the subject when omitted.
+   */
+  aud?: DID
+  cmd: Command
+  args: Record<string, unknown>
+  /**
+   * Links to the delegations authorizing the invocation, starting with the
+   * one issued by the subject and ending with the one delegated to the
+   * issuer.
+   */
+  prf: IPLDLink<Delegation>[]
+  nonce: Uint8Array
+  meta?: Record<string, unknown>
+  iat?: UTCUnixTimestamp
+  exp: UTCUnixTimestamp | null
+  /**
+   * Link to the receipt that caused this invocation.
+   */
+  cause?: IPLDLink
+}
+
+export type InvocationTag = "ucan/inv@1.0.0-rc.1"
+
+export interface Invocation extends Envelope<
+  InvocationTag,
+  InvocationPayload
+> {}
+
+export interface InvocationView extends Invocation {
+  readonly issuer: PrincipalView
+  readonly subject: PrincipalView
+  readonly audience: PrincipalView
+  readonly command: Command
+  readonly arguments: Record<string, unknown>
+  readonly proofs: IPLDLink<Delegation>[]
+  readonly nonce: Uint8Array
+  readonly meta: Record<string, unknown>
+  readonly issuedAt?: UTCUnixTimestamp
+  readonly expiration: UTCUnixTimestamp
+  readonly cause?: IPLDLink
+  readonly signature: Crypto.SignatureView<
+    SigPayload<InvocationTag, InvocationPayload>
+  >
+
+  encode(): ByteView<Invocation>
+}
+
+/**
+ * Options used when issuing a new UCAN 1.0 invocation.
+ */
+export interface InvocationIssueOptions<
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
+> {
+  issuer: Signer<DID, SigAlg>
+  subject: Principal
+  audience?: Principal
+  command: Command
+  /**
+   * Defaults to no arguments.
+   */
+  arguments?: Record<string, unknown>
+  proofs?: IPLDLink<Delegation>[]
+  /**
+   * Defaults to 12 random bytes.
+   */
+  nonce?: Uint8Array
+  meta?: Record<string, unknown>
+  issuedAt?: UTCUnixTimestamp
+  lifetimeInSeconds?: number
+  expiration?: UTCUnixTimestamp
+  cause?: IPLDLink
+  clock?: Clock
+}
+
+/**
+ * Options used when checking that the invocation is authorized by its proofs.
+ */
+export interface AuthorizationOptions extends Omit<
+  ValidationOptions,
+  "revocations"
+> {}
+
+/**
+ * Authorized invocation along with the delegations authorizing it.
+ */
+export interface Authorization {
+  invocation: InvocationView
+  delegations: DelegationView[]
+}
+
+/**
+ * Result of the invocation execution as recorded in the {@link Receipt}. Unlike
+ * {@link Result} error is arbitrary IPLD data.
+ */
+export type Outcome<T extends {} = {}, X extends {} = {}> =
+  { ok: T; error?: undefined } | { error: X; ok?: undefined }
+
+/**
+ * Invocations caused by the execution of the invocation.
+ */
+export interface Effects {
+  /**
+   * Invocations that run concurrently.
+   */
+  fork: IPLDLink<Invocation>[]
+  /**
+   * Invocation that continues the execution.
+   */
+  join?: IPLDLink<Invocation>
+}
+
+export interface ReceiptPayload<T extends {} = {}, X extends {} = {}> {
+  /**
+   * Executor of the invocation.
+   */
+  iss: DID
+  /**
+   * Link to the executed invocation.
+   */
+  ran: IPLDLink<Invocation>
+  out: Outcome<T, X>
+  fx: Effects
+  meta?: Record<string, unknown>
+  iat?: UTCUnixTimestamp
+}
+
+export type ReceiptTag = "ucan/rct@1.0.0-rc.1"
+
+export interface Receipt<T extends {} = {}, X extends {} = {}> extends Envelope<
+  ReceiptTag,
+  ReceiptPayload<T, X>
+> {}
+
+export interface ReceiptView<
+  T extends {} = {},
+  X extends {} = {},
+> extends Receipt<T, X> {
+  readonly issuer: PrincipalView
+  readonly ran: IPLDLink<Invocation>
+  readonly out: Outcome<T, X>
+  readonly fx: Effects
+  readonly meta: Record<string, unknown>
+  readonly issuedAt?: UTCUnixTimestamp
+  readonly signature: Crypto.SignatureView<
+    SigPayload<ReceiptTag, ReceiptPayload<T, X>>
+  >
+
+  encode(): ByteView<Receipt<T, X>>
+}
+
+/**
+ * Options used when issuing a receipt for the executed invocation.
+ */
+export interface ReceiptIssueOptions<
+  T extends {} = {},
+  X extends {} = {},
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
+> {
+  /**
+   * Executor of the invocation.
+   */
+  issuer: Signer<DID, SigAlg>
+  /**
+   * Executed invocation or a link to it.
+   */
+  ran: Invocation | IPLDLink<Invocation>
+  out: Outcome<T, X>
+  /**
+   * Defaults to no effects.
+   */
+  fx?: Partial<Effects>
+  meta?: Record<string, unknown>
+  issuedAt?: UTCUnixTimestamp
+}
+
+/**
+ * Signature algorithm that can be used to verify signatures issued by the
+ * `did:key` principals with a matching key type.
+ */
+export interface VerifierAlgorithm {
+  /**
+   * Human readable name of the key type e.g. `Ed25519`.
+   */
+  name: string
+  /**
+   * Multicodec code of the public key, which is the prefix of the `did:key`.
+   */
+  code: number
+  /**
+   * Integer corresponding to the byteprefix of the {@link Crypto.SigAlg}
+   * produced by the keys of this type.
+   */
+  signatureCode: Crypto.SigAlg
+  /**
+   * Name of the signature algorithm e.g. `EdDSA`.
+   */
+  signatureAlgorithm: string
+  /**
+   * Creates verifier from the bytes of the `did:key` principal.
+   */
+  decode(bytes: ByteView<Principal>): Crypto.Await<Verifier>
+}
+
+export interface VerifierRegistry {
+  /**
+   * Derives verifier for the `did:key` principal. If `signature` is provided
+   * fails unless its algorithm matches key type.
+   */
+  verifier(
+    principal: PrincipalView,
+    signature?: Crypto.SignatureView
+  ): Promise<Result<Verifier, Error>>
+}
+
+/**
+ * Verification method of the {@link DIDDocument}. Only methods with
+ * `publicKeyMultibase` are used to derive verifiers.
+ */
+export interface VerificationMethod {
+  id: string
+  type: string
+  controller: DID
+  /**
+   * Multicodec tagged public key encoded as base58btc multibase string, same
+   * as the `did:key` method specific identifier.
+   */
+  publicKeyMultibase?: string
+}
+
+/**
+ * Subset of the DID document relevant to the UCAN signature verification.
+ */
+export interface DIDDocument<ID extends DID = DID> {
+  id: ID
+  verificationMethod?: VerificationMethod[]
+  /**
+   * Verification methods (or references to them by `id`) that can issue
+   * UCANs on behalf of the DID subject. If omitted all `verificationMethod`s
+   * are used.
+   */
+  assertionMethod?: (string | VerificationMethod)[]
+}
+
+/**
+ * Resolves DID to its {@link DIDDocument}.
+ */
+export interface DIDResolver {
+  resolve<ID extends DID>(did: ID): Promise<Result<DIDDocument<ID>, Error>>
+}
+
+export interface VerifyOptions {
+  /**
+   * Used to derive verifiers from the `did:key`s, defaults to the registry
+   * with all the built-in algorithms.
+   */
+  registry?: VerifierRegistry
+  /**
+   * Used to derive verifiers for issuers other than `did:key` from the
+   * verification methods of their DID documents.
+   */
+  didResolver?: DIDResolver
+}
+
+/**
+ * Validated UCAN along with its (also validated) proofs.
+ */
+export interface Chain<C extends Capabilities = Capabilities> {
+  ucan: View<C>
+  proofs: Chain[]
+}
+
+/**
+ * Reason why UCAN proof chain validation has failed.
+ */
+export type InvalidReason =
+  | "expired"
+  | "too-early"
+  | "unknown-issuer"
+  | "invalid-signature"
+  | "audience-mismatch"
+  | "unresolved-proof"
+  | "invalid-proof"
+  | "too-deep"
+  | "revoked"
+  | "subject-mismatch"
+  | "command-mismatch"
+  | "policy-violation"
+
+export interface InvalidChain extends Error {
+  readonly code: "INVALID_CHAIN"
+  readonly reason: InvalidReason
+  /**
+   * Links from the validated UCAN to the one that failed validation.
+   */
+  readonly path: Link[]
+  readonly cause?: unknown
+}
+
+export type Result<T extends {} = {}, X extends Error = Error> =
+  { ok: T; error?: undefined } | { error: X; ok?: undefined }
+
+/**
+ * Stable codes of the {@link UCANError}s.
+ *
+ * - `INVALID_JWT` - JWT is not three base64url encoded JSON segments.
+ * - `INVALID_HEADER` - JWT header has invalid `typ` or `alg`.
+ * - `INVALID_VERSION` - UCAN version is not a semver string.
+ * - `INVALID_DID` - `iss`, `aud` or other DID is malformed or unsupported.
+ * - `INVALID_CAPABILITY` - `att` or one of its capabilities is malformed.
+ * - `INVALID_PROOF` - `prf` or one of its links is malformed.
+ * - `INVALID_FACT` - `fct` or one of its facts is malformed.
+ * - `INVALID_TIMESTAMP` - `exp` or `nbf` is not an integer.
+ * - `INVALID_SIGNATURE` - signature is malformed.
+ * - `UNKNOWN_SIGNATURE_ALGORITHM` - signature uses unknown algorithm code.
+ * - `INVALID_POLICY` - `pol` or one of its statements is malformed.
+ * - `INVALID_FIELD` - any other field is malformed.
+ * - `NON_CANONICAL_ENCODING` - UCAN is not canonically encoded.
+ * - `INVALID_TIME_BOUNDS` - `nbf` of the UCAN being delegated is past its `exp`.
+ * - `DID_RESOLUTION_FAILED` - DID document can not be resolved or has no
+ *   supported verification methods.
+ * - {@link LimitErrorCode} - UCAN exceeds one of the {@link Limits}.
+ */
+export type ErrorCode =
+  | "INVALID_JWT"
+  | "INVALID_HEADER"
+  | "INVALID_VERSION"
+  | "INVALID_DID"
+  | "INVALID_CAPABILITY"
+  | "INVALID_PROOF"
+  | "INVALID_FACT"
+  | "INVALID_TIMESTAMP"
+  | "INVALID_SIGNATURE"
+  | "UNKNOWN_SIGNATURE_ALGORITHM"
+  | "INVALID_POLICY"
+  | "INVALID_FIELD"
+  | "NON_CANONICAL_ENCODING"
+  | "INVALID_TIME_BOUNDS"
+  | "DID_RESOLUTION_FAILED"
+  | LimitErrorCode
+
+/**
+ * Codes of the errors raised when UCAN exceeds one of the {@link Limits}.
+ */
+export type LimitErrorCode =
+  | "MAX_BYTES_EXCEEDED"
+  | "MAX_SEGMENT_LENGTH_EXCEEDED"
+  | "MAX_CAPABILITIES_EXCEEDED"
+  | "MAX_PROOFS_EXCEEDED"
+  | "MAX_FACTS_EXCEEDED"
+  | "MAX_DEPTH_EXCEEDED"
+  | "MAX_SIGNATURE_SIZE_EXCEEDED"
+
+export interface ErrorOptions {
+  /**
+   * JSON pointer to the offending field e.g. `/att/2/with`.
+   */
+  path?: string
+  cause?: unknown
+}
+
+export interface UCANError extends Error {
+  readonly code: ErrorCode
+  /**
+   * JSON pointer to the offending field e.g. `/att/2/with`, empty string if
+   * error is not specific to a field.
+   */
+  readonly path: string
+  readonly cause?: unknown
 }
 
 /**
@@ -261,7 +1081,7 @@ export interface UCANOptions<
 export interface Link<
   C extends Capabilities = Capabilities,
   Encoding extends MulticodecCode = MulticodecCode,
-  SigAlg extends Crypto.SigAlg = Crypto.SigAlg
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
 > extends IPLDLink<UCAN<C>, Encoding, SigAlg> {}
 
 /**
@@ -276,7 +1096,7 @@ export interface Link<
 export interface Block<
   C extends Capabilities = Capabilities,
   Encoding extends MulticodecCode = MulticodecCode,
-  SigAlg extends Crypto.SigAlg = Crypto.SigAlg
+  SigAlg extends Crypto.SigAlg = Crypto.SigAlg,
 > extends IPLDBlock<UCAN<C>, Encoding, SigAlg> {
   data?: UCAN<C>
 }
@@ -301,7 +1121,7 @@ export type Resource = `${string}:${string}`
 export interface Capability<
   Can extends Ability = Ability,
   With extends Resource = Resource,
-  Caveats extends unknown = unknown
+  Caveats extends unknown = unknown,
 > {
   with: With
   can: Can
@@ -310,6 +1130,28 @@ export interface Capability<
 
 export type Capabilities = Tuple<Capability>
 
+/**
+ * Claimed {@link Capability} paired with the delegated {@link Capability} it
+ * was derived from.
+ */
+export interface Match<C extends Capability = Capability> {
+  claimed: C
+  delegated: Capability
+}
+
+/**
+ * Claimed {@link Capability} that is not derived from any of the delegated
+ * capabilities.
+ */
+export interface UnsupportedCapability<C extends Capability = Capability> {
+  capability: C
+  /**
+   * Position of the capability in the claimed capabilities.
+   */
+  index: number
+  reason: string
+}
+
 /**
  * Utility type that retains type information about data of type `In`, encoded
  * as type `Out`.
@@ -345,12 +1187,12 @@ export type ToJSON<In, Out extends JSONUnknown = IntoJSON<In>> = Encoded<
 export type IntoJSON<T> = T extends JSONScalar
   ? T
   : T extends { toJSON(): infer U }
-  ? IntoJSON<U>
-  : T extends Array<infer U>
-  ? IntoJSON<U>[]
-  : T extends JSONObject
-  ? IntoJSONObject<T>
-  : never
+    ? IntoJSON<U>
+    : T extends Array<infer U>
+      ? IntoJSON<U>[]
+      : T extends JSONObject
+        ? IntoJSONObject<T>
+        : never
 
 export type IntoJSONObject<T extends JSONObject> = {
   [K in keyof T]: IntoJSON<T[K]>
@@ -364,7 +1206,7 @@ export type IntoJSONObject<T extends JSONObject> = {
  */
 export type MulticodecCode<
   Code extends number = number,
-  Name extends string = string
+  Name extends string = string,
 > = Code & Phantom<Name>
 
 /**
@@ -0,0 +1,287 @@
+import * as UCAN from "./ucan.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as DAGJSON from "@ipld/dag-json"
+import { varint } from "multiformats"
+import * as Signature from "./signature.js"
+import * as UTF8 from "./utf8.js"
+import { SignatureError, ParseError, toPath } from "./error.js"
+
+export const PREFIX = 0x34
+export const VERSION = 0x01
+
+// Signature algorithms
+export const EDDSA = 0xed
+export const ECDSA = 0xec
+export const RSA = 0x1205
+
+// Curves
+export const ED25519 = 0xed
+export const P256 = 0x1200
+export const P384 = 0x1201
+export const P521 = 0x1202
+export const SECP256K1 = 0xe7
+
+// Hash algorithms
+export const SHA2_256 = 0x12
+export const SHA2_384 = 0x20
+export const SHA2_512 = 0x13
+
+// Payload encodings
+export const RAW = 0x5f
+export const DAG_CBOR = 0x71
+export const DAG_JSON = 0x0129
+export const JWT = 0x6a77
+
+/**
+ * Varsig segments (signature algorithm, its parameters and hash algorithm)
+ * for the supported signature codes.
+ */
+const algorithms = [
+  {
+    code: Signature.EdDSA,
+    algorithm: "EdDSA",
+    hash: SHA2_512,
+    segments: [EDDSA, ED25519, SHA2_512],
+  },
+  {
+    code: Signature.ES256,
+    algorithm: "ES256",
+    hash: SHA2_256,
+    segments: [ECDSA, P256, SHA2_256],
+  },
+  {
+    code: Signature.ES384,
+    algorithm: "ES384",
+    hash: SHA2_384,
+    segments: [ECDSA, P384, SHA2_384],
+  },
+  {
+    code: Signature.ES512,
+    algorithm: "ES512",
+    hash: SHA2_512,
+    segments: [ECDSA, P521, SHA2_512],
+  },
+  {
+    code: Signature.ES256K,
+    algorithm: "ES256K",
+    hash: SHA2_256,
+    segments: [ECDSA, SECP256K1, SHA2_256],
+  },
+  {
+    code: Signature.RS256,
+    algorithm: "RS256",
+    hash: SHA2_256,
+    // RSA parameters are hash algorithm and signature size in bytes.
+    segments: [RSA, SHA2_256, 0x100],
+  },
+]
+
+const encodings = [RAW, DAG_CBOR, DAG_JSON, JWT]
+
+/**
+ * Creates varsig header for the signature algorithm with the given code
+ * (e.g. `Signature.EdDSA`) over the payload in the given encoding.
+ *
+ * @template {number} A
+ * @param {A} code
+ * @param {UCAN.PayloadEncoding} encoding
+ * @returns {UCAN.VarsigHeader<A>}
+ */
+export const create = (code, encoding) => {
+  const { algorithm, hash } = lookup(code)
+  if (!encodings.includes(encoding)) {
+    SignatureError.throw(
+      "INVALID_SIGNATURE",
+      `Unsupported varsig payload encoding ${hex(encoding)}`
+    )
+  }
+  return { code, algorithm, hash, encoding }
+}
+
+/**
+ * Returns varsig header describing the algorithm of the given signature.
+ * Signatures of the UCAN 0.x tokens are over the JWT signing input even when
+ * UCAN is in IPLD representation, which is why `encoding` defaults to `JWT`.
+ *
+ * @template {number} A
+ * @param {UCAN.Signature<unknown, A>} signature
+ * @param {UCAN.PayloadEncoding} [encoding]
+ * @returns {UCAN.VarsigHeader<A>}
+ */
+export const from = (signature, encoding = JWT) =>
+  create(signature.code, encoding)
+
+/**
+ * Creates signature view from the raw signature bytes and the varsig header
+ * describing its algorithm.
+ *
+ * @template T
+ * @template {number} A
+ * @param {UCAN.VarsigHeader<A>} header
+ * @param {Uint8Array} raw
+ * @returns {UCAN.SignatureView<T, A>}
+ */
+export const toSignature = (header, raw) => Signature.create(header.code, raw)
+
+/**
+ * @template {number} A
+ * @param {UCAN.VarsigHeader<A>} header
+ * @returns {UCAN.ByteView<UCAN.VarsigHeader<A>>}
+ */
+export const encode = ({ code, encoding }) => {
+  const { segments } = lookup(code)
+  return encodeVarints([PREFIX, VERSION, ...segments, encoding])
+}
+
+/**
+ * Decodes varsig header. Throws {@link SignatureError} if header is malformed
+ * or describes an unsupported signature algorithm or payload encoding.
+ *
+ * @template {number} A
+ * @param {UCAN.ByteView<UCAN.VarsigHeader<A>>} bytes
+ * @returns {UCAN.VarsigHeader<A>}
+ */
+export const decode = bytes => {
+  const [prefix, version, ...segments] = decodeVarints(bytes)
+  if (prefix !== PREFIX || version !== VERSION) {
+    SignatureError.throw(
+      "INVALID_SIGNATURE",
+      `Unsupported varsig header, expected ${hex(PREFIX)} prefix followed by version ${VERSION}`
+    )
+  }
+
+  const encoding = /** @type {UCAN.PayloadEncoding} */ (segments.pop())
+  const entry = algorithms.find(
+    entry =>
+      entry.segments.length === segments.length &&
+      entry.segments.every((segment, index) => segment === segments[index])
+  )
+  if (!entry) {
+    return SignatureError.throw(
+      "UNKNOWN_SIGNATURE_ALGORITHM",
+      `Unsupported varsig header, unknown signature algorithm ${segments
+        .map(hex)
+        .join(" ")}`
+    )
+  }
+
+  return create(/** @type {A} */ (entry.code), encoding)
+}
+
+/**
+ * Reads varsig header from the field in the given `context`, rethrowing
+ * decode errors as {@link ParseError} pointing to that field.
+ *
+ * @param {unknown} input
+ * @param {string} context
+ * @returns {UCAN.VarsigHeader}
+ */
+export const read = (input, context) => {
+  try {
+    return decode(/** @type {Uint8Array} */ (input))
+  } catch (cause) {
+    // decode only throws SignatureError
+    const { code, message } = /** @type {SignatureError} */ (cause)
+    throw new ParseError(code, message, { path: toPath(context), cause })
+  }
+}
+
+/**
+ * Encodes the payload the way it was signed according to the varsig header,
+ * which is what verifiers need to reconstruct before checking the signature.
+ * `DAG_CBOR` and `DAG_JSON` payloads are IPLD data, `JWT` payload is the
+ * `${header}.${payload}` signing input and `RAW` payload is bytes as is.
+ *
+ * @template T
+ * @param {UCAN.VarsigHeader} header
+ * @param {T} payload
+ * @returns {UCAN.ByteView<T>}
+ */
+export const encodePayload = ({ encoding }, payload) => {
+  switch (encoding) {
+    case DAG_CBOR:
+      return CBOR.encode(payload)
+    case DAG_JSON:
+      return DAGJSON.encode(payload)
+    case JWT:
+      return /** @type {UCAN.ByteView<T>} */ (UTF8.encode(String(payload)))
+    case RAW:
+      return /** @type {UCAN.ByteView<T>} */ (payload)
+    default:
+      return SignatureError.throw(
+        "INVALID_SIGNATURE",
+        `Unsupported varsig payload encoding ${hex(encoding)}`
+      )
+  }
+}
+
+/**
+ * @param {number} code
+ */
+const lookup = code => {
+  const entry = algorithms.find(entry => entry.code === code)
+  if (!entry) {
+    return SignatureError.throw(
+      "UNKNOWN_SIGNATURE_ALGORITHM",
+      `Signature algorithm ${hex(code)} has no varsig header`
+    )
+  }
+  return entry
+}
+
+/**
+ * @param {number[]} segments
+ * @returns {Uint8Array}
+ */
+const encodeVarints = segments => {
+  const size = segments.reduce((size, n) => size + varint.encodingLength(n), 0)
+  const bytes = new Uint8Array(size)
+  let offset = 0
+  for (const segment of segments) {
+    varint.encodeTo(segment, bytes, offset)
+    offset += varint.encodingLength(segment)
+  }
+  return bytes
+}
+
+/**
+ * @param {Uint8Array} bytes
+ */
+const decodeVarints = bytes => {
+  if (!(bytes instanceof Uint8Array)) {
+    return SignatureError.throw(
+      "INVALID_SIGNATURE",
+      `Expected varsig header to be Uint8Array, instead got ${bytes}`
+    )
+  }
+
+  const segments = []
+  let offset = 0
+  while (offset < bytes.byteLength) {
+    const [segment, size] = decodeVarint(bytes, offset)
+    segments.push(segment)
+    offset += size
+  }
+  return segments
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ */
+const decodeVarint = (bytes, offset) => {
+  try {
+    return varint.decode(bytes, offset)
+  } catch (cause) {
+    return SignatureError.throw(
+      "INVALID_SIGNATURE",
+      `Varsig header has truncated varint at ${offset}`,
+      { cause }
+    )
+  }
+}
+
+/**
+ * @param {number} code
+ */
+const hex = code => `0x${code.toString(16)}`
@@ -2,12 +2,75 @@ import * as UCAN from "./ucan.js"
 import * as DID from "./did.js"
 import { encode as encodeJSON } from "@ipld/dag-json"
 import { decode as decodeUTF8 } from "./utf8.js"
+import { sha256 } from "multiformats/hashes/sha2"
+import { create as createLink } from "multiformats/link"
+import { toHeaderJSON } from "./formatter.js"
 
 /**
  * @param {unknown} data
  */
 const toJSON = data => JSON.parse(decodeUTF8(encodeJSON(data)))
 
+/**
+ * @typedef {object} Cache
+ * @property {Uint8Array} [bytes]
+ * @property {string} [jwt]
+ * @property {Map<number, Promise<UCAN.Link<any, any, any>>>} links - Links
+ * keyed by the code of the hasher used to create them.
+ */
+
+/**
+ * Representations of the views computed on first use. They are kept outside
+ * of the views so that views of the same UCAN remain equal.
+ *
+ * @type {WeakMap<object, Cache>}
+ */
+const caches = new WeakMap()
+
+/**
+ * Returns cache of the given view.
+ *
+ * @param {object} view
+ * @returns {Cache}
+ */
+export const cache = view => {
+  let cache = caches.get(view)
+  if (!cache) {
+    cache = { links: new Map() }
+    caches.set(view, cache)
+  }
+  return cache
+}
+
+/**
+ * Creates a CID for the view with the given hasher. CIDs are cached per
+ * hasher, so only the first call for each hasher hashes the bytes.
+ *
+ * @template {UCAN.Capabilities} C
+ * @template {number} [A=typeof sha256.code]
+ * @param {UCAN.View<C>} view
+ * @param {{hasher?: UCAN.MultihashHasher<A>}} options
+ * @returns {Promise<UCAN.Link<C, UCAN.Code, A>>}
+ */
+export const link = (view, { hasher = /** @type {any} */ (sha256) } = {}) => {
+  const { links } = cache(view)
+  const cached = links.get(hasher.code)
+  if (cached) {
+    return cached
+  }
+
+  const link = (async () => {
+    const digest = await hasher.digest(view.bytes)
+    return /** @type {UCAN.Link<C, UCAN.Code, A>} */ (
+      createLink(view.code, digest)
+    )
+  })()
+  links.set(hasher.code, link)
+  // don't cache failures so that they can be retried
+  link.catch(() => links.delete(hasher.code))
+  return link
+}
+
 /**
  * @template {UCAN.Capabilities} C
  */
@@ -77,6 +140,24 @@ export class View {
     return this.model.prf
   }
 
+  /**
+   * JWT header of the UCAN including fields not defined by the spec.
+   *
+   * @returns {UCAN.JWTHeader & UCAN.Extensions}
+   */
+  get header() {
+    return toHeaderJSON(this.model.v, this.model.s.algorithm, this.model.hdr)
+  }
+
+  /**
+   * Payload fields not defined by the spec.
+   *
+   * @returns {UCAN.Extensions}
+   */
+  get extensions() {
+    return this.model.ext || {}
+  }
+
   get signature() {
     return this.model.s
   }
@@ -115,12 +196,19 @@ export class View {
   get prf() {
     return this.model.prf
   }
+  get hdr() {
+    return this.model.hdr
+  }
+  get ext() {
+    return this.model.ext
+  }
 
   /**
    * @returns {UCAN.ToJSON<UCAN.UCAN<C>, UCAN.UCANJSON<this>>}
    */
   toJSON() {
-    const { v, iss, aud, s, att, prf, exp, fct, nnc, nbf } = this.model
+    const { v, iss, aud, s, att, prf, exp, fct, nnc, nbf, hdr, ext } =
+      this.model
 
     return {
       iss,
@@ -132,6 +220,8 @@ export class View {
         att,
         prf,
         ...(fct.length > 0 && { fct }),
+        ...(hdr && { hdr }),
+        ...(ext && { ext }),
       }),
       ...(nnc != null && { nnc }),
       ...(nbf && { nbf }),
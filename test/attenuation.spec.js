@@ -0,0 +1,206 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Attenuation from "../src/attenuation.js"
+import * as Link from "multiformats/link"
+import { assert } from "chai"
+import { alice } from "./fixtures.js"
+
+describe("attenuation", () => {
+  /** @type {[string, string, boolean][]} */
+  const resources = [
+    [alice.did(), alice.did(), true],
+    ["mailto:alice@web.mail", "mailto:bob@web.mail", false],
+    ["mailto:alice@web.mail", "mailto:*", true],
+    ["mailto:*", "mailto:*", true],
+    [alice.did(), "did:key:*", true],
+    ["did:key:*", alice.did(), false],
+    ["my:store", "my:*", true],
+    [
+      "wnfs://alice.fission.name/public/photos/",
+      "wnfs://alice.fission.name/public/",
+      false,
+    ],
+  ]
+
+  for (const [claimed, delegated, expect] of resources) {
+    it(`with: ${claimed} ${expect ? "<=" : "!<="} ${delegated}`, () => {
+      assert.equal(
+        Attenuation.matchResource(
+          /** @type {any} */ (claimed),
+          /** @type {any} */ (delegated)
+        ),
+        expect
+      )
+    })
+  }
+
+  /** @type {[string, string, boolean][]} */
+  const abilities = [
+    ["store/add", "store/add", true],
+    ["store/add", "store/remove", false],
+    ["store/add", "*", true],
+    ["*", "store/*", false],
+    ["store/add", "store/*", true],
+    ["store/*", "store/*", true],
+    ["store/shard/add", "store/*", true],
+    ["storage/add", "store/*", false],
+    ["store/*", "store/add", false],
+    ["msg/SEND", "msg/send", true],
+  ]
+
+  for (const [claimed, delegated, expect] of abilities) {
+    it(`can: ${claimed} ${expect ? "<=" : "!<="} ${delegated}`, () => {
+      assert.equal(
+        Attenuation.matchAbility(
+          /** @type {any} */ (claimed),
+          /** @type {any} */ (delegated)
+        ),
+        expect
+      )
+    })
+  }
+
+  it("caveats may be narrowed", () => {
+    const link = Link.parse("bafkqaaa")
+    /** @type {UCAN.Capability} */
+    const delegated = {
+      with: alice.did(),
+      can: "store/add",
+      nb: { size: { max: 1024 }, link },
+    }
+
+    assert.ok(
+      Attenuation.derives(
+        {
+          with: alice.did(),
+          can: "store/add",
+          nb: { size: { max: 1024, min: 0 }, link, tag: "photos" },
+        },
+        delegated
+      ).ok
+    )
+
+    assert.match(
+      String(
+        Attenuation.derives(
+          { with: alice.did(), can: "store/add", nb: { link } },
+          delegated
+        ).error
+      ),
+      /escalate nb.size/
+    )
+
+    assert.match(
+      String(
+        Attenuation.derives(
+          {
+            with: alice.did(),
+            can: "store/add",
+            nb: { size: { max: 2048 }, link },
+          },
+          delegated
+        ).error
+      ),
+      /escalate nb.size.max/
+    )
+
+    assert.ok(
+      Attenuation.derives(
+        {
+          with: alice.did(),
+          can: "store/add",
+          nb: { size: { max: 1024 }, link: Link.parse("bafkqaaa") },
+        },
+        delegated
+      ).ok
+    )
+  })
+
+  it("byte caveats are compared by value", () => {
+    /** @type {UCAN.Capability} */
+    const delegated = {
+      with: alice.did(),
+      can: "store/add",
+      nb: { key: new Uint8Array([1, 2, 3]) },
+    }
+
+    assert.ok(
+      Attenuation.derives(
+        {
+          with: alice.did(),
+          can: "store/add",
+          nb: { key: new Uint8Array([1, 2, 3]) },
+        },
+        delegated
+      ).ok
+    )
+
+    assert.match(
+      String(
+        Attenuation.derives(
+          {
+            with: alice.did(),
+            can: "store/add",
+            nb: { key: new Uint8Array([1, 2, 4]) },
+          },
+          delegated
+        ).error
+      ),
+      /escalate nb.key/
+    )
+  })
+
+  it("capabilities without caveats are derived from ones without", () => {
+    assert.ok(
+      Attenuation.derives(
+        { with: alice.did(), can: "store/add", nb: { size: 5 } },
+        { with: alice.did(), can: "store/add" }
+      ).ok
+    )
+  })
+
+  it("check reports unsupported capabilities", () => {
+    /** @type {UCAN.Capability[]} */
+    const delegated = [
+      { with: alice.did(), can: "store/*" },
+      { with: "mailto:*", can: "msg/send", nb: { bcc: [] } },
+    ]
+
+    /** @type {UCAN.Capability[]} */
+    const claimed = [
+      { with: alice.did(), can: "store/add" },
+      { with: alice.did(), can: "upload/add" },
+      { with: "mailto:alice@web.mail", can: "msg/send", nb: { bcc: [1] } },
+      { with: "mailto:alice@web.mail", can: "msg/send", nb: { bcc: [] } },
+      { with: "dns:web.mail", can: "msg/send" },
+    ]
+    const result = Attenuation.check(claimed, delegated)
+
+    assert.equal(result.error?.name, "EscalationError")
+    assert.deepEqual(
+      result.error?.unsupported.map(({ index, reason }) => [index, reason]),
+      [
+        [1, `Ability upload/add is not covered by store/* on ${alice.did()}`],
+        [2, "Caveats of msg/send on mailto:alice@web.mail escalate nb.bcc"],
+        [4, `Resource dns:web.mail is not covered by ${alice.did()}`],
+      ]
+    )
+    assert.match(String(result.error), /att\[1\]: Ability upload\/add/)
+  })
+
+  it("check returns matches", () => {
+    /** @type {UCAN.Capability} */
+    const delegated = { with: alice.did(), can: "*" }
+    /** @type {UCAN.Capability} */
+    const claimed = { with: alice.did(), can: "store/add" }
+
+    assert.deepEqual(Attenuation.check([claimed], [delegated]), {
+      ok: [{ claimed, delegated }],
+    })
+
+    assert.match(
+      String(Attenuation.check([claimed], []).error),
+      /No capabilities were delegated/
+    )
+  })
+})
@@ -0,0 +1,187 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as CAR from "../src/car.js"
+import { assert } from "chai"
+import { identity } from "multiformats/hashes/identity"
+import { alice, bob, mallory } from "./fixtures.js"
+import * as RAW from "multiformats/codecs/raw"
+import * as CBOR from "@ipld/dag-cbor"
+import { assertRejects, createResolver, formatUnsafe } from "./util.js"
+
+const setup = async () => {
+  const root = await UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/put" }],
+  })
+  const proof = await UCAN.issue({
+    issuer: bob,
+    audience: mallory,
+    capabilities: root.capabilities,
+    proofs: [await UCAN.link(root)],
+  })
+  const other = await UCAN.issue({
+    issuer: bob,
+    audience: mallory,
+    capabilities: root.capabilities,
+    nonce: "other",
+    proofs: [await UCAN.link(root)],
+  })
+  const leaf = await UCAN.issue({
+    issuer: mallory,
+    audience: alice,
+    capabilities: root.capabilities,
+    // root is linked twice but is only written once
+    proofs: [await UCAN.link(proof), await UCAN.link(other)],
+  })
+
+  return {
+    root,
+    proof,
+    other,
+    leaf,
+    resolve: await createResolver([root, proof, other]),
+  }
+}
+
+describe("CAR", () => {
+  it("export <-> import", async () => {
+    const { root, proof, other, leaf, resolve } = await setup()
+    const car = await UCAN.exportCAR(leaf, { resolve })
+    const { roots, blocks } = CAR.decode(car)
+    assert.deepEqual(roots.map(String), [await UCAN.link(leaf)].map(String))
+    assert.deepEqual(
+      blocks.map(block => block.cid.toString()),
+      [
+        await UCAN.link(leaf),
+        await UCAN.link(proof),
+        await UCAN.link(other),
+        await UCAN.link(root),
+      ].map(String)
+    )
+
+    const imported = await UCAN.importCAR(car)
+    assert.equal(UCAN.format(imported.root), UCAN.format(leaf))
+    assert.equal(imported.blocks.size, 4)
+
+    const result = await UCAN.validate(imported.root, {
+      resolve: link => imported.blocks.get(link.toString()),
+    })
+    assert.equal(result.error, undefined)
+  })
+
+  it("skips inline proofs but includes their proofs", async () => {
+    const { root, proof } = await setup()
+    const leaf = await UCAN.issue({
+      issuer: mallory,
+      audience: alice,
+      capabilities: root.capabilities,
+      proofs: [await UCAN.link(proof, { hasher: identity })],
+    })
+
+    const car = await UCAN.exportCAR(leaf, {
+      resolve: await createResolver([root]),
+    })
+    const { blocks } = CAR.decode(car)
+    assert.deepEqual(
+      blocks.map(block => block.cid.toString()),
+      [await UCAN.link(leaf), await UCAN.link(root)].map(String)
+    )
+  })
+
+  it("exports UCANs in JWT representation", async () => {
+    const att = [{ with: alice.did(), can: "store/put" }]
+    const root = UCAN.parse(
+      await formatUnsafe(alice, { body: { aud: bob.did(), att, fct: [] } })
+    )
+    assert.equal(root.code, RAW.code)
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [await UCAN.link(root)],
+    })
+
+    const car = await UCAN.exportCAR(leaf, {
+      resolve: await createResolver([root]),
+    })
+    const { blocks } = await UCAN.importCAR(car)
+    const bytes = blocks.get((await UCAN.link(root)).toString())
+    assert.equal(bytes && UCAN.decode(bytes).format(), root.format())
+  })
+
+  it("fails to export when proof is missing", async () => {
+    const { leaf, root, proof } = await setup()
+    await assertRejects(
+      UCAN.exportCAR(leaf, { resolve: await createResolver([root, proof]) }),
+      /Resolver returned no block for/
+    )
+  })
+
+  it("fails to import tampered blocks", async () => {
+    const { root, leaf, resolve } = await setup()
+    const car = await UCAN.exportCAR(leaf, { resolve })
+    const { roots, blocks } = CAR.decode(car)
+    const tampered = CAR.encode({
+      roots,
+      // replace proof bytes with the root bytes
+      blocks: blocks.map((block, index) =>
+        index === 1 ? { ...block, bytes: UCAN.encode(root) } : block
+      ),
+    })
+
+    await assertRejects(
+      UCAN.importCAR(tampered),
+      /Resolved block does not match/
+    )
+  })
+
+  it("fails to import CAR without a single root", async () => {
+    const { root } = await setup()
+    const block = await UCAN.write(root)
+
+    await assertRejects(
+      UCAN.importCAR(CAR.encode({ roots: [], blocks: [block] })),
+      /single root instead got 0/
+    )
+    await assertRejects(
+      UCAN.importCAR(CAR.encode({ roots: [block.cid], blocks: [] })),
+      /does not contain root block/
+    )
+  })
+
+  it("fails to decode invalid CAR", async () => {
+    const { root } = await setup()
+    const block = await UCAN.write(root)
+    const car = CAR.encode({ roots: [block.cid], blocks: [block] })
+
+    assert.throws(
+      () => CAR.decode(car.subarray(0, -1)),
+      /Invalid CAR block 0, expected \d+ bytes instead got \d+/
+    )
+    assert.throws(() => CAR.decode(new Uint8Array([0])), /section is empty/)
+  })
+
+  it("fails to decode CAR with invalid header", async () => {
+    /**
+     * @param {unknown} header
+     */
+    const encodeHeader = header => {
+      const bytes = CBOR.encode(header)
+      return new Uint8Array([bytes.byteLength, ...bytes])
+    }
+
+    assert.throws(
+      () => CAR.decode(encodeHeader({ version: 2, roots: [] })),
+      /Expected CAR version 1 instead got 2/
+    )
+    assert.throws(
+      () => CAR.decode(encodeHeader({ version: 1 })),
+      /Expected CAR header roots to be an array of CIDs/
+    )
+    assert.throws(
+      () => CAR.decode(encodeHeader({ version: 1, roots: ["bafy"] })),
+      /Expected CAR header roots to be an array of CIDs/
+    )
+  })
+})
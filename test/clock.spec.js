@@ -0,0 +1,141 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+
+/**
+ * @param {number} time
+ */
+const createClock = time => ({
+  time,
+  now() {
+    return this.time
+  },
+})
+
+const capabilities = /** @type {UCAN.Capabilities} */ ([
+  { with: alice.did(), can: "store/put" },
+])
+
+describe("clock", () => {
+  it("issue uses clock for default expiration", async () => {
+    const clock = createClock(1000)
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities,
+      clock,
+    })
+    assert.equal(ucan.expiration, 1030)
+
+    const delegation = await UCAN.delegate(
+      await UCAN.issue({
+        issuer: alice,
+        audience: bob,
+        capabilities,
+        expiration: Infinity,
+      }),
+      { issuer: bob, audience: mallory, lifetimeInSeconds: 10, clock }
+    )
+    assert.equal(delegation.expiration, 1010)
+  })
+
+  it("time checks use clock and tolerance", async () => {
+    const clock = createClock(1000)
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities,
+      notBefore: 1010,
+      expiration: 1020,
+    })
+
+    assert.equal(UCAN.isTooEarly(ucan, { clock }), true)
+    assert.equal(UCAN.isTooEarly(ucan, { clock, tolerance: 5 }), true)
+    assert.equal(UCAN.isTooEarly(ucan, { clock, tolerance: 11 }), false)
+    assert.equal(UCAN.isExpired(ucan, { clock }), false)
+
+    clock.time = 1020
+    assert.equal(UCAN.isTooEarly(ucan, { clock }), false)
+    assert.equal(UCAN.isExpired(ucan, { clock }), true)
+    assert.equal(UCAN.isExpired(ucan, { clock, tolerance: 1 }), false)
+
+    clock.time = 1025
+    assert.equal(UCAN.isExpired(ucan, { clock, tolerance: 5 }), true)
+  })
+
+  it("validate uses clock and tolerance", async () => {
+    const clock = createClock(1000)
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities,
+      expiration: 1100,
+    })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities,
+      expiration: 1200,
+      proofs: [await UCAN.link(root)],
+    })
+    const resolve = () => UCAN.encode(root)
+
+    assert.equal(
+      (await UCAN.validate(leaf, { resolve, clock })).error,
+      undefined
+    )
+
+    clock.time = 1130
+    const expired = await UCAN.validate(leaf, { resolve, clock })
+    assert.equal(expired.error?.reason, "expired")
+    assert.deepEqual(expired.error?.path, [
+      await UCAN.link(leaf),
+      await UCAN.link(root),
+    ])
+
+    const tolerated = await UCAN.validate(leaf, {
+      resolve,
+      clock,
+      tolerance: 60,
+    })
+    assert.equal(tolerated.error, undefined)
+
+    clock.time = 1170
+    const exceeded = await UCAN.validate(leaf, {
+      resolve,
+      clock,
+      tolerance: 60,
+    })
+    assert.equal(exceeded.error?.reason, "expired")
+  })
+
+  it("configure", async () => {
+    const clock = createClock(1000)
+    const api = UCAN.configure({ clock, tolerance: 10 })
+    assert.equal(api.now(), 1000)
+
+    const root = await api.issue({ issuer: alice, audience: bob, capabilities })
+    assert.equal(root.expiration, 1030)
+
+    const leaf = await api.delegate(root, { issuer: bob, audience: mallory })
+    assert.equal(leaf.expiration, 1030)
+    assert.deepEqual(leaf.proofs, [await UCAN.link(root)])
+
+    clock.time = 1035
+    assert.equal(api.isExpired(leaf), false)
+    assert.equal(api.isExpired(leaf, { tolerance: 0 }), true)
+    assert.equal(api.isTooEarly(leaf), false)
+
+    const result = await api.validate(leaf, {
+      resolve: () => UCAN.encode(root),
+    })
+    assert.equal(result.error, undefined)
+
+    clock.time = 1040
+    const expired = await api.validate(leaf, {
+      resolve: () => UCAN.encode(root),
+    })
+    assert.equal(expired.error?.reason, "expired")
+  })
+})
@@ -0,0 +1,184 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Container from "../src/container.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { assert } from "chai"
+import { alice, bob, mallory, JWT_UCAN } from "./fixtures.js"
+
+const setup = async () => {
+  const root = await UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+  })
+  const leaf = await UCAN.issue({
+    issuer: bob,
+    audience: mallory,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+    proofs: [await UCAN.link(root)],
+  })
+  return { root, leaf, jwt: UCAN.parse(JWT_UCAN) }
+}
+
+describe("container", () => {
+  it("create", async () => {
+    const { root, leaf, jwt } = await setup()
+    const container = Container.create([leaf, root, jwt, leaf])
+    assert.deepEqual(Object.keys(container), ["ctn-v1"])
+
+    const tokens = container["ctn-v1"]
+    assert.equal(tokens.length, 3)
+    assert.deepEqual(
+      [...tokens].sort(),
+      [UCAN.encode(leaf), UCAN.encode(root), UCAN.encode(jwt)].sort()
+    )
+    assert.deepEqual(Container.create([jwt, root, leaf]), container)
+
+    // token that is a prefix of another one is sorted first
+    const padded = UCAN.parse(`${JWT_UCAN}==`)
+    assert.deepEqual(Container.create([padded, jwt])["ctn-v1"], [
+      UCAN.encode(jwt),
+      UCAN.encode(padded),
+    ])
+  })
+
+  it("encode <-> decode", async () => {
+    const { root, leaf, jwt } = await setup()
+    const ucans = [root, leaf, jwt]
+
+    /** @type {[UCAN.ContainerOptions, number][]} */
+    const variants = [
+      [{}, 0x40],
+      [{ format: "raw", gzip: true }, 0x41],
+      [{ format: "base64" }, 0x42],
+      [{ format: "base64", gzip: true }, 0x43],
+      [{ format: "base64url" }, 0x44],
+      [{ format: "base64url", gzip: true }, 0x45],
+    ]
+
+    for (const [options, header] of variants) {
+      const bytes = await Container.encode(ucans, options)
+      assert.equal(bytes[0], header)
+
+      const views = await Container.decode(bytes)
+      assert.deepEqual(
+        [...views.keys()].sort(),
+        [
+          (await UCAN.link(root)).toString(),
+          (await UCAN.link(leaf)).toString(),
+          (await UCAN.link(jwt)).toString(),
+        ].sort()
+      )
+      const view = views.get((await UCAN.link(jwt)).toString())
+      assert.equal(view && UCAN.format(view), JWT_UCAN)
+    }
+
+    const raw = await Container.encode(ucans)
+    assert.deepEqual(CBOR.decode(raw.subarray(1)), Container.create(ucans))
+  })
+
+  it("format <-> parse", async () => {
+    const { root, leaf } = await setup()
+    const text = await Container.format([root, leaf])
+    assert.equal(text[0], "D")
+    assert.match(text, /^[A-Za-z0-9_-]+$/)
+
+    const views = await Container.parse(text)
+    assert.equal(
+      views.get((await UCAN.link(leaf)).toString())?.issuer.did(),
+      bob.did()
+    )
+
+    const padded = await Container.format([root], {
+      format: "base64",
+      gzip: true,
+    })
+    assert.equal(padded[0], "C")
+    assert.equal((await Container.parse(padded)).size, 1)
+
+    try {
+      await Container.format([root], { format: "raw" })
+      assert.fail("Expected raw format to be rejected")
+    } catch (error) {
+      assert.match(String(error), /can not be a string/)
+    }
+
+    try {
+      await Container.encode([root], { format: /** @type {any} */ ("hex") })
+      assert.fail("Expected hex format to be rejected")
+    } catch (error) {
+      assert.match(String(error), /Unsupported container format "hex"/)
+    }
+  })
+
+  it("decodes with limits", async () => {
+    const { root, leaf, jwt } = await setup()
+    const raw = await Container.encode([root, leaf])
+    const gzip = await Container.encode([root, leaf], { gzip: true })
+    const limits = { maxBytes: raw.byteLength - 2 }
+    assert.ok(gzip.byteLength < limits.maxBytes)
+
+    for (const [bytes, message] of [
+      [raw, /Container size \d+ exceeds the limit/],
+      [gzip, /Decompressed container size \d+ exceeds the limit/],
+    ]) {
+      try {
+        await Container.decode(/** @type {Uint8Array} */ (bytes), { limits })
+        assert.fail("Expected container to exceed the limit")
+      } catch (error) {
+        assert.instanceOf(error, UCAN.LimitError)
+        assert.match(String(error), /** @type {RegExp} */ (message))
+      }
+    }
+
+    assert.equal(
+      (await Container.decode(gzip, { limits: { maxBytes: raw.byteLength } }))
+        .size,
+      2
+    )
+
+    // every token is decoded with the given options
+    try {
+      await Container.parse(await Container.format([jwt]), {
+        limits: { maxCapabilities: 0 },
+      })
+      assert.fail("Expected token to exceed the limit")
+    } catch (error) {
+      assert.equal(
+        /** @type {UCAN.UCANError} */ (error).code,
+        "MAX_CAPABILITIES_EXCEEDED"
+      )
+    }
+  })
+
+  it("fails on invalid containers", async () => {
+    const { root } = await setup()
+
+    /** @type {[Uint8Array, RegExp][]} */
+    const cases = [
+      [new Uint8Array([0x46, 0]), /Unsupported container header 0x46/],
+      [new Uint8Array(), /Unsupported container header 0x0/],
+      [
+        new Uint8Array([0x40, ...CBOR.encode({ "ctn-v2": [] })]),
+        /Expected container to have a single "ctn-v1" key/,
+      ],
+      [
+        new Uint8Array([0x40, ...CBOR.encode({ "ctn-v1": ["token"] })]),
+        /Expected ctn-v1\[0\] to be Uint8Array/,
+      ],
+      [
+        new Uint8Array([0x40, ...CBOR.encode([UCAN.encode(root)])]),
+        /Expected container to have a single/,
+      ],
+    ]
+
+    for (const [bytes, message] of cases) {
+      try {
+        await Container.decode(bytes)
+        assert.fail(`Expected ${message} error`)
+      } catch (error) {
+        assert.match(String(error), message)
+      }
+    }
+  })
+})
@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+import { assertRejects } from "./util.js"
+
+describe("delegate", () => {
+  it("links and re-delegates parent capabilities", async () => {
+    const parent = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [
+        { with: alice.did(), can: "store/*" },
+        { with: alice.did(), can: "upload/add" },
+      ],
+    })
+
+    const all = await UCAN.delegate(parent, { issuer: bob, audience: mallory })
+    assert.equal(all.issuer.did(), bob.did())
+    assert.equal(all.audience.did(), mallory.did())
+    assert.deepEqual(all.capabilities, parent.capabilities)
+    assert.deepEqual(all.proofs, [await UCAN.link(parent)])
+
+    const proof = await UCAN.link(parent)
+    const some = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+      proofs: [proof],
+      facts: [{ hello: "world" }],
+    })
+    assert.deepEqual(some.capabilities, [
+      { with: alice.did(), can: "store/add" },
+    ])
+    assert.deepEqual(some.facts, [{ hello: "world" }])
+    assert.deepEqual(some.proofs, [proof, proof])
+
+    const result = await UCAN.validate(some, {
+      resolve: async () => UCAN.encode(parent),
+    })
+    assert.equal(result.error, undefined)
+  })
+
+  it("refuses capabilities parent does not grant", async () => {
+    const parent = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+
+    await assertRejects(
+      UCAN.delegate(parent, {
+        issuer: bob,
+        audience: mallory,
+        capabilities: [
+          { with: alice.did(), can: "store/add" },
+          { with: alice.did(), can: "store/remove" },
+        ],
+      }),
+      /att\[1\]: Ability store\/remove is not covered by store\/add/
+    )
+  })
+
+  it("requires issuer to be parent audience", async () => {
+    const parent = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+
+    await assertRejects(
+      UCAN.delegate(parent, { issuer: mallory, audience: alice }),
+      /did:key:.* can not delegate capabilities of UCAN issued to did:key:/
+    )
+  })
+
+  it("clamps time bounds to the parent", async () => {
+    const now = UCAN.now()
+    const parent = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+      expiration: now + 10,
+      notBefore: now - 10,
+    })
+
+    const clamped = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+      lifetimeInSeconds: 60,
+      notBefore: now - 20,
+    })
+    assert.equal(clamped.expiration, now + 10)
+    assert.equal(clamped.notBefore, now - 10)
+
+    const inherited = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+    })
+    assert.equal(inherited.notBefore, now - 10)
+
+    const narrower = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+      expiration: now + 5,
+      notBefore: now - 5,
+    })
+    assert.equal(narrower.expiration, now + 5)
+    assert.equal(narrower.notBefore, now - 5)
+  })
+
+  it("rejects delegation that expires before it becomes valid", async () => {
+    const now = UCAN.now()
+    const parent = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+      expiration: now + 10,
+      notBefore: now - 10,
+    })
+    const proof = await UCAN.link(parent)
+
+    for (const options of [{ notBefore: now + 20 }, { expiration: now - 20 }]) {
+      try {
+        await UCAN.delegate(parent, {
+          issuer: bob,
+          audience: mallory,
+          ...options,
+        })
+        assert.fail("Expected delegation to be rejected")
+      } catch (error) {
+        assert.instanceOf(error, UCAN.UCANError)
+        assert.notInstanceOf(error, UCAN.ValidationError)
+        const { code, path, message } = /** @type {UCAN.UCANError} */ (error)
+        assert.equal(code, "INVALID_TIME_BOUNDS")
+        assert.equal(path, "/nbf")
+        assert.include(message, `Delegation of ${proof}`)
+        assert.match(
+          message,
+          /would expire at -?\d+ before becoming valid at \d+/
+        )
+      }
+    }
+
+    const instant = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+      expiration: now,
+      notBefore: now,
+    })
+    assert.equal(instant.expiration, instant.notBefore)
+  })
+
+  it("does not outlive non-expiring parent", async () => {
+    const parent = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+      expiration: Infinity,
+    })
+
+    const forever = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+      expiration: Infinity,
+    })
+    assert.equal(forever.expiration, Infinity)
+    assert.equal(forever.notBefore, undefined)
+
+    const limited = await UCAN.delegate(parent, {
+      issuer: bob,
+      audience: mallory,
+      lifetimeInSeconds: 100,
+    })
+    assert.ok(limited.expiration <= UCAN.now() + 100)
+  })
+})
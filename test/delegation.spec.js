@@ -0,0 +1,213 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Delegation from "../src/codec/delegation.js"
+import * as P256 from "../src/signer/p256.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { base64 } from "multiformats/bases/base64"
+import { identity } from "multiformats/hashes/identity"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+import { pack, unpack } from "./util.js"
+
+describe("codec/delegation", () => {
+  it("issue <-> encode <-> decode", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/store/add",
+      policy: [["==", ".size", 5]],
+      meta: { note: "hello" },
+      notBefore: 1000,
+      expiration: 2000,
+    })
+
+    assert.equal(delegation.issuer.did(), alice.did())
+    assert.equal(delegation.audience.did(), bob.did())
+    assert.equal(delegation.subject?.did(), alice.did())
+    assert.equal(delegation.command, "/store/add")
+    assert.deepEqual(delegation.policy, [["==", ".size", 5]])
+    assert.deepEqual(delegation.meta, { note: "hello" })
+    assert.equal(delegation.nonce.byteLength, 12)
+    assert.equal(delegation.notBefore, 1000)
+    assert.equal(delegation.expiration, 2000)
+    assert.equal(delegation.signature.algorithm, "EdDSA")
+
+    const bytes = Delegation.encode(delegation)
+    const [signature, body] = unpack(bytes)
+    assert.deepEqual(signature, delegation.signature.raw)
+    assert.deepEqual(Object.keys(body).sort(), ["h", Delegation.tag])
+    assert.deepEqual(body[Delegation.tag], delegation.payload)
+
+    const decoded = Delegation.decode(bytes)
+    assert.deepEqual(decoded.payload, delegation.payload)
+    assert.deepEqual([...decoded.signature], [...delegation.signature])
+    assert.deepEqual(decoded.encode(), bytes)
+    assert.equal(await Delegation.verify(decoded, alice), true)
+  })
+
+  it("uses varsig header of the signer", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/",
+    })
+    assert.equal(base64.baseEncode(delegation.h), "NAHtAe0BE3E")
+
+    const signer = await P256.generate()
+    const p256 = await Delegation.issue({
+      issuer: signer,
+      audience: bob,
+      subject: signer,
+      command: "/",
+    })
+    const decoded = Delegation.decode(p256.encode())
+    assert.equal(decoded.signature.algorithm, "ES256")
+    assert.equal(await Delegation.verify(decoded, signer.verifier), true)
+  })
+
+  it("powerline and non-expiring delegations", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: null,
+      command: "/",
+      expiration: Infinity,
+      nonce: new Uint8Array(),
+    })
+    assert.equal(delegation.subject, null)
+    assert.equal(delegation.payload.exp, null)
+    assert.equal(delegation.expiration, Infinity)
+    assert.equal(delegation.notBefore, undefined)
+    assert.deepEqual(delegation.meta, {})
+
+    const decoded = Delegation.decode(delegation.encode())
+    assert.deepEqual(decoded.payload, {
+      iss: alice.did(),
+      aud: bob.did(),
+      sub: null,
+      cmd: "/",
+      pol: [],
+      nonce: new Uint8Array(),
+      exp: null,
+    })
+  })
+
+  it("link", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/store/add",
+    })
+    const link = await Delegation.link(delegation)
+    assert.equal(link.code, CBOR.code)
+    assert.equal(
+      link.toString(),
+      (await Delegation.link(Delegation.decode(delegation.encode()))).toString()
+    )
+
+    const inline = await Delegation.link(delegation, { hasher: identity })
+    assert.deepEqual(inline.multihash.digest, delegation.encode())
+  })
+
+  it("verify", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/store/add",
+    })
+    assert.equal(await Delegation.verify(delegation, bob), false)
+
+    const [signature, body] = unpack(delegation.encode())
+    const tampered = Delegation.decode(
+      pack([
+        signature,
+        {
+          ...body,
+          [Delegation.tag]: { ...body[Delegation.tag], aud: mallory.did() },
+        },
+      ])
+    )
+    assert.equal(await Delegation.verify(tampered, alice), false)
+  })
+
+  it("fails to issue invalid delegations", async () => {
+    for (const command of ["store/add", "/store/", "/Store/Add"]) {
+      try {
+        await Delegation.issue({
+          issuer: alice,
+          audience: bob,
+          subject: alice,
+          command: /** @type {any} */ (command),
+        })
+        assert.fail(`Expected ${command} to be rejected`)
+      } catch (error) {
+        assert.match(String(error), /Invalid command 'cmd: ".*"'/)
+        assert.equal(/** @type {any} */ (error).path, "/cmd")
+      }
+    }
+  })
+
+  it("fails to decode invalid envelopes", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/",
+    })
+    const [signature, body] = unpack(delegation.encode())
+    const payload = body[Delegation.tag]
+    /**
+     * @param {unknown} data
+     */
+    const decode = data => () => Delegation.decode(pack(data))
+
+    assert.throws(decode({}), /Expected envelope to be an array/)
+    assert.throws(decode(["", body]), /Expected 0 to be Uint8Array/)
+    assert.throws(
+      decode([signature, { h: body.h, "ucan/inv@1.0.0-rc.1": payload }]),
+      /Expected envelope to contain "ucan\/dlg@1.0.0-rc.1" payload/
+    )
+    assert.throws(
+      decode([signature, { ...body, h: new Uint8Array([0x34]) }]),
+      /Unsupported varsig header/
+    )
+
+    const { sub, ...rest } = payload
+    assert.throws(
+      decode([signature, { ...body, [Delegation.tag]: rest }]),
+      /sub is required/
+    )
+    assert.throws(
+      decode([
+        signature,
+        { ...body, [Delegation.tag]: { ...payload, sub: 1 } },
+      ]),
+      /sub has invalid value 1/
+    )
+    assert.throws(
+      decode([
+        signature,
+        { ...body, [Delegation.tag]: { ...payload, pol: {} } },
+      ]),
+      /pol must be an array/
+    )
+    assert.throws(
+      decode([
+        signature,
+        { ...body, [Delegation.tag]: { ...payload, pol: [["~", "."]] } },
+      ]),
+      /Unknown operator 'pol\[0\]\[0\]: "~"'/
+    )
+    assert.throws(
+      decode([
+        signature,
+        { ...body, [Delegation.tag]: { ...payload, exp: "never" } },
+      ]),
+      /Expected exp to be integer/
+    )
+  })
+})
@@ -0,0 +1,208 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as P256 from "../src/signer/p256.js"
+import * as P384 from "../src/signer/p384.js"
+import * as P521 from "../src/signer/p521.js"
+import * as EC from "../src/signer/ecdsa.js"
+import * as Signature from "../src/signature.js"
+import * as UTF8 from "../src/utf8.js"
+import * as DID from "../src/did.js"
+import { varint } from "multiformats"
+import { assert } from "chai"
+import { bob } from "./fixtures.js"
+import { assertRejects } from "./util.js"
+
+// `offCurve` is the smallest x for which x³ - 3x + b is not a square
+const signers = [
+  { ECDSA: P256, prefix: "did:key:zDn", code: Signature.ES256, offCurve: 1 },
+  { ECDSA: P384, prefix: "did:key:z82", code: Signature.ES384, offCurve: 1 },
+  { ECDSA: P521, prefix: "did:key:z2J9", code: Signature.ES512, offCurve: 3 },
+]
+
+describe("signer/ecdsa", () => {
+  for (const { ECDSA, prefix, code, offCurve } of signers) {
+    describe(ECDSA.name, () => {
+      it("generate", async () => {
+        const signer = await ECDSA.generate()
+        assert.equal(signer.privateKey.extractable, false)
+        assert.ok(signer.did().startsWith(prefix))
+        assert.equal(signer.signatureCode, code)
+        assert.equal(signer.signatureAlgorithm, ECDSA.signatureAlgorithm)
+
+        const payload = UTF8.encode("hello world")
+        const signature = await signer.sign(payload)
+        assert.equal(signature.code, code)
+        assert.equal(signature.algorithm, ECDSA.signatureAlgorithm)
+        assert.equal(await signer.verify(payload, signature), true)
+        assert.equal(
+          await signer.verify(UTF8.encode("hello"), signature),
+          false
+        )
+        assert.equal(
+          await signer.verify(
+            payload,
+            Signature.create(Signature.EdDSA, signature.raw)
+          ),
+          false
+        )
+      })
+
+      it("issues verifiable UCANs", async () => {
+        const issuer = await ECDSA.generate()
+        const ucan = await UCAN.issue({
+          issuer,
+          audience: bob,
+          capabilities: [{ with: issuer.did(), can: "store/put" }],
+        })
+        assert.equal(ucan.signature.algorithm, ECDSA.signatureAlgorithm)
+
+        const verifier = await ECDSA.parseVerifier(ucan.issuer.did())
+        assert.equal(verifier.did(), issuer.did())
+        assert.equal(verifier.signatureCode, code)
+        assert.equal(verifier.signatureAlgorithm, ECDSA.signatureAlgorithm)
+        assert.equal(await UCAN.verifySignature(ucan, verifier), true)
+        assert.equal(
+          await verifier.verify(
+            UTF8.encode("hello"),
+            Signature.create(Signature.EdDSA, ucan.signature.raw)
+          ),
+          false
+        )
+
+        const jwt = UCAN.parse(UCAN.format(ucan))
+        assert.equal(await UCAN.verifySignature(jwt, verifier), true)
+      })
+
+      it("wraps non-extractable key pair", async () => {
+        const keypair = await crypto.subtle.generateKey(
+          { name: "ECDSA", namedCurve: ECDSA.name },
+          false,
+          ["sign", "verify"]
+        )
+        const signer = await ECDSA.from(keypair)
+        assert.equal(signer.privateKey, keypair.privateKey)
+
+        const payload = UTF8.encode("hello world")
+        const verifier = await ECDSA.decodeVerifier(DID.parse(signer.did()))
+        assert.equal(
+          await verifier.verify(payload, await signer.sign(payload)),
+          true
+        )
+      })
+
+      it("decompress(compress(point))", async () => {
+        // points are random so we try several to cover both parities of y
+        for (let n = 0; n < 8; n++) {
+          const { publicKey } = await crypto.subtle.generateKey(
+            { name: "ECDSA", namedCurve: ECDSA.name },
+            true,
+            ["sign", "verify"]
+          )
+          const point = new Uint8Array(
+            await crypto.subtle.exportKey("raw", publicKey)
+          )
+          assert.deepEqual(
+            EC.decompress(ECDSA.curve, EC.compress(point)),
+            point
+          )
+        }
+      })
+
+      it("decompress rejects points off the curve", async () => {
+        const { size, p } = ECDSA.curve
+        const off = new Uint8Array(size + 1)
+        off[0] = 0x02
+        off[size] = offCurve
+        assert.throws(
+          () => EC.decompress(ECDSA.curve, off),
+          RangeError,
+          `not on the ${ECDSA.name} curve`
+        )
+
+        const outside = new Uint8Array(size + 1)
+        outside[0] = 0x03
+        for (let offset = size, x = p; offset > 0; offset--, x >>= BigInt(8)) {
+          outside[offset] = Number(x & BigInt(0xff))
+        }
+        assert.throws(
+          () => EC.decompress(ECDSA.curve, outside),
+          RangeError,
+          "below p"
+        )
+
+        const { code } = ECDSA.curve
+        const tag = varint.encodeTo(
+          code,
+          new Uint8Array(varint.encodingLength(code))
+        )
+        await assertRejects(
+          ECDSA.decodeVerifier(new Uint8Array([...tag, ...off])),
+          /not on the/
+        )
+      })
+    })
+  }
+
+  it("parses did:key test vectors", async () => {
+    /** @type {UCAN.DID[]} */
+    const dids = [
+      "did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169",
+      "did:key:zDnaerx9CtbPJ1q36T5Ln5wYt3MQYeGRG5ehnPAmxcf5mDZpv",
+    ]
+    for (const did of dids) {
+      const verifier = await P256.parseVerifier(did)
+      assert.equal(verifier.did(), did)
+    }
+
+    const p384 =
+      "did:key:z82Lm1MpAkeJcix9K8TMiLd5NMAhnwkjjCBeWHXyu3U4oT2MVJJKXkcVBgjGhnLBn2Kaau9"
+    assert.equal((await P384.parseVerifier(p384)).did(), p384)
+  })
+
+  it("rejects keys on other curves", async () => {
+    const keypair = await crypto.subtle.generateKey(
+      { name: "ECDSA", namedCurve: "P-384" },
+      false,
+      ["sign", "verify"]
+    )
+    await assertRejects(
+      P256.from(keypair),
+      /Expected ECDSA key on P-256 curve instead got ECDSA key on P-384/
+    )
+
+    const secret = await crypto.subtle.generateKey(
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign", "verify"]
+    )
+    await assertRejects(
+      P256.from({ privateKey: secret, publicKey: secret }),
+      /Expected ECDSA key on P-256 curve instead got HMAC key$/
+    )
+
+    const signer = await P384.generate()
+    await assertRejects(
+      P256.parseVerifier(signer.did()),
+      /multiformat with 0x1200 tag/
+    )
+
+    const bytes = new Uint8Array(DID.parse(signer.did()))
+    await assertRejects(
+      P384.decodeVerifier(bytes.subarray(0, -1)),
+      /public key with byteLength of 49 instead got 48/
+    )
+
+    bytes[2] = 0x04
+    await assertRejects(
+      P384.decodeVerifier(bytes),
+      /start with 0x02 or 0x03 instead got 0x4/
+    )
+  })
+
+  it("requires WebCrypto", async () => {
+    await assertRejects(
+      P256.generate({ crypto: /** @type {any} */ (false) }),
+      /WebCrypto is not available/
+    )
+  })
+})
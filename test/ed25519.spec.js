@@ -0,0 +1,194 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Ed25519 from "../src/signer/ed25519.js"
+import * as Signature from "../src/signature.js"
+import * as UTF8 from "../src/utf8.js"
+import { base64pad } from "multiformats/bases/base64"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+import { assertRejects } from "./util.js"
+
+const ALICE_SECRET = base64pad
+  .baseDecode(
+    "U+bzp2GaFQHso587iSFWPSeCzbSfn/CbNHEz7ilKRZ1UQMmMS7qq4UhTzKn3X9Nj/4xgrwa+UqhMOeo4Ki8JUw=="
+  )
+  .subarray(0, 32)
+
+describe("signer/ed25519", () => {
+  it("generate", async () => {
+    const signer = await Ed25519.generate()
+    assert.match(signer.did(), /^did:key:z6Mk/)
+    assert.equal(signer.signatureCode, Signature.EdDSA)
+    assert.equal(signer.signatureAlgorithm, "EdDSA")
+
+    const payload = UTF8.encode("hello world")
+    const signature = await signer.sign(payload)
+    assert.equal(signature.code, Signature.EdDSA)
+    assert.equal(signature.raw.byteLength, 64)
+    assert.equal(await signer.verify(payload, signature), true)
+    assert.equal(await signer.verifier.verify(payload, signature), true)
+    assert.equal(
+      await signer.verify(UTF8.encode("hello"), signature),
+      false,
+      "different payload"
+    )
+  })
+
+  it("derive matches existing keys", async () => {
+    const signer = await Ed25519.derive(ALICE_SECRET)
+    assert.equal(signer.did(), alice.did())
+
+    const payload = UTF8.encode("hello world")
+    assert.deepEqual(await signer.sign(payload), await alice.sign(payload))
+  })
+
+  it("webcrypto and js implementations are compatible", async () => {
+    const web = await Ed25519.derive(ALICE_SECRET)
+    const js = await Ed25519.derive(ALICE_SECRET, { crypto: null })
+    assert.equal(js.did(), web.did())
+
+    const payload = UTF8.encode("hello world")
+    const signature = await js.sign(payload)
+    assert.deepEqual(signature, await web.sign(payload))
+    assert.equal(await web.verify(payload, signature), true)
+    assert.equal(await js.verify(payload, signature), true)
+    assert.equal(await js.verify(UTF8.encode("hello"), signature), false)
+  })
+
+  it("uses js implementation without global WebCrypto", async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, "crypto")
+    Object.defineProperty(globalThis, "crypto", {
+      value: undefined,
+      configurable: true,
+    })
+    try {
+      const signer = await Ed25519.derive(ALICE_SECRET)
+      const payload = UTF8.encode("hello world")
+      const signature = await signer.sign(payload)
+      assert.equal(signer.did(), alice.did())
+      assert.equal(await signer.verify(payload, signature), true)
+    } finally {
+      Object.defineProperty(
+        globalThis,
+        "crypto",
+        /** @type {PropertyDescriptor} */ (descriptor)
+      )
+    }
+    assert.ok(globalThis.crypto.subtle)
+  })
+
+  it("issues verifiable UCANs", async () => {
+    const issuer = await Ed25519.generate()
+    const ucan = await UCAN.issue({
+      issuer,
+      audience: bob,
+      capabilities: [{ with: issuer.did(), can: "store/put" }],
+    })
+
+    const verifier = await Ed25519.parseVerifier(ucan.issuer.did())
+    assert.equal(verifier.did(), issuer.did())
+    assert.equal(await UCAN.verifySignature(ucan, verifier), true)
+    assert.equal(
+      await UCAN.verifySignature(
+        ucan,
+        await Ed25519.decodeVerifier(new Uint8Array(ucan.issuer))
+      ),
+      true
+    )
+  })
+
+  it("verify rejects other algorithms", async () => {
+    const signer = await Ed25519.generate()
+    const payload = UTF8.encode("hello world")
+    const { raw } = await signer.sign(payload)
+
+    assert.equal(
+      await signer.verify(
+        payload,
+        /** @type {any} */ (Signature.create(Signature.ES256, raw))
+      ),
+      false
+    )
+  })
+
+  it("verifier rejects other algorithms", async () => {
+    const signer = await Ed25519.generate()
+    const verifier = await Ed25519.parseVerifier(signer.did())
+    const payload = UTF8.encode("hello world")
+    const signature = await signer.sign(payload)
+
+    assert.equal(verifier.signatureCode, Signature.EdDSA)
+    assert.equal(verifier.signatureAlgorithm, "EdDSA")
+    assert.equal(await verifier.verify(payload, signature), true)
+    assert.equal(
+      await verifier.verify(
+        payload,
+        /** @type {any} */ (Signature.create(Signature.ES256, signature.raw))
+      ),
+      false
+    )
+  })
+
+  it("encode <-> decode", async () => {
+    const signer = await Ed25519.generate()
+    const bytes = signer.encode()
+    assert.deepEqual(bytes, Ed25519.encode(signer))
+
+    const decoded = await Ed25519.decode(bytes)
+    assert.equal(decoded.did(), signer.did())
+    assert.deepEqual(decoded.secret, signer.secret)
+
+    const payload = UTF8.encode("hello world")
+    assert.deepEqual(await decoded.sign(payload), await signer.sign(payload))
+  })
+
+  it("format <-> parse", async () => {
+    const signer = await Ed25519.derive(ALICE_SECRET)
+    const source = signer.format()
+    assert.equal(source, Ed25519.format(signer))
+    assert.match(source, /^M/)
+
+    const parsed = await Ed25519.parse(source, { crypto: null })
+    assert.equal(parsed.did(), alice.did())
+  })
+
+  it("fails on invalid keys", async () => {
+    const signer = await Ed25519.generate()
+    const bytes = signer.encode()
+
+    await assertRejects(
+      Ed25519.derive(new Uint8Array(31)),
+      /byteLength of 32 instead got 31/
+    )
+    await assertRejects(
+      Ed25519.decode(bytes.subarray(1)),
+      /byteLength of 68 instead got 67/
+    )
+    await assertRejects(
+      Ed25519.decode(new Uint8Array(68)),
+      /multiformat with 0x1300 tag/
+    )
+
+    const invalid = bytes.slice()
+    invalid.set([0xe7, 0x01], 34)
+    await assertRejects(
+      Ed25519.decode(invalid),
+      /public key in multiformats with 0xed tag/
+    )
+
+    await assertRejects(
+      Ed25519.parseVerifier(
+        "did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme"
+      ),
+      /multiformat with 0xed tag/
+    )
+    await assertRejects(
+      Ed25519.decodeVerifier(new Uint8Array(34)),
+      /multiformat with 0xed tag/
+    )
+    await assertRejects(
+      Ed25519.decodeVerifier(bytes.subarray(34, -1)),
+      /public key with byteLength of 32 instead got 31/
+    )
+  })
+})
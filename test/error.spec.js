@@ -0,0 +1,218 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as CBOR from "../src/codec/cbor.js"
+import * as DID from "../src/did.js"
+import * as Signature from "../src/signature.js"
+import * as Schema from "../src/schema.js"
+import * as Attenuation from "../src/attenuation.js"
+import * as Policy from "../src/policy.js"
+import * as DAGCBOR from "@ipld/dag-cbor"
+import { varint } from "multiformats"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+import { formatUnsafe } from "./util.js"
+
+/**
+ * @param {() => unknown} fn
+ */
+const catchError = fn => {
+  try {
+    fn()
+  } catch (error) {
+    return /** @type {UCAN.UCANError} */ (error)
+  }
+  return assert.fail("Expected function to throw")
+}
+
+/**
+ * @param {Record<string, unknown>} body
+ * @param {Record<string, unknown>} [header]
+ */
+const parseUnsafe = async (body, header) => {
+  const jwt = await formatUnsafe(alice, {
+    header,
+    body: {
+      aud: bob.did(),
+      att: [{ with: alice.did(), can: "store/put" }],
+      ...body,
+    },
+  })
+  return catchError(() => UCAN.parse(jwt))
+}
+
+describe("errors", () => {
+  it("capability errors point to the field", async () => {
+    const error = await parseUnsafe({
+      att: [
+        { with: alice.did(), can: "store/put" },
+        { with: alice.did(), can: "store/add" },
+        { with: "alice", can: "store/add" },
+      ],
+    })
+
+    assert.instanceOf(error, UCAN.ParseError)
+    assert.instanceOf(error, UCAN.UCANError)
+    assert.equal(error.name, "ParseError")
+    assert.equal(error.code, "INVALID_CAPABILITY")
+    assert.equal(error.path, "/att/2/with")
+    assert.match(error.message, /Capability has invalid 'with: "alice"'/)
+
+    const ability = await parseUnsafe({ att: [{ with: alice.did(), can: 5 }] })
+    assert.equal(ability.code, "INVALID_CAPABILITY")
+    assert.equal(ability.path, "/att/0/can")
+
+    const array = await parseUnsafe({ att: {} })
+    assert.equal(array.code, "INVALID_CAPABILITY")
+    assert.equal(array.path, "/att")
+    assert.match(array.message, /att must be an array/)
+
+    const standalone = catchError(() =>
+      Schema.asCapability({ with: alice.did(), can: "store" })
+    )
+    assert.equal(standalone.code, "INVALID_CAPABILITY")
+    assert.equal(standalone.path, "/can")
+  })
+
+  it("DID errors keep the cause", async () => {
+    const error = await parseUnsafe({ aud: "bob" })
+    assert.equal(error.code, "INVALID_DID")
+    assert.equal(error.path, "/aud")
+    assert.match(error.message, /Invalid DID "bob", must start with 'did:'/)
+    assert.instanceOf(error.cause, UCAN.DIDError)
+    assert.equal(/** @type {UCAN.UCANError} */ (error.cause).path, "")
+
+    const key = catchError(() => DID.parse("did:key:0OIl"))
+    assert.instanceOf(key, UCAN.DIDError)
+    assert.instanceOf(key, UCAN.UCANError)
+    assert.instanceOf(key, RangeError)
+    assert.isFalse(key instanceof UCAN.ParseError)
+    assert.equal(key.name, "DIDError")
+    assert.equal(key.code, "INVALID_DID")
+    assert.ok(key.cause)
+
+    const unknown = catchError(() => DID.decode(new Uint8Array([1, 2, 3])))
+    assert.equal(unknown.code, "INVALID_DID")
+    assert.match(unknown.message, /unknown multicode 0x1/)
+  })
+
+  it("field errors", async () => {
+    const fct = await parseUnsafe({ fct: [{}, 1] })
+    assert.deepEqual([fct.code, fct.path], ["INVALID_FACT", "/fct/1"])
+
+    const prf = await parseUnsafe({ prf: [1] })
+    assert.deepEqual([prf.code, prf.path], ["INVALID_PROOF", "/prf/0"])
+
+    const exp = await parseUnsafe({ exp: "tomorrow" })
+    assert.deepEqual([exp.code, exp.path], ["INVALID_TIMESTAMP", "/exp"])
+
+    const nnc = await parseUnsafe({ nnc: 5 })
+    assert.deepEqual([nnc.code, nnc.path], ["INVALID_FIELD", "/nnc"])
+
+    const ucv = await parseUnsafe({}, { ucv: "9.0" })
+    assert.deepEqual([ucv.code, ucv.path], ["INVALID_VERSION", "/ucv"])
+
+    const typ = await parseUnsafe({}, { typ: "IPLD" })
+    assert.deepEqual([typ.code, typ.path], ["INVALID_HEADER", "/typ"])
+  })
+
+  it("JWT errors", async () => {
+    const segments = catchError(() => UCAN.parse("a.b"))
+    assert.deepEqual([segments.code, segments.path], ["INVALID_JWT", ""])
+
+    const base64 = catchError(() => UCAN.parse("a!.b.c"))
+    assert.equal(base64.code, "INVALID_JWT")
+    assert.match(base64.message, /header, it is not a valid base64url/)
+    assert.ok(base64.cause)
+
+    const json = catchError(() => UCAN.parse("aGk.aGk.aGk"))
+    assert.equal(json.code, "INVALID_JWT")
+    assert.match(json.message, /header, it is not a valid JSON/)
+  })
+
+  it("signature errors", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    const code = 0xd0ff
+    const s = new Uint8Array(varint.encodingLength(code) + 2)
+    varint.encodeTo(code, s)
+    const model = /** @type {object} */ (
+      DAGCBOR.decode(CBOR.encode(ucan.model))
+    )
+    const bytes = /** @type {any} */ (DAGCBOR.encode({ ...model, s }))
+
+    const error = catchError(() => CBOR.decode(bytes))
+    assert.equal(error.code, "UNKNOWN_SIGNATURE_ALGORITHM")
+    assert.equal(error.path, "/s")
+    assert.match(error.message, /Unknown signature algorithm code 0xd0ff/)
+    assert.instanceOf(error.cause, UCAN.SignatureError)
+    assert.instanceOf(error.cause, UCAN.UCANError)
+    assert.instanceOf(error.cause, TypeError)
+    assert.notInstanceOf(error, UCAN.SignatureError)
+
+    const truncated = catchError(() =>
+      CBOR.decode(
+        /** @type {any} */ (DAGCBOR.encode({ ...model, s: s.subarray(0, 1) }))
+      )
+    )
+    assert.instanceOf(truncated, UCAN.ParseError)
+    assert.deepEqual(
+      [truncated.code, truncated.path],
+      ["INVALID_SIGNATURE", "/s"]
+    )
+    assert.match(truncated.message, /Malformed signature/)
+    assert.instanceOf(truncated.cause, RangeError)
+
+    const type = catchError(() => Signature.decode(/** @type {any} */ ("s")))
+    assert.equal(type.code, "INVALID_SIGNATURE")
+
+    const encode = catchError(() =>
+      CBOR.encode({ ...ucan.model, s: /** @type {any} */ ("hello") })
+    )
+    assert.deepEqual([encode.code, encode.path], ["INVALID_SIGNATURE", "/s"])
+  })
+
+  it("base error", () => {
+    const error = new UCAN.UCANError("INVALID_FIELD", "Invalid field")
+    assert.equal(error.name, "UCANError")
+    assert.equal(error.code, "INVALID_FIELD")
+    assert.equal(error.path, "")
+    assert.equal(error.cause, undefined)
+    assert.notInstanceOf(error, UCAN.DIDError)
+    assert.notInstanceOf(new RangeError("Invalid DID"), UCAN.UCANError)
+
+    const thrown = catchError(() =>
+      UCAN.ParseError.throw("INVALID_FACT", "Invalid fact", { path: "/fct/0" })
+    )
+    assert.instanceOf(thrown, UCAN.ParseError)
+    assert.deepEqual([thrown.code, thrown.path], ["INVALID_FACT", "/fct/0"])
+  })
+
+  it("validation errors have codes", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+      expiration: UCAN.now() - 1,
+    })
+
+    const invalid = await UCAN.validate(ucan, { resolve: () => undefined })
+    assert.equal(invalid.error?.name, "ValidationError")
+    assert.equal(invalid.error?.code, "INVALID_CHAIN")
+    assert.equal(invalid.error?.reason, "expired")
+
+    const escalation = Attenuation.check(
+      [{ with: alice.did(), can: "store/add" }],
+      [{ with: bob.did(), can: "store/add" }]
+    )
+    assert.equal(escalation.error?.name, "EscalationError")
+    assert.equal(escalation.error?.code, "CAPABILITY_ESCALATION")
+
+    const violation = Policy.evaluate([["==", ".size", 1]], { size: 2 })
+    assert.equal(violation.error?.name, "PolicyViolation")
+    assert.equal(violation.error?.code, "POLICY_VIOLATION")
+  })
+})
@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as Codec from "../src/codec/cbor.js"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+import { encodeJSON, signJWT } from "./util.js"
+
+/**
+ * Creates JWT signed by `alice` from the given header and payload.
+ *
+ * @param {Record<string, unknown>} header
+ * @param {Record<string, unknown>} payload
+ */
+const sign = (header, payload) =>
+  signJWT(alice, encodeJSON(header), encodeJSON(payload))
+
+/** @type {UCAN.JWTHeader & UCAN.Extensions} */
+const header = {
+  alg: "EdDSA",
+  cty: "ucan",
+  kid: "alice#key-1",
+  typ: "JWT",
+  ucv: "0.9.1",
+}
+
+const payload = {
+  att: [{ can: "store/add", with: alice.did() }],
+  aud: bob.did(),
+  exp: null,
+  iss: alice.did(),
+  prf: [],
+  "x-vendor": { region: "eu", tags: ["a", "b"] },
+}
+
+describe("extensions", () => {
+  it("retains unknown header and payload fields", async () => {
+    const jwt = await sign(header, payload)
+    const ucan = UCAN.parse(jwt)
+
+    assert.equal((await UCAN.link(ucan)).code, UCAN.code)
+    assert.deepEqual(ucan.header, header)
+    assert.deepEqual(ucan.extensions, {
+      "x-vendor": { region: "eu", tags: ["a", "b"] },
+    })
+    assert.deepEqual(ucan.model.hdr, { cty: "ucan", kid: "alice#key-1" })
+    assert.equal(UCAN.format(ucan), jwt)
+    assert.equal(await UCAN.verifySignature(ucan, alice), true)
+
+    const decoded = UCAN.decode(UCAN.encode(ucan))
+    assert.deepEqual(decoded.header, header)
+    assert.deepEqual(decoded.extensions, ucan.extensions)
+    assert.equal(UCAN.format(decoded), jwt)
+    assert.equal(await UCAN.verifySignature(decoded, alice), true)
+
+    const json = decoded.toJSON()
+    assert.deepEqual(json.hdr, { cty: "ucan", kid: "alice#key-1" })
+    assert.deepEqual(json.ext, ucan.extensions)
+  })
+
+  it("defaults to no extensions", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+
+    assert.deepEqual(ucan.extensions, {})
+    assert.deepEqual(ucan.header, {
+      alg: "EdDSA",
+      typ: "JWT",
+      ucv: UCAN.VERSION,
+    })
+    assert.equal("hdr" in ucan.model, false)
+    assert.equal("ext" in ucan.model, false)
+
+    const data = CBOR.decode(UCAN.encode(ucan))
+    assert.equal("hdr" in data, false)
+    assert.equal("ext" in data, false)
+  })
+
+  it("retains extensions of JWT representation", async () => {
+    const jwt = await sign(
+      { ucv: "0.9.1", typ: "JWT", alg: "EdDSA", kid: "alice#key-1" },
+      { ...payload, nonce: "x" }
+    )
+    const ucan = UCAN.parse(jwt)
+
+    assert.equal((await UCAN.link(ucan)).code, 0x55)
+    assert.equal(ucan.header.kid, "alice#key-1")
+    assert.deepEqual(ucan.extensions, {
+      "x-vendor": { region: "eu", tags: ["a", "b"] },
+      nonce: "x",
+    })
+    assert.equal(UCAN.format(ucan), jwt)
+    assert.equal(await UCAN.verifySignature(ucan, alice), true)
+  })
+
+  it("fails on extensions shadowing spec fields", async () => {
+    const ucan = UCAN.parse(await sign(header, payload))
+    const data = CBOR.decode(UCAN.encode(ucan))
+
+    /** @type {[Record<string, unknown>, string, string][]} */
+    const cases = [
+      [{ hdr: { alg: "none" } }, "/hdr/alg", "INVALID_HEADER"],
+      [{ hdr: "kid" }, "/hdr", "INVALID_HEADER"],
+      [{ ext: { iss: alice.did() } }, "/ext/iss", "INVALID_FIELD"],
+      [{ ext: { cap: {} } }, "/ext/cap", "INVALID_FIELD"],
+    ]
+
+    for (const [fields, path, code] of cases) {
+      const bytes = /** @type {UCAN.ByteView<UCAN.UCAN>} */ (
+        CBOR.encode({ ...data, ...fields })
+      )
+      try {
+        Codec.decode(bytes)
+        assert.fail(`Expected ${JSON.stringify(fields)} to be rejected`)
+      } catch (error) {
+        const { path: actual, code: actualCode } =
+          /** @type {UCAN.UCANError} */ (error)
+        assert.equal(actual, path)
+        assert.equal(actualCode, code)
+      }
+    }
+  })
+})
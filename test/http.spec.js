@@ -0,0 +1,110 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as HTTP from "../src/http.js"
+import { assert } from "chai"
+import { alice, bob, mallory, JWT_UCAN } from "./fixtures.js"
+
+const setup = async () => {
+  const root = await UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+  })
+  const leaf = await UCAN.issue({
+    issuer: bob,
+    audience: mallory,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+    proofs: [await UCAN.link(root)],
+  })
+  return { root, leaf }
+}
+
+describe("http", () => {
+  it("write <-> read", async () => {
+    const { root, leaf } = await setup()
+    const headers = HTTP.write(new Headers(), { ucan: leaf, proofs: [root] })
+    assert.equal(headers.get("authorization"), `Bearer ${UCAN.format(leaf)}`)
+    assert.equal(headers.get("ucans"), UCAN.format(root))
+
+    const { ucan, proofs } = await HTTP.read(
+      new Request("https://example.com", { headers })
+    )
+    assert.equal(UCAN.format(ucan), UCAN.format(leaf))
+    assert.deepEqual([...proofs.keys()], [(await UCAN.link(root)).toString()])
+
+    const result = await UCAN.validate(ucan, {
+      resolve: link => {
+        const proof = proofs.get(link.toString())
+        return proof && UCAN.encode(proof)
+      },
+    })
+    assert.equal(result.error, undefined)
+  })
+
+  it("handles JWT representation", async () => {
+    const { root } = await setup()
+    const jwt = UCAN.parse(JWT_UCAN)
+
+    /** @type {Map<string, UCAN.View>} */
+    const map = new Map()
+    map.set("root", root).set("jwt", jwt)
+    const headers = HTTP.write(new Headers(), { ucan: jwt, proofs: map })
+    assert.equal(headers.get("ucans"), `${UCAN.format(root)}, ${JWT_UCAN}`)
+
+    const { ucan, proofs } = await HTTP.read(headers)
+    assert.equal(UCAN.format(ucan), JWT_UCAN)
+    const link = await UCAN.link(jwt)
+    assert.equal(link.code, 0x55)
+    const proof = proofs.get(link.toString())
+    assert.equal(proof && UCAN.format(proof), JWT_UCAN)
+    assert.equal(proofs.size, 2)
+  })
+
+  it("reads repeated and padded headers", async () => {
+    const { root, leaf } = await setup()
+    const headers = new Headers()
+    headers.set("Authorization", `  bearer   ${UCAN.format(leaf)} `)
+    headers.append("ucans", UCAN.format(root))
+    headers.append("ucans", ` ${UCAN.format(leaf)} ,`)
+
+    const { ucan, proofs } = await HTTP.read(headers)
+    assert.equal(ucan.issuer.did(), bob.did())
+    assert.deepEqual(
+      [...proofs.keys()],
+      [(await UCAN.link(root)).toString(), (await UCAN.link(leaf)).toString()]
+    )
+  })
+
+  it("clears proofs", async () => {
+    const { root, leaf } = await setup()
+    const headers = new Headers({ ucans: UCAN.format(root) })
+    HTTP.write(headers, { ucan: leaf })
+    assert.equal(headers.has("ucans"), false)
+
+    const { proofs } = await HTTP.read(headers)
+    assert.equal(proofs.size, 0)
+  })
+
+  it("fails without bearer token", async () => {
+    const { leaf } = await setup()
+    for (const authorization of [null, "", "Basic abc", "Bearer"]) {
+      const headers = new Headers({ ucans: UCAN.format(leaf) })
+      if (authorization != null) {
+        headers.set("authorization", authorization)
+      }
+      try {
+        await HTTP.read(headers)
+        assert.fail(`Expected ${authorization} to be rejected`)
+      } catch (error) {
+        assert.match(String(error), /Expected "Authorization: Bearer <jwt>"/)
+      }
+    }
+
+    try {
+      await HTTP.read(new Headers({ authorization: "Bearer not.a.jwt" }))
+      assert.fail("Expected invalid JWT to be rejected")
+    } catch (error) {
+      assert.equal(/** @type {UCAN.UCANError} */ (error).name, "ParseError")
+    }
+  })
+})
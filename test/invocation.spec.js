@@ -0,0 +1,436 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Invocation from "../src/codec/invocation.js"
+import * as Delegation from "../src/codec/delegation.js"
+import * as Registry from "../src/registry.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { identity } from "multiformats/hashes/identity"
+import { create as createLink } from "multiformats/link"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+import { pack, unpack } from "./util.js"
+
+/**
+ * @param {{path: unknown[]}|undefined} error
+ */
+const toPath = error => error?.path.map(String)
+
+/**
+ * @param {UCAN.DelegationView[]} delegations
+ */
+const createResolver = async delegations => {
+  /** @type {Map<string, Uint8Array>} */
+  const blocks = new Map()
+  for (const delegation of delegations) {
+    const { cid, bytes } = await Delegation.write(delegation)
+    blocks.set(cid.toString(), bytes)
+  }
+
+  /** @type {UCAN.ProofResolver} */
+  const resolve = link =>
+    /** @type {UCAN.ByteView<any>} */ (blocks.get(link.toString()))
+  return resolve
+}
+
+const setup = async () => {
+  const root = await Delegation.issue({
+    issuer: alice,
+    audience: bob,
+    subject: alice,
+    command: "/store",
+    policy: [["<=", ".size", 1024]],
+  })
+  const leaf = await Delegation.issue({
+    issuer: bob,
+    audience: mallory,
+    subject: alice,
+    command: "/store/add",
+  })
+
+  return {
+    root,
+    leaf,
+    proofs: [await Delegation.link(root), await Delegation.link(leaf)],
+    resolve: await createResolver([root, leaf]),
+  }
+}
+
+describe("codec/invocation", () => {
+  it("issue <-> encode <-> decode", async () => {
+    const proof = await Delegation.link(
+      await Delegation.issue({
+        issuer: alice,
+        audience: bob,
+        subject: alice,
+        command: "/",
+      })
+    )
+    const cause = await Invocation.link(
+      await Invocation.issue({ issuer: bob, subject: bob, command: "/ping" })
+    )
+    const invocation = await Invocation.issue({
+      issuer: bob,
+      subject: alice,
+      audience: mallory,
+      command: "/store/add",
+      arguments: { size: 5 },
+      proofs: [proof],
+      meta: { note: "hello" },
+      issuedAt: 1000,
+      expiration: 2000,
+      cause,
+    })
+
+    assert.equal(invocation.issuer.did(), bob.did())
+    assert.equal(invocation.subject.did(), alice.did())
+    assert.equal(invocation.audience.did(), mallory.did())
+    assert.equal(invocation.command, "/store/add")
+    assert.deepEqual(invocation.arguments, { size: 5 })
+    assert.deepEqual(invocation.proofs, [proof])
+    assert.deepEqual(invocation.meta, { note: "hello" })
+    assert.equal(invocation.nonce.byteLength, 12)
+    assert.equal(invocation.issuedAt, 1000)
+    assert.equal(invocation.expiration, 2000)
+    assert.equal(invocation.cause?.toString(), cause.toString())
+
+    const bytes = Invocation.encode(invocation)
+    const [signature, body] = unpack(bytes)
+    assert.deepEqual(signature, invocation.signature.raw)
+    assert.deepEqual(Object.keys(body).sort(), ["h", Invocation.tag])
+
+    const decoded = Invocation.decode(bytes)
+    assert.deepEqual(decoded.payload, invocation.payload)
+    assert.deepEqual(decoded.encode(), bytes)
+    assert.equal(await Invocation.verify(decoded, bob), true)
+    assert.equal(await Invocation.verify(decoded, alice), false)
+
+    const { cid, bytes: block } = await Invocation.write(decoded)
+    assert.equal(cid.code, CBOR.code)
+    assert.deepEqual(block, bytes)
+    assert.equal(
+      (await Invocation.link(decoded, { hasher: identity })).multihash.code,
+      identity.code
+    )
+  })
+
+  it("defaults", async () => {
+    const invocation = await Invocation.issue({
+      issuer: alice,
+      subject: alice,
+      command: "/",
+      expiration: Infinity,
+    })
+    assert.equal(invocation.audience.did(), alice.did())
+    assert.deepEqual(invocation.arguments, {})
+    assert.deepEqual(invocation.proofs, [])
+    assert.deepEqual(invocation.meta, {})
+    assert.equal(invocation.issuedAt, undefined)
+    assert.equal(invocation.cause, undefined)
+    assert.equal(invocation.expiration, Infinity)
+    assert.deepEqual(Object.keys(invocation.payload).sort(), [
+      "args",
+      "cmd",
+      "exp",
+      "iss",
+      "nonce",
+      "prf",
+      "sub",
+    ])
+  })
+
+  it("fails to decode invalid invocations", async () => {
+    const invocation = await Invocation.issue({
+      issuer: alice,
+      subject: alice,
+      command: "/",
+    })
+    const [signature, body] = unpack(Invocation.encode(invocation))
+    const payload = body[Invocation.tag]
+    /**
+     * @param {Record<string, unknown>} fields
+     */
+    const decode = fields => () =>
+      Invocation.decode(
+        pack([
+          signature,
+          { ...body, [Invocation.tag]: { ...payload, ...fields } },
+        ])
+      )
+
+    assert.throws(decode({ args: 1 }), /args must be of type object/)
+    assert.throws(decode({ prf: ["x"] }), /Expected prf\[0\] to be IPLD link/)
+    assert.throws(decode({ cmd: "run" }), /Invalid command 'cmd: "run"'/)
+    assert.throws(decode({ iat: 1.5 }), /Expected iat to be integer/)
+    assert.throws(decode({ aud: "bob" }), /Invalid DID "bob"/)
+    assert.throws(
+      () => Delegation.decode(pack(unpack(Invocation.encode(invocation)))),
+      /Expected envelope to contain "ucan\/dlg@1.0.0-rc.1" payload/
+    )
+  })
+
+  describe("authorize", () => {
+    it("authorizes invocation with a delegation chain", async () => {
+      const { root, leaf, proofs, resolve } = await setup()
+      const invocation = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        arguments: { size: 512 },
+        proofs,
+      })
+
+      const result = await Invocation.authorize(invocation, { resolve })
+      assert.equal(result.error, undefined)
+      assert.deepEqual(
+        result.ok?.delegations.map(delegation => delegation.payload),
+        [root.payload, leaf.payload]
+      )
+    })
+
+    it("authorizes subject without proofs", async () => {
+      const invocation = await Invocation.issue({
+        issuer: alice,
+        subject: alice,
+        command: "/store/add",
+      })
+      const result = await Invocation.authorize(invocation, {
+        resolve: () => null,
+      })
+      assert.equal(result.error, undefined)
+
+      const other = await Invocation.issue({
+        issuer: bob,
+        subject: alice,
+        command: "/store/add",
+      })
+      const error = await Invocation.authorize(other, { resolve: () => null })
+      assert.equal(error.error?.reason, "subject-mismatch")
+      assert.match(String(error.error), /has no proofs/)
+    })
+
+    it("fails on policy violation", async () => {
+      const { proofs, resolve } = await setup()
+      const invocation = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        arguments: { size: 2048 },
+        proofs,
+      })
+
+      const result = await Invocation.authorize(invocation, { resolve })
+      assert.equal(result.error?.reason, "policy-violation")
+      assert.deepEqual(toPath(result.error), [
+        String(await Invocation.link(invocation)),
+        String(proofs[0]),
+      ])
+      assert.match(String(result.error), /violate policy of .* at \/0/)
+      assert.deepEqual(/** @type {any} */ (result.error?.cause).statement, [
+        "<=",
+        ".size",
+        1024,
+      ])
+    })
+
+    it("fails on command not covered by delegations", async () => {
+      const { proofs, resolve } = await setup()
+      const invocation = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/remove",
+        arguments: { size: 1 },
+        proofs,
+      })
+
+      const result = await Invocation.authorize(invocation, { resolve })
+      assert.equal(result.error?.reason, "command-mismatch")
+      assert.match(
+        String(result.error),
+        /delegates \/store\/add which does not cover \/store\/remove/
+      )
+      assert.deepEqual(toPath(result.error)?.slice(-1), [String(proofs[1])])
+    })
+
+    it("fails on broken chain", async () => {
+      const { proofs, resolve } = await setup()
+
+      const reversed = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        arguments: { size: 1 },
+        proofs: [...proofs].reverse(),
+      })
+      const first = await Invocation.authorize(reversed, { resolve })
+      assert.equal(first.error?.reason, "subject-mismatch")
+
+      const partial = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        arguments: { size: 1 },
+        proofs: proofs.slice(0, 1),
+      })
+      const last = await Invocation.authorize(partial, { resolve })
+      assert.equal(last.error?.reason, "audience-mismatch")
+      assert.match(String(last.error), /last proof is delegated to/)
+
+      const skipped = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        arguments: { size: 1 },
+        proofs: [proofs[0], proofs[0]],
+      })
+      const middle = await Invocation.authorize(skipped, { resolve })
+      assert.equal(middle.error?.reason, "audience-mismatch")
+      assert.match(String(middle.error), /previous proof is delegated to/)
+    })
+
+    it("fails on subject mismatch", async () => {
+      const root = await Delegation.issue({
+        issuer: alice,
+        audience: bob,
+        subject: mallory,
+        command: "/",
+      })
+      const invocation = await Invocation.issue({
+        issuer: bob,
+        subject: alice,
+        command: "/store/add",
+        proofs: [await Delegation.link(root)],
+      })
+
+      const result = await Invocation.authorize(invocation, {
+        resolve: await createResolver([root]),
+      })
+      assert.equal(result.error?.reason, "subject-mismatch")
+      assert.match(String(result.error), /delegates did:key:.* instead of/)
+    })
+
+    it("accepts powerline delegations", async () => {
+      const root = await Delegation.issue({
+        issuer: alice,
+        audience: bob,
+        subject: alice,
+        command: "/",
+      })
+      const powerline = await Delegation.issue({
+        issuer: bob,
+        audience: mallory,
+        subject: null,
+        command: "/",
+      })
+      const invocation = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        proofs: [
+          await Delegation.link(root),
+          await Delegation.link(powerline, { hasher: identity }),
+        ],
+      })
+
+      const result = await Invocation.authorize(invocation, {
+        resolve: await createResolver([root]),
+      })
+      assert.equal(result.error, undefined)
+    })
+
+    it("fails on expired, missing or forged proofs", async () => {
+      const { proofs, resolve } = await setup()
+      const invocation = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        arguments: { size: 1 },
+        proofs,
+      })
+
+      const expired = await Invocation.authorize(invocation, {
+        resolve,
+        now: invocation.expiration + 1,
+      })
+      assert.equal(expired.error?.reason, "expired")
+      assert.deepEqual(toPath(expired.error), [
+        String(await Invocation.link(invocation)),
+      ])
+
+      const tolerated = await Invocation.authorize(invocation, {
+        resolve,
+        now: invocation.expiration,
+        tolerance: 5,
+      })
+      assert.equal(tolerated.error, undefined)
+
+      const missing = await Invocation.authorize(invocation, {
+        resolve: () => null,
+      })
+      assert.equal(missing.error?.reason, "unresolved-proof")
+
+      const malformed = await Invocation.issue({
+        issuer: mallory,
+        subject: alice,
+        command: "/store/add",
+        proofs: [createLink(Delegation.code, identity.digest(pack({})))],
+      })
+      const invalid = await Invocation.authorize(malformed, { resolve })
+      assert.equal(invalid.error?.reason, "invalid-proof")
+      assert.match(String(invalid.error), /is not a valid delegation/)
+
+      const forged = await Invocation.authorize(invocation, {
+        resolve,
+        verifiers: [{ did: () => alice.did(), verify: () => false }],
+      })
+      assert.equal(forged.error?.reason, "invalid-signature")
+      assert.deepEqual(toPath(forged.error)?.slice(-1), [String(proofs[0])])
+    })
+
+    it("fails on too early delegations", async () => {
+      const root = await Delegation.issue({
+        issuer: alice,
+        audience: bob,
+        subject: alice,
+        command: "/",
+        notBefore: UCAN.now() + 60,
+      })
+      const invocation = await Invocation.issue({
+        issuer: bob,
+        subject: alice,
+        command: "/store/add",
+        proofs: [await Delegation.link(root)],
+      })
+
+      const resolve = await createResolver([root])
+      const result = await Invocation.authorize(invocation, { resolve })
+      assert.equal(result.error?.reason, "too-early")
+
+      const tolerated = await Invocation.authorize(invocation, {
+        resolve,
+        tolerance: 120,
+      })
+      assert.equal(tolerated.error, undefined)
+    })
+
+    it("fails on unknown issuer", async () => {
+      const invocation = await Invocation.issue({
+        issuer: alice,
+        subject: alice,
+        command: "/store/add",
+      })
+      const result = await Invocation.authorize(invocation, {
+        resolve: () => null,
+        registry: Registry.create([]),
+      })
+      assert.equal(result.error?.reason, "unknown-issuer")
+    })
+  })
+
+  it("matchCommand", () => {
+    assert.equal(Invocation.matchCommand("/store/add", "/"), true)
+    assert.equal(Invocation.matchCommand("/store/add", "/store"), true)
+    assert.equal(Invocation.matchCommand("/store/add", "/store/add"), true)
+    assert.equal(Invocation.matchCommand("/storage/add", "/store"), false)
+    assert.equal(Invocation.matchCommand("/store", "/store/add"), false)
+  })
+})
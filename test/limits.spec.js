@@ -0,0 +1,306 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as UTF8 from "../src/utf8.js"
+import * as Codec from "../src/codec/cbor.js"
+import * as Delegation from "../src/codec/delegation.js"
+import * as Signature from "../src/signature.js"
+import { formatHeader } from "../src/formatter.js"
+import { base64url } from "multiformats/bases/base64"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+
+/**
+ * @param {() => unknown} run
+ * @param {UCAN.ErrorCode} code
+ * @param {string} [path]
+ * @param {RegExp} [message]
+ */
+const assertLimit = (run, code, path, message) => {
+  try {
+    run()
+    assert.fail(`Expected ${code} error`)
+  } catch (error) {
+    assert.instanceOf(error, UCAN.LimitError)
+    const {
+      name,
+      code: actual,
+      path: pointer,
+    } = /** @type {UCAN.UCANError} */ (error)
+    assert.equal(name, "LimitError")
+    assert.equal(actual, code)
+    if (path != null) {
+      assert.equal(pointer, path)
+    }
+    if (message) {
+      assert.match(String(error), message)
+    }
+  }
+}
+
+/**
+ * @param {Partial<UCAN.UCANOptions>} [options]
+ */
+const issue = options =>
+  UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+    ...options,
+  })
+
+describe("limits", () => {
+  it("has defaults", () => {
+    assert.equal(Object.isFrozen(UCAN.LIMITS), true)
+    assert.deepEqual(Object.keys(UCAN.LIMITS).sort(), [
+      "maxBytes",
+      "maxCapabilities",
+      "maxDepth",
+      "maxFacts",
+      "maxProofs",
+      "maxSegmentLength",
+      "maxSignatureSize",
+    ])
+  })
+
+  it("are opt-in", async () => {
+    const facts = Array.from({ length: UCAN.LIMITS.maxFacts + 1 }, (_, n) => ({
+      n,
+    }))
+    const ucan = await issue({ facts })
+    const jwt = UCAN.format(ucan)
+    const bytes = UCAN.encode(ucan)
+
+    assert.equal(UCAN.parse(jwt).facts.length, facts.length)
+    assert.equal(UCAN.decode(bytes).facts.length, facts.length)
+
+    // omitted limits default to the recommended ones
+    assertLimit(() => UCAN.parse(jwt, { limits: {} }), "MAX_FACTS_EXCEEDED")
+    assertLimit(() => UCAN.decode(bytes, { limits: {} }), "MAX_FACTS_EXCEEDED")
+  })
+
+  it("are reported by decode", async () => {
+    const ucan = await issue({
+      capabilities: [
+        { with: alice.did(), can: "store/add" },
+        { with: alice.did(), can: "store/remove" },
+      ],
+    })
+    const bytes = UCAN.encode(ucan)
+    const jwt = /** @type {UCAN.ByteView<UCAN.UCAN>} */ (
+      UTF8.encode(UCAN.format(ucan))
+    )
+
+    for (const source of [bytes, jwt]) {
+      assertLimit(
+        () => UCAN.decode(source, { limits: { maxCapabilities: 1 } }),
+        "MAX_CAPABILITIES_EXCEEDED",
+        "/att"
+      )
+      assertLimit(
+        () => UCAN.decode(source, { limits: { maxDepth: 2 } }),
+        "MAX_DEPTH_EXCEEDED",
+        "/att/0"
+      )
+    }
+  })
+
+  it("max bytes", async () => {
+    const ucan = await issue()
+    const jwt = UCAN.format(ucan)
+    const bytes = UCAN.encode(ucan)
+    const limits = { maxBytes: 100 }
+
+    assertLimit(
+      () => UCAN.parse(jwt, { limits }),
+      "MAX_BYTES_EXCEEDED",
+      "",
+      new RegExp(`JWT length ${jwt.length} exceeds the limit of 100`)
+    )
+    assertLimit(() => Codec.decode(bytes, { limits }), "MAX_BYTES_EXCEEDED")
+    assertLimit(() => UCAN.decode(bytes, { limits }), "MAX_BYTES_EXCEEDED")
+    assertLimit(
+      () =>
+        UCAN.decode(
+          /** @type {UCAN.ByteView<UCAN.UCAN>} */ (UTF8.encode(jwt)),
+          { limits }
+        ),
+      "MAX_BYTES_EXCEEDED"
+    )
+
+    assert.ok(UCAN.parse(jwt, { limits: { maxBytes: jwt.length } }))
+  })
+
+  it("max segment length", async () => {
+    const jwt = UCAN.format(await issue())
+    const [, payload] = jwt.split(".")
+    assertLimit(
+      () => UCAN.parse(jwt, { limits: { maxSegmentLength: 90 } }),
+      "MAX_SEGMENT_LENGTH_EXCEEDED",
+      "",
+      /JWT payload segment length \d+ exceeds the limit of 90/
+    )
+    assertLimit(
+      () => UCAN.parse(jwt, { limits: { maxSegmentLength: 10 } }),
+      "MAX_SEGMENT_LENGTH_EXCEEDED",
+      "",
+      /JWT header segment length/
+    )
+    assert.ok(UCAN.parse(jwt, { limits: { maxSegmentLength: payload.length } }))
+  })
+
+  it("max capabilities, proofs and facts", async () => {
+    const proof = await UCAN.link(await issue())
+    const ucan = await issue({
+      capabilities: [
+        { with: alice.did(), can: "store/add" },
+        { with: alice.did(), can: "store/remove" },
+      ],
+      proofs: [proof, proof],
+      facts: [{ a: 1 }, { b: 2 }],
+    })
+    const jwt = UCAN.format(ucan)
+    const bytes = UCAN.encode(ucan)
+
+    /** @type {[Partial<UCAN.Limits>, UCAN.ErrorCode, string][]} */
+    const cases = [
+      [{ maxCapabilities: 1 }, "MAX_CAPABILITIES_EXCEEDED", "/att"],
+      [{ maxProofs: 1 }, "MAX_PROOFS_EXCEEDED", "/prf"],
+      [{ maxFacts: 1 }, "MAX_FACTS_EXCEEDED", "/fct"],
+    ]
+
+    for (const [limits, code, path] of cases) {
+      assertLimit(() => UCAN.parse(jwt, { limits }), code, path)
+      assertLimit(() => Codec.decode(bytes, { limits }), code, path)
+    }
+
+    assert.ok(
+      Codec.decode(bytes, {
+        limits: { maxCapabilities: 2, maxProofs: 2, maxFacts: 2 },
+      })
+    )
+  })
+
+  it("max capabilities of 0.10 capability map", async () => {
+    const header = formatHeader("0.10.0", alice.signatureAlgorithm)
+    const payload = base64url.baseEncode(
+      UTF8.encode(
+        JSON.stringify({
+          aud: bob.did(),
+          cap: {
+            [alice.did()]: { "store/add": [{}, { size: 1 }, { size: 2 }] },
+          },
+          exp: null,
+          iss: alice.did(),
+          prf: [],
+          ucv: "0.10.0",
+        })
+      )
+    )
+    const signature = await alice.sign(UTF8.encode(`${header}.${payload}`))
+    const jwt = `${header}.${payload}.${base64url.baseEncode(signature.raw)}`
+
+    assert.equal(UCAN.parse(jwt).capabilities.length, 3)
+    assertLimit(
+      () => UCAN.parse(jwt, { limits: { maxCapabilities: 2 } }),
+      "MAX_CAPABILITIES_EXCEEDED",
+      "/cap",
+      /Number of capabilities 3 exceeds the limit of 2/
+    )
+  })
+
+  it("max depth", async () => {
+    const ucan = await issue({
+      capabilities: [{ with: alice.did(), can: "store/add", nb: { a: {} } }],
+      facts: [{ a: { b: { c: {} } } }],
+    })
+    const jwt = UCAN.format(ucan)
+    const bytes = UCAN.encode(ucan)
+
+    // payload > fct > fact > a > b > c
+    const limits = { maxDepth: 5 }
+    assertLimit(
+      () => UCAN.parse(jwt, { limits }),
+      "MAX_DEPTH_EXCEEDED",
+      "/fct/0/a/b/c",
+      /Nesting depth 6 exceeds the limit of 5/
+    )
+    assertLimit(
+      () => Codec.decode(bytes, { limits }),
+      "MAX_DEPTH_EXCEEDED",
+      "/fct/0/a/b/c"
+    )
+    assert.ok(UCAN.parse(jwt, { limits: { maxDepth: 6 } }))
+
+    // payload > att > capability > nb > a
+    assertLimit(
+      () => UCAN.parse(jwt, { limits: { maxDepth: 4 } }),
+      "MAX_DEPTH_EXCEEDED",
+      "/att/0/nb/a"
+    )
+  })
+
+  it("max signature size", async () => {
+    const ucan = await issue()
+    const limits = { maxSignatureSize: 32 }
+
+    assertLimit(
+      () => UCAN.parse(UCAN.format(ucan), { limits }),
+      "MAX_SIGNATURE_SIZE_EXCEEDED",
+      "",
+      /Signature size 64 exceeds the limit of 32/
+    )
+    assertLimit(
+      () => Codec.decode(UCAN.encode(ucan), { limits }),
+      "MAX_SIGNATURE_SIZE_EXCEEDED",
+      "/s"
+    )
+    assertLimit(
+      () => Signature.decode(Signature.encode(ucan.signature), limits),
+      "MAX_SIGNATURE_SIZE_EXCEEDED"
+    )
+    assert.ok(Signature.decode(Signature.encode(ucan.signature)))
+
+    // prefix is not counted, so RSA-8192 signatures fit the recommended limit
+    const rsa = Signature.encode(
+      Signature.create(Signature.RS256, new Uint8Array(1024))
+    )
+    assert.isAbove(rsa.byteLength, UCAN.LIMITS.maxSignatureSize)
+    assert.ok(Signature.decode(rsa, UCAN.LIMITS))
+    assertLimit(
+      () =>
+        Signature.decode(
+          Signature.encode(
+            Signature.create(Signature.RS256, new Uint8Array(1025))
+          ),
+          UCAN.LIMITS
+        ),
+      "MAX_SIGNATURE_SIZE_EXCEEDED"
+    )
+  })
+
+  it("limits envelopes", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/store/add",
+      meta: { a: { b: {} } },
+    })
+    const bytes = Delegation.encode(delegation)
+
+    assertLimit(
+      () => Delegation.decode(bytes, { limits: { maxBytes: 10 } }),
+      "MAX_BYTES_EXCEEDED"
+    )
+    assertLimit(
+      () => Delegation.decode(bytes, { limits: { maxSignatureSize: 10 } }),
+      "MAX_SIGNATURE_SIZE_EXCEEDED",
+      "/0"
+    )
+    assertLimit(
+      () => Delegation.decode(bytes, { limits: { maxDepth: 4 } }),
+      "MAX_DEPTH_EXCEEDED"
+    )
+    assert.deepEqual(Delegation.decode(bytes).payload, delegation.payload)
+  })
+})
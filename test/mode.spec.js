@@ -0,0 +1,314 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as UTF8 from "../src/utf8.js"
+import * as CBOR from "@ipld/dag-cbor"
+import * as Codec from "../src/codec/cbor.js"
+import { base64pad } from "multiformats/bases/base64"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+import { encodeJSON, signJWT } from "./util.js"
+
+/**
+ * @param {string} header
+ * @param {string} payload
+ */
+const sign = (header, payload) => signJWT(alice, header, payload)
+
+/** @type {UCAN.JWTHeader} */
+const header = { alg: "EdDSA", typ: "JWT", ucv: "0.9.1" }
+
+const payload = {
+  att: [{ can: "store/add", with: alice.did() }],
+  aud: bob.did(),
+  exp: 2000000000,
+  iss: alice.did(),
+  prf: [],
+}
+
+/**
+ * @param {Record<string, unknown>} fields
+ * @param {Record<string, unknown>} [headerFields]
+ */
+const issue = (fields, headerFields = {}) =>
+  sign(
+    encodeJSON({ ...header, ...headerFields }),
+    encodeJSON({ ...payload, ...fields })
+  )
+
+/**
+ * @param {() => unknown} parse
+ * @param {string} path
+ * @param {RegExp} message
+ */
+const assertRejects = (parse, path, message) => {
+  try {
+    parse()
+    assert.fail(`Expected ${message} error`)
+  } catch (error) {
+    assert.match(String(error), message)
+    assert.equal(/** @type {UCAN.UCANError} */ (error).path, path)
+  }
+}
+
+describe("parse mode", () => {
+  it("default mode is unchanged", async () => {
+    const jwt = await issue({
+      att: [{ can: "Store/Add", with: alice.did() }],
+      nbf: 2000000001,
+      "x-vendor": 1,
+    })
+    /** @type {UCAN.Normalization[]} */
+    const normalizations = []
+    const ucan = UCAN.parse(jwt, { onNormalize: n => normalizations.push(n) })
+
+    assert.equal(ucan.capabilities[0].can, "store/add")
+    assert.deepEqual(ucan.extensions, { "x-vendor": 1 })
+    assert.deepEqual(normalizations, [
+      { path: "/att/0/can", message: `Lowercased 'can: "Store/Add"'` },
+    ])
+  })
+
+  it("strict mode accepts canonical UCANs", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+      notBefore: 1,
+    })
+
+    const parsed = UCAN.parse(UCAN.format(ucan), { mode: "strict" })
+    assert.deepEqual(parsed.model, ucan.model)
+
+    const decoded = Codec.decode(UCAN.encode(ucan), { mode: "strict" })
+    assert.deepEqual(decoded.model, ucan.model)
+    assert.deepEqual(
+      UCAN.decode(UCAN.encode(ucan), { mode: "strict" }).model,
+      ucan.model
+    )
+  })
+
+  it("strict mode rejects non-canonical JWTs", async () => {
+    /** @type {[Record<string, unknown>, Record<string, unknown>, string, RegExp][]} */
+    const cases = [
+      [
+        { att: [{ can: "Store/Add", with: alice.did() }] },
+        {},
+        "/att/0/can",
+        /non-canonical 'can: "Store\/Add"'/,
+      ],
+      [{ "x-vendor": 1 }, {}, "/x-vendor", /Unknown field "x-vendor"/],
+      [{}, { kid: "key-1" }, "/kid", /Unknown field "kid"/],
+      [{ nbf: 2000000001 }, {}, "/nbf", /nbf 2000000001 to be less than/],
+      [{ nbf: -1 }, {}, "/nbf", /non-negative timestamp/],
+      [{ exp: -1 }, {}, "/exp", /non-negative timestamp/],
+      [
+        { iss: alice.did().replace("did:key", "did:KEY") },
+        {},
+        "/iss",
+        /lowercase method name/,
+      ],
+    ]
+
+    for (const [fields, headerFields, path, message] of cases) {
+      const jwt = await issue(fields, headerFields)
+      assert.ok(UCAN.parse(jwt))
+      assertRejects(() => UCAN.parse(jwt, { mode: "strict" }), path, message)
+    }
+  })
+
+  it("strict mode rejects unknown fields in IPLD representation", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+    const data = CBOR.decode(UCAN.encode(ucan))
+
+    /** @type {[Record<string, unknown>, string, RegExp][]} */
+    const cases = [
+      [{ ext: { "x-vendor": 1 } }, "/ext/x-vendor", /Unknown field "x-vendor"/],
+      [{ hdr: { kid: "key-1" } }, "/hdr/kid", /Unknown field "kid"/],
+      [{ foo: 1 }, "/foo", /Unknown field "foo"/],
+    ]
+
+    for (const [fields, path, message] of cases) {
+      const bytes = /** @type {UCAN.ByteView<UCAN.UCAN>} */ (
+        CBOR.encode({ ...data, ...fields })
+      )
+      assert.ok(Codec.decode(bytes))
+      assertRejects(
+        () => Codec.decode(bytes, { mode: "strict" }),
+        path,
+        message
+      )
+    }
+  })
+
+  it("strict mode treats extensions of both representations alike", async () => {
+    // fields are sorted, so that the UCAN is in IPLD representation
+    const jwt = await sign(
+      encodeJSON({ alg: "EdDSA", kid: "key-1", typ: "JWT", ucv: "0.9.1" }),
+      encodeJSON({ ...payload, "x-vendor": 1 })
+    )
+    const bytes = UCAN.encode(UCAN.parse(jwt))
+    /** @type {Record<string, unknown>} */
+    const { hdr, ext } = CBOR.decode(/** @type {Uint8Array} */ (bytes))
+    assert.deepEqual([hdr, ext], [{ kid: "key-1" }, { "x-vendor": 1 }])
+    assert.ok(Codec.decode(bytes))
+
+    assertRejects(
+      () => UCAN.parse(jwt, { mode: "strict" }),
+      "/kid",
+      /Unknown field "kid"/
+    )
+    assertRejects(
+      () => UCAN.decode(bytes, { mode: "strict" }),
+      "/hdr/kid",
+      /Unknown field "kid"/
+    )
+
+    const payloadOnly = UCAN.encode(UCAN.parse(await issue({ "x-vendor": 1 })))
+    assertRejects(
+      () => UCAN.decode(payloadOnly, { mode: "strict" }),
+      "/ext/x-vendor",
+      /Unknown field "x-vendor"/
+    )
+  })
+
+  it("strict mode rejects non-canonical encoding", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+    const data = CBOR.decode(UCAN.encode(ucan))
+
+    /** @type {[Record<string, unknown>, string][]} */
+    const cases = [
+      [{ nbf: 0 }, "/nbf"],
+      [{ fct: [] }, "/fct"],
+    ]
+
+    for (const [fields, path] of cases) {
+      const bytes = /** @type {UCAN.ByteView<UCAN.UCAN>} */ (
+        CBOR.encode({ ...data, ...fields })
+      )
+      // same UCAN as the canonical one, but with different bytes, which are
+      // retained by the decoded view
+      assert.notDeepEqual(bytes, UCAN.encode(ucan))
+      const decoded = Codec.decode(bytes)
+      assert.deepEqual(decoded.encode(), bytes)
+      assert.deepEqual(Codec.encode(decoded.model), UCAN.encode(ucan))
+
+      for (const decode of [Codec.decode, UCAN.decode]) {
+        try {
+          decode(bytes, { mode: "strict" })
+          assert.fail(`Expected ${path} to be rejected`)
+        } catch (error) {
+          assert.instanceOf(error, UCAN.NonCanonicalError)
+          const {
+            name,
+            code,
+            path: actual,
+            message,
+          } = /** @type {UCAN.UCANError} */ (error)
+          assert.equal(name, "NonCanonicalError")
+          assert.equal(code, "NON_CANONICAL_ENCODING")
+          assert.equal(actual, path)
+          assert.include(message, `field "${path.slice(1)}"`)
+        }
+      }
+    }
+
+    // every field is encoded canonically, but keys are not sorted
+    const entries = Object.entries(data).reverse()
+    const unsorted = /** @type {UCAN.ByteView<UCAN.UCAN>} */ (
+      new Uint8Array([
+        0xa0 + entries.length,
+        ...entries.flatMap(([key, value]) => [
+          ...CBOR.encode(key),
+          ...CBOR.encode(value),
+        ]),
+      ])
+    )
+    assert.deepEqual(Codec.decode(unsorted).model, ucan.model)
+    try {
+      Codec.decode(unsorted, { mode: "strict" })
+      assert.fail("Expected unsorted keys to be rejected")
+    } catch (error) {
+      assert.instanceOf(error, UCAN.NonCanonicalError)
+      const { path, message } = /** @type {UCAN.UCANError} */ (error)
+      assert.equal(path, "")
+      assert.equal(message, "UCAN is not canonically encoded")
+    }
+  })
+
+  it("lenient mode normalizes and reports", async () => {
+    const jwt = await sign(
+      base64pad.baseEncode(
+        UTF8.encode(JSON.stringify({ alg: "EdDSA", ucv: "0.9.1" }))
+      ),
+      encodeJSON({
+        ...payload,
+        att: [{ can: "Store/Add", with: alice.did() }],
+        exp: 2000000000000,
+        nbf: 1000000000,
+      })
+    )
+    assert.match(jwt, /=\./)
+    assert.throws(() => UCAN.parse(jwt))
+
+    /** @type {UCAN.Normalization[]} */
+    const normalizations = []
+    const ucan = UCAN.parse(jwt, {
+      mode: "lenient",
+      onNormalize: normalization => normalizations.push(normalization),
+    })
+
+    assert.equal(ucan.expiration, 2000000000)
+    assert.equal(ucan.notBefore, 1000000000)
+    assert.equal(ucan.capabilities[0].can, "store/add")
+    assert.deepEqual(ucan.header, header)
+    assert.deepEqual(normalizations, [
+      { path: "", message: "Removed base64 padding of the UCAN header" },
+      { path: "/typ", message: `Added missing 'typ: "JWT"'` },
+      { path: "/exp", message: "Converted exp from milliseconds to seconds" },
+      { path: "/att/0/can", message: `Lowercased 'can: "Store/Add"'` },
+    ])
+
+    // original JWT is retained so that signature remains valid
+    assert.equal(UCAN.format(ucan), jwt)
+    assert.equal(await UCAN.verifySignature(ucan, alice), true)
+    assert.equal(
+      UCAN.decode(UCAN.encode(ucan), { mode: "lenient" }).expiration,
+      2000000000
+    )
+  })
+
+  it("lenient mode only converts timestamps of JWTs", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+      expiration: 2000000000000,
+    })
+
+    /** @type {UCAN.Normalization[]} */
+    const normalizations = []
+    const options = /** @type {const} */ ({
+      mode: "lenient",
+      onNormalize: (/** @type {UCAN.Normalization} */ normalization) =>
+        normalizations.push(normalization),
+    })
+
+    const decoded = UCAN.decode(UCAN.encode(ucan), options)
+    assert.equal(decoded.code, UCAN.code)
+    assert.equal(decoded.expiration, 2000000000000)
+    assert.deepEqual(normalizations, [])
+
+    assert.equal(UCAN.parse(UCAN.format(ucan), options).expiration, 2000000000)
+    assert.deepEqual(normalizations, [
+      { path: "/exp", message: "Converted exp from milliseconds to seconds" },
+    ])
+  })
+})
@@ -0,0 +1,159 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as UTF8 from "../src/utf8.js"
+import { parse as parseJWT, parseHeader, parsePayload } from "../src/parser.js"
+import { format } from "../src/formatter.js"
+import { base64url, base64pad } from "multiformats/bases/base64"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+import { signJWT } from "./util.js"
+
+/**
+ * Creates JWT signed by `alice` from the given header and payload JSON text.
+ *
+ * @param {string} header
+ * @param {string} payload
+ * @param {{ encode(bytes: Uint8Array): string }} [base]
+ */
+const sign = (header, payload, base = { encode: base64url.baseEncode }) =>
+  signJWT(
+    alice,
+    base.encode(UTF8.encode(header)),
+    base64url.baseEncode(UTF8.encode(payload))
+  )
+
+/**
+ * Tells whether UCAN is in IPLD representation the way `parse` used to,
+ * by formatting parsed model and comparing it to the JWT.
+ *
+ * @param {string} jwt
+ * @param {UCAN.ParseOptions} [options]
+ */
+const formatsBack = (jwt, options) => format(parseJWT(jwt, options)) === jwt
+
+/**
+ * @param {Partial<UCAN.UCANOptions>} [options]
+ */
+const issue = options =>
+  UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+    ...options,
+  })
+
+const header = `{"alg":"EdDSA","typ":"JWT","ucv":"0.9.1"}`
+const payload = {
+  att: [{ can: "store/add", with: alice.did() }],
+  aud: bob.did(),
+  exp: 2000000000,
+  iss: alice.did(),
+  prf: [],
+}
+
+describe("parse", () => {
+  it("picks IPLD representation when UCAN formats back", async () => {
+    const proof = await UCAN.link(await issue())
+    /** @type {UCAN.Fact[]} */
+    const facts = [
+      { ok: true, no: false, none: null, n: -1, list: [1, [2, "3"]] },
+      { 10: 1, 9: 2, b: "", a: "ü\n\u2028\"'<>" },
+      { link: proof },
+      { links: [proof] },
+      { bytes: new Uint8Array([1, 2, 3]) },
+      { float: 1.5 },
+    ]
+
+    for (const fact of facts) {
+      const ucan = await issue({ facts: [fact], nonce: "1", notBefore: 1 })
+      const jwt = UCAN.format(ucan)
+      const parsed = UCAN.parse(jwt)
+
+      assert.equal(formatsBack(jwt), true)
+      assert.equal(parsed.code, UCAN.code, `${JSON.stringify(fact)} is IPLD`)
+      assert.equal(parsed.format(), jwt)
+      assert.deepEqual(parsed.model, ucan.model)
+    }
+  })
+
+  it("picks JWT representation when UCAN does not format back", async () => {
+    const text = JSON.stringify(payload)
+    const { att, exp } = payload
+    const jwts = [
+      // keys not sorted
+      await sign(
+        header,
+        JSON.stringify({ prf: [], iss: alice.did(), aud: bob.did(), att, exp })
+      ),
+      await sign(`{"typ":"JWT","alg":"EdDSA","ucv":"0.9.1"}`, text),
+      // whitespace
+      await sign(header, JSON.stringify(payload, null, 2)),
+      await sign(`${header} `, text),
+      // escaped characters
+      await sign(header, text.replace("store/add", "store\\/add")),
+      await sign(header, text.replace("store/add", "\\u0073tore/add")),
+      // number formatting
+      await sign(header, text.replace("2000000000", "2000000000.0")),
+      await sign(header, text.replace("2000000000", "2e9")),
+      // normalized fields
+      await sign(header, text.replace("store/add", "Store/Add")),
+      await sign(header, JSON.stringify({ ...payload, fct: [] })),
+      await sign(header, JSON.stringify({ ...payload, nbf: 0 })),
+      // padded signature
+      `${await sign(header, text)}==`,
+    ]
+
+    for (const jwt of jwts) {
+      const parsed = UCAN.parse(jwt)
+      assert.equal(formatsBack(jwt), false)
+      assert.equal(parsed.code, 0x55)
+      assert.equal(parsed.format(), jwt)
+    }
+
+    // padded header is only parsed in lenient mode
+    const padded = await sign(header, text, { encode: base64pad.baseEncode })
+    assert.match(padded, /=\./)
+    const options = /** @type {const} */ ({ mode: "lenient" })
+    assert.equal(formatsBack(padded, options), false)
+    assert.equal(UCAN.parse(padded, options).code, 0x55)
+  })
+
+  it("keeps bytes of the picked representation", async () => {
+    const ucan = await issue()
+    const canonical = UCAN.parse(UCAN.format(ucan))
+    assert.deepEqual(canonical.bytes, UCAN.encode(ucan))
+    const decoded = UCAN.decode(canonical.bytes)
+    assert.equal(decoded.code, UCAN.code)
+    assert.deepEqual(decoded.model, ucan.model)
+    assert.equal(decoded.format(), UCAN.format(ucan))
+
+    const jwt = await sign(header, JSON.stringify(payload, null, 2))
+    const original = UCAN.parse(jwt)
+    assert.deepEqual(original.bytes, UTF8.encode(jwt))
+    const raw = UCAN.decode(original.bytes)
+    assert.equal(raw.code, 0x55)
+    assert.equal(raw.format(), jwt)
+    assert.equal(await UCAN.verifySignature(raw, alice), true)
+  })
+
+  it("parses segments", async () => {
+    const ucan = await issue()
+    const [header, payload] = UCAN.format(ucan).split(".")
+
+    assert.deepEqual(parseHeader(header), {
+      typ: "JWT",
+      ucv: ucan.version,
+      alg: "EdDSA",
+    })
+    assert.deepEqual(parsePayload(payload, ucan.version), {
+      iss: ucan.model.iss,
+      aud: ucan.model.aud,
+      att: ucan.capabilities,
+      exp: ucan.model.exp,
+      prf: [],
+      fct: [],
+      nbf: undefined,
+      nnc: undefined,
+    })
+  })
+})
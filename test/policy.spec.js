@@ -0,0 +1,346 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Policy from "../src/policy.js"
+import { CID } from "multiformats"
+import { assert } from "chai"
+import { alice } from "./fixtures.js"
+
+const args = {
+  from: "alice@example.com",
+  to: ["bob@example.com", "carol@example.com"],
+  size: 5,
+  tags: { urgent: true },
+  items: [{ id: 1 }, { id: 2 }],
+  link: CID.parse("bafkqaaa"),
+}
+
+/**
+ * @param {UCAN.Policy} policy
+ * @param {unknown} data
+ */
+const evaluate = (policy, data = args) => Policy.evaluate(policy, data)
+
+describe("policy", () => {
+  it("select", () => {
+    /** @type {[UCAN.Selector, unknown][]} */
+    const cases = [
+      [".", args],
+      [".size", 5],
+      [".to[0]", "bob@example.com"],
+      [".to[-1]", "carol@example.com"],
+      [".to.[1]", "carol@example.com"],
+      ['.["from"]', "alice@example.com"],
+      [".tags.urgent", true],
+      [".items[].id", [1, 2]],
+      [".tags[]", [true]],
+      [".missing?", null],
+      [".to[5]?", null],
+      [".size.value?", null],
+      [".size[]?", null],
+      [".link", args.link],
+    ]
+
+    for (const [selector, expected] of cases) {
+      assert.deepEqual(
+        Policy.select(selector, args),
+        { ok: { value: expected } },
+        selector
+      )
+    }
+
+    assert.match(
+      String(Policy.select(".missing", args).error),
+      /Can not select .missing, .* has no field "missing"/
+    )
+    assert.match(
+      String(Policy.select(".to[2]", args).error),
+      /has no element at 2/
+    )
+    assert.match(
+      String(Policy.select(".size[0]", args).error),
+      /Can not select .size\[0\], 5 has no element at 0/
+    )
+    assert.match(
+      String(Policy.select(".size[]", args).error),
+      /5 is not a list or a map/
+    )
+    assert.match(
+      String(Policy.select(".items[].name", args).error),
+      /has no field "name"/
+    )
+  })
+
+  it("parseSelector", () => {
+    assert.deepEqual(Policy.parseSelector(".foo?.bar[0]"), {
+      ok: [
+        { type: "field", name: "foo", optional: true },
+        { type: "field", name: "bar", optional: false },
+        { type: "index", index: 0, optional: false },
+      ],
+    })
+    assert.deepEqual(Policy.parseSelector(".[]"), {
+      ok: [{ type: "iterator", optional: false }],
+    })
+
+    for (const selector of ["foo", "..foo", ".foo[", ".foo bar", ".[x]"]) {
+      assert.ok(Policy.parseSelector(selector).error, selector)
+    }
+  })
+
+  it("comparisons", () => {
+    assert.deepEqual(evaluate([["==", ".size", 5]]), { ok: {} })
+    assert.deepEqual(evaluate([["==", ".tags", { urgent: true }]]), { ok: {} })
+    assert.deepEqual(evaluate([["==", ".link", CID.parse("bafkqaaa")]]), {
+      ok: {},
+    })
+    assert.deepEqual(evaluate([["!=", ".size", 6]]), { ok: {} })
+    assert.deepEqual(evaluate([[">", ".size", 4]]), { ok: {} })
+    assert.deepEqual(evaluate([[">=", ".size", 5]]), { ok: {} })
+    assert.deepEqual(evaluate([["<", ".size", 6]]), { ok: {} })
+    assert.deepEqual(evaluate([["<=", ".size", 5]]), { ok: {} })
+    assert.deepEqual(evaluate([["like", ".from", "*@example.com"]]), {
+      ok: {},
+    })
+
+    const result = evaluate([
+      ["==", ".size", 5],
+      ["<", ".size", 5],
+    ])
+    assert.equal(result.error?.name, "PolicyViolation")
+    assert.equal(result.error?.path, "/1")
+    assert.deepEqual(result.error?.statement, ["<", ".size", 5])
+    assert.match(String(result.error), /Expected .size < 5, instead got 5/)
+
+    assert.ok(evaluate([["<", ".from", 5]]).error)
+    assert.ok(evaluate([["like", ".size", "*"]]).error)
+    assert.match(
+      String(evaluate([["==", ".nope", 1]]).error),
+      /Can not select .nope/
+    )
+    assert.match(
+      String(evaluate([["==", ".nope", 1]], { nope: undefined }).error),
+      /Expected .nope == 1, instead got undefined/
+    )
+  })
+
+  it("statements that can not be evaluated have a cause", () => {
+    const type = evaluate([["<", ".from", 5]])
+    assert.instanceOf(type.error?.cause, TypeError)
+    assert.match(
+      String(type.error),
+      /Expected .from to be a number, instead got "alice@example.com"/
+    )
+    assert.match(
+      String(evaluate([["like", ".size", "*"]]).error),
+      /Expected .size to be a string, instead got 5/
+    )
+
+    const selector = evaluate([
+      /** @type {UCAN.Statement} */ (
+        /** @type {unknown} */ (["==", "size", 5])
+      ),
+    ])
+    assert.match(String(selector.error?.cause), /must start with "."/)
+
+    const missing = evaluate([["==", ".nope", 1]])
+    assert.match(String(missing.error?.cause), /Can not select .nope/)
+
+    const failed = evaluate([["==", ".size", 1]])
+    assert.equal(failed.error?.cause, undefined)
+  })
+
+  it("like", () => {
+    assert.equal(Policy.like("alice@example.com", "*@example.com"), true)
+    assert.equal(Policy.like("alice@example.com", "alice@*"), true)
+    assert.equal(Policy.like("alice@example.com", "*"), true)
+    assert.equal(Policy.like("alice@example.com", "bob*"), false)
+    assert.equal(Policy.like("a.b", "a?b"), false)
+    assert.equal(Policy.like("a*b", "a\\*b"), true)
+    assert.equal(Policy.like("axb", "a\\*b"), false)
+    assert.equal(Policy.like("line\nbreak", "line*"), true)
+  })
+
+  it("connectives", () => {
+    assert.deepEqual(evaluate([["not", ["==", ".size", 6]]]), { ok: {} })
+    assert.deepEqual(evaluate([["and", []]]), { ok: {} })
+    assert.deepEqual(evaluate([["or", []]]), { ok: {} })
+    assert.deepEqual(
+      evaluate([
+        [
+          "or",
+          [
+            ["==", ".size", 6],
+            ["==", ".size", 5],
+          ],
+        ],
+      ]),
+      { ok: {} }
+    )
+
+    const not = evaluate([["not", ["==", ".size", 5]]])
+    assert.equal(not.error?.path, "/0")
+    assert.match(String(not.error), /\["==",".size",5\] must not hold/)
+
+    // only statements that do not hold are inverted, errors propagate
+    assert.deepEqual(evaluate([["not", ["==", ".nope?", 1]]]), { ok: {} })
+    for (const statement of /** @type {UCAN.Statement[]} */ ([
+      ["==", ".nope", 1],
+      [">", ".from", 1],
+      ["all", ".size", ["==", ".", 5]],
+      ["and", [["like", ".size", "*"]]],
+    ])) {
+      const result = evaluate([["not", statement]])
+      assert.ok(result.error?.cause, `${JSON.stringify(statement)} propagates`)
+      assert.deepEqual(
+        result.error?.statement,
+        statement[0] === "and" ? statement[1][0] : statement
+      )
+    }
+
+    const and = evaluate([
+      [
+        "and",
+        [
+          ["==", ".size", 5],
+          ["not", ["and", [["==", ".tags.urgent", true]]]],
+        ],
+      ],
+    ])
+    assert.equal(and.error?.path, "/0/1/1")
+    assert.deepEqual(and.error?.statement, [
+      "not",
+      ["and", [["==", ".tags.urgent", true]]],
+    ])
+
+    const or = evaluate([
+      [
+        "or",
+        [
+          ["==", ".size", 6],
+          ["like", ".from", "bob*"],
+        ],
+      ],
+    ])
+    assert.equal(or.error?.path, "/0")
+    assert.match(
+      String(or.error),
+      /None of the statements hold:\n {2}- Expected .size == 6, instead got 5\n {2}- Expected .from like "bob\*"/
+    )
+  })
+
+  it("quantifiers", () => {
+    assert.deepEqual(
+      evaluate([["all", ".to", ["like", ".", "*@example.com"]]]),
+      { ok: {} }
+    )
+    assert.deepEqual(evaluate([["any", ".items", ["==", ".id", 2]]]), {
+      ok: {},
+    })
+    assert.deepEqual(evaluate([["all", ".tags", ["==", ".", true]]]), {
+      ok: {},
+    })
+    assert.deepEqual(evaluate([["all", ".items[].id", [">", ".", 0]]]), {
+      ok: {},
+    })
+
+    const all = evaluate([["all", ".items", ["<", ".id", 2]]])
+    assert.equal(all.error?.path, "/0/2")
+    assert.deepEqual(all.error?.statement, ["<", ".id", 2])
+
+    const any = evaluate([["any", ".items", ["==", ".id", 3]]])
+    assert.equal(any.error?.path, "/0")
+    assert.match(String(any.error), /None of the elements of .items satisfy/)
+
+    assert.match(
+      String(evaluate([["all", ".size", ["==", ".", 5]]]).error),
+      /Expected .size to be a list or a map, instead got 5/
+    )
+    assert.match(
+      String(evaluate([["any", ".nope", ["==", ".", 5]]]).error),
+      /Can not select .nope/
+    )
+  })
+
+  it("evaluates against capabilities", () => {
+    /** @type {UCAN.Capability} */
+    const capability = {
+      with: alice.did(),
+      can: "store/add",
+      nb: { size: 1024 },
+    }
+
+    assert.deepEqual(
+      Policy.evaluate(
+        [
+          ["==", ".with", alice.did()],
+          ["like", ".can", "store/*"],
+          ["<=", ".nb.size", 2048],
+        ],
+        capability
+      ),
+      { ok: {} }
+    )
+    assert.equal(
+      Policy.evaluate([["<=", ".nb.size", 512]], capability).error?.path,
+      "/0"
+    )
+  })
+
+  it("parse <-> format", () => {
+    const policy = Policy.parse(
+      '[["==", ".size", 5], ["all", ".to", ["like", ".", "*@example.com"]], ["==", ".link", {"/": "bafkqaaa"}]]'
+    )
+    assert.deepEqual(policy, [
+      ["==", ".size", 5],
+      ["all", ".to", ["like", ".", "*@example.com"]],
+      ["==", ".link", CID.parse("bafkqaaa")],
+    ])
+    assert.deepEqual(Policy.parse(Policy.format(policy)), policy)
+  })
+
+  it("validate", () => {
+    assert.deepEqual(Policy.validate([["==", ".", 1]]), {
+      ok: [["==", ".", 1]],
+    })
+
+    /** @type {UCAN.Policy} */
+    const operators = [
+      ["!=", ".", 1],
+      [">", ".", 1],
+      [">=", ".", 1],
+      ["<", ".", 1],
+      ["<=", ".", 1],
+      ["not", ["==", ".", 1]],
+      ["and", []],
+      ["or", [["==", ".", 1]]],
+      ["any", ".", ["==", ".", 1]],
+    ]
+    assert.deepEqual(Policy.validate(operators), { ok: operators })
+
+    /** @type {[unknown, string, RegExp][]} */
+    const cases = [
+      [{}, "/pol", /pol must be an array/],
+      [[1], "/pol/0", /Expected pol\[0\] to be a statement, instead got 1/],
+      [[["~", ".", 1]], "/pol/0/0", /Unknown operator 'pol\[0\]\[0\]: "~"'/],
+      [
+        [["==", "size", 1]],
+        "/pol/0/1",
+        /Invalid selector 'pol\[0\]\[1\]: "size"', must start with "."/,
+      ],
+      [[["==", "."]], "/pol/0", /Expected pol\[0\] to have 2 operand\(s\)/],
+      [[["<", ".", "1"]], "/pol/0/2", /Expected pol\[0\]\[2\] to be a number/],
+      [[["like", ".", 1]], "/pol/0/2", /has invalid value 1/],
+      [[["not", 1]], "/pol/0/1", /to be a statement/],
+      [[["and", [["==", "."]]]], "/pol/0/1/0", /to have 2 operand/],
+      [[["or", {}]], "/pol/0/1", /must be an array/],
+      [[["any", ".", ["?"]]], "/pol/0/2/0", /Unknown operator/],
+    ]
+
+    for (const [input, path, message] of cases) {
+      const { error } = Policy.validate(input)
+      assert.equal(error?.code, "INVALID_POLICY")
+      assert.equal(error?.path, path)
+      assert.match(String(error), message)
+    }
+  })
+})
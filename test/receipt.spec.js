@@ -0,0 +1,171 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Receipt from "../src/codec/receipt.js"
+import * as Invocation from "../src/codec/invocation.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { identity } from "multiformats/hashes/identity"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+import { pack, unpack } from "./util.js"
+
+describe("codec/receipt", () => {
+  it("issue <-> encode <-> decode", async () => {
+    const invocation = await Invocation.issue({
+      issuer: alice,
+      subject: bob,
+      command: "/store/add",
+      arguments: { size: 5 },
+    })
+    const fork = await Invocation.link(
+      await Invocation.issue({ issuer: bob, subject: bob, command: "/index" })
+    )
+    const join = await Invocation.link(
+      await Invocation.issue({ issuer: bob, subject: bob, command: "/notify" })
+    )
+
+    const receipt = await Receipt.issue({
+      issuer: bob,
+      ran: invocation,
+      out: { ok: { size: 5 } },
+      fx: { fork: [fork], join },
+      meta: { took: 3 },
+      issuedAt: 1000,
+    })
+
+    assert.equal(receipt.issuer.did(), bob.did())
+    assert.equal(
+      receipt.ran.toString(),
+      (await Invocation.link(invocation)).toString()
+    )
+    assert.deepEqual(receipt.out, { ok: { size: 5 } })
+    assert.deepEqual(receipt.fx, { fork: [fork], join })
+    assert.deepEqual(receipt.meta, { took: 3 })
+    assert.equal(receipt.issuedAt, 1000)
+
+    const bytes = Receipt.encode(receipt)
+    const [signature, body] = unpack(bytes)
+    assert.deepEqual(signature, receipt.signature.raw)
+    assert.deepEqual(Object.keys(body).sort(), ["h", Receipt.tag])
+
+    const decoded = Receipt.decode(bytes)
+    assert.deepEqual(decoded.payload, receipt.payload)
+    assert.deepEqual(decoded.encode(), bytes)
+    assert.equal(await Receipt.verify(decoded, bob), true)
+    assert.equal(await Receipt.verify(decoded, alice), false)
+  })
+
+  it("defaults and errors", async () => {
+    const ran = await Invocation.link(
+      await Invocation.issue({ issuer: alice, subject: alice, command: "/" }),
+      { hasher: identity }
+    )
+    const receipt = await Receipt.issue({
+      issuer: mallory,
+      ran,
+      out: { error: { message: "boom" } },
+    })
+
+    assert.equal(receipt.ran, ran)
+    assert.deepEqual(receipt.out, { error: { message: "boom" } })
+    assert.deepEqual(receipt.fx, { fork: [] })
+    assert.deepEqual(receipt.meta, {})
+    assert.equal(receipt.issuedAt, undefined)
+    assert.deepEqual(Object.keys(receipt.payload).sort(), [
+      "fx",
+      "iss",
+      "out",
+      "ran",
+    ])
+
+    const decoded = Receipt.decode(receipt.encode())
+    assert.deepEqual(decoded.payload, receipt.payload)
+  })
+
+  it("link", async () => {
+    const receipt = await Receipt.issue({
+      issuer: bob,
+      ran: await Invocation.issue({
+        issuer: alice,
+        subject: bob,
+        command: "/",
+      }),
+      out: { ok: {} },
+    })
+
+    const { cid, bytes, data } = await Receipt.write(receipt)
+    assert.equal(cid.code, CBOR.code)
+    assert.deepEqual(bytes, receipt.encode())
+    assert.equal(data, receipt)
+    assert.equal(
+      (await Receipt.link(Receipt.decode(bytes))).toString(),
+      cid.toString()
+    )
+
+    const inline = await Receipt.link(receipt, { hasher: identity })
+    assert.deepEqual(inline.multihash.digest, bytes)
+  })
+
+  it("verify", async () => {
+    const receipt = await Receipt.issue({
+      issuer: bob,
+      ran: await Invocation.issue({
+        issuer: alice,
+        subject: bob,
+        command: "/",
+      }),
+      out: { ok: { value: 1 } },
+    })
+
+    const [signature, body] = unpack(receipt.encode())
+    const tampered = Receipt.decode(
+      pack([
+        signature,
+        {
+          ...body,
+          [Receipt.tag]: { ...body[Receipt.tag], out: { ok: { value: 2 } } },
+        },
+      ])
+    )
+    assert.equal(await Receipt.verify(tampered, bob), false)
+  })
+
+  it("fails to decode invalid receipts", async () => {
+    const receipt = await Receipt.issue({
+      issuer: bob,
+      ran: await Invocation.issue({
+        issuer: alice,
+        subject: bob,
+        command: "/",
+      }),
+      out: { ok: {} },
+    })
+    const [signature, body] = unpack(receipt.encode())
+    const payload = body[Receipt.tag]
+    /**
+     * @param {Record<string, unknown>} fields
+     */
+    const decode = fields => () =>
+      Receipt.decode(
+        pack([signature, { ...body, [Receipt.tag]: { ...payload, ...fields } }])
+      )
+
+    /** @type {[Record<string, unknown>, string, RegExp][]} */
+    const cases = [
+      [{ ran: "bafy" }, "/ran", /Expected ran to be IPLD link/],
+      [{ out: { ok: {}, error: {} } }, "/out", /either "ok" or "error"/],
+      [{ out: { ok: null } }, "/out", /either "ok" or "error"/],
+      [{ out: { value: 1 } }, "/out/value", /instead got "value"/],
+      [{ fx: { fork: {} } }, "/fx/fork", /fx.fork must be an array/],
+      [{ fx: { fork: [], join: 1 } }, "/fx/join", /Expected fx.join to be/],
+      [{ iat: "now" }, "/iat", /Expected iat to be integer/],
+    ]
+    for (const [fields, path, message] of cases) {
+      assert.throws(decode(fields), message)
+      try {
+        decode(fields)()
+      } catch (error) {
+        assert.equal(/** @type {UCAN.UCANError} */ (error).path, path)
+      }
+    }
+  })
+})
@@ -0,0 +1,152 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Registry from "../src/registry.js"
+import * as DID from "../src/did.js"
+import * as Signature from "../src/signature.js"
+import * as P256 from "../src/signer/p256.js"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+
+const SECP256K1_DID =
+  "did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme"
+
+describe("registry", () => {
+  it("verifies Ed25519 issuer", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    assert.deepEqual(await UCAN.verify(ucan), { ok: {} })
+  })
+
+  it("verifies P-256 issuer", async () => {
+    const issuer = await P256.generate()
+    const ucan = await UCAN.issue({
+      issuer,
+      audience: bob,
+      capabilities: [{ with: issuer.did(), can: "store/put" }],
+    })
+
+    assert.deepEqual(await UCAN.verify(ucan), { ok: {} })
+  })
+
+  it("fails on invalid signature", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const forged = UCAN.parse(
+      /** @type {UCAN.JWT} */ (
+        UCAN.format(ucan).replace(
+          /\.([^.]+)$/,
+          `.${Signature.format(await bob.sign(new Uint8Array([1])))}`
+        )
+      )
+    )
+
+    const { error } = await UCAN.verify(forged)
+    assert.match(String(error), /Signature does not match the payload/)
+  })
+
+  it("fails on signature algorithm mismatch", async () => {
+    const p256 = await P256.generate()
+    const ucan = await UCAN.issue({
+      issuer: {
+        did: () => alice.did(),
+        sign: payload => p256.sign(payload),
+        signatureAlgorithm: p256.signatureAlgorithm,
+        signatureCode: p256.signatureCode,
+      },
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    const { error } = await UCAN.verify(ucan)
+    assert.match(
+      String(error),
+      /Signature algorithm ES256 does not match Ed25519 key of did:key:z6Mk.* which requires EdDSA/
+    )
+  })
+
+  it("fails on non did:key issuer", async () => {
+    const ucan = await UCAN.issue({
+      issuer: {
+        did: () => "did:dns:alice.space",
+        sign: payload => alice.sign(payload),
+        signatureAlgorithm: alice.signatureAlgorithm,
+        signatureCode: alice.signatureCode,
+      },
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    const { error } = await UCAN.verify(ucan)
+    assert.match(
+      String(error),
+      /Can not derive verifier for did:dns:alice.space/
+    )
+  })
+
+  it("fails on unsupported key type", async () => {
+    const result = await Registry.registry.verifier(DID.parse(SECP256K1_DID))
+    assert.match(
+      String(result.error),
+      /No verifier is registered for key type 0xe7 of did:key:zQ3s/
+    )
+  })
+
+  it("supports custom algorithms", async () => {
+    /** @type {UCAN.Verifier} */
+    const secp256k1 = {
+      did: () => SECP256K1_DID,
+      verify: async () => true,
+    }
+
+    const registry = Registry.create().register({
+      name: "Secp256k1",
+      code: DID.SECP256K1,
+      signatureCode: Signature.ES256K,
+      signatureAlgorithm: "ES256K",
+      decode: () => secp256k1,
+    })
+
+    const ucan = await UCAN.issue({
+      issuer: {
+        did: () => SECP256K1_DID,
+        sign: async () =>
+          /** @type {any} */ (
+            Signature.create(Signature.ES256K, new Uint8Array(64))
+          ),
+        signatureAlgorithm: "ES256K",
+        signatureCode: Signature.ES256K,
+      },
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    assert.match(String((await UCAN.verify(ucan)).error), /0xe7/)
+    assert.deepEqual(await UCAN.verify(ucan, { registry }), { ok: {} })
+
+    const verifier = await registry.verifier(ucan.issuer)
+    assert.equal(verifier.ok, secp256k1)
+  })
+
+  it("fails when key can not be decoded", async () => {
+    const registry = Registry.create().register({
+      name: "Secp256k1",
+      code: DID.SECP256K1,
+      signatureCode: Signature.ES256K,
+      signatureAlgorithm: "ES256K",
+      decode: () => {
+        throw new Error("Invalid public key")
+      },
+    })
+
+    const result = await registry.verifier(DID.parse(SECP256K1_DID))
+    assert.equal(result.ok, undefined)
+    assert.match(String(result.error), /Invalid public key/)
+  })
+})
@@ -0,0 +1,300 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Resolver from "../src/resolver.js"
+import * as P256 from "../src/signer/p256.js"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+
+/**
+ * @param {UCAN.DID} id
+ * @param {UCAN.Principal[]} keys
+ * @returns {UCAN.DIDDocument}
+ */
+const createDocument = (id, keys) => ({
+  id,
+  verificationMethod: keys.map((key, n) => ({
+    id: `${id}#key-${n}`,
+    type: "Multikey",
+    controller: id,
+    publicKeyMultibase: key.did().slice("did:key:".length),
+  })),
+})
+
+/**
+ * Creates signer that issues UCANs on behalf of the `did` by signing with the
+ * given key.
+ *
+ * @param {UCAN.DID} did
+ * @param {UCAN.Signer} key
+ * @returns {UCAN.Signer}
+ */
+const createSigner = (did, key) => ({
+  did: () => did,
+  sign: payload => key.sign(payload),
+  signatureAlgorithm: key.signatureAlgorithm,
+  signatureCode: key.signatureCode,
+})
+
+/**
+ * @param {Record<string, unknown>} routes
+ */
+const createFetch = routes => {
+  /** @type {string[]} */
+  const requests = []
+  /** @type {typeof globalThis.fetch} */
+  const fetch = async input => {
+    const url = String(input)
+    requests.push(url)
+    const body = routes[url]
+    return body === undefined
+      ? new Response("Not Found", { status: 404 })
+      : new Response(JSON.stringify(body))
+  }
+  return { fetch, requests }
+}
+
+describe("resolver", () => {
+  it("verifies issuer through in-memory resolver", async () => {
+    const did = "did:plc:ewvi7nxzyoun6zhxrhs64oiz"
+    const ucan = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+
+    const didResolver = Resolver.memory([createDocument(did, [bob, alice])])
+    assert.deepEqual(await UCAN.verify(ucan, { didResolver }), { ok: {} })
+
+    const { error } = await UCAN.verify(ucan, {
+      didResolver: Resolver.memory([createDocument(did, [bob])]),
+    })
+    assert.match(String(error), /Signature does not match the payload/)
+  })
+
+  it("fails when document is not found", async () => {
+    const ucan = await UCAN.issue({
+      issuer: createSigner("did:plc:unknown", alice),
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    const { error } = await UCAN.verify(ucan, {
+      didResolver: Resolver.memory([]),
+    })
+    assert.match(String(error), /DID document for did:plc:unknown is not found/)
+    assert.equal(
+      /** @type {UCAN.UCANError} */ (error).code,
+      "DID_RESOLUTION_FAILED"
+    )
+  })
+
+  it("only uses keys matching signature algorithm", async () => {
+    const did = "did:web:example.com"
+    const ucan = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+
+    const { error } = await UCAN.verify(ucan, {
+      didResolver: Resolver.memory([
+        createDocument(did, [await P256.generate()]),
+      ]),
+    })
+    assert.match(
+      String(error),
+      /DID document of did:web:example.com has no verification methods for EdDSA signatures/
+    )
+  })
+
+  it("respects assertion methods", async () => {
+    const did = "did:web:example.com"
+    const ucan = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+
+    const document = createDocument(did, [alice, bob])
+    const restricted = Resolver.memory([
+      { ...document, assertionMethod: ["#key-1"] },
+    ])
+    const { error } = await UCAN.verify(ucan, { didResolver: restricted })
+    assert.match(String(error), /Signature does not match the payload/)
+
+    const allowed = Resolver.memory([
+      { ...document, assertionMethod: [`${did}#key-0`] },
+    ])
+    assert.deepEqual(await UCAN.verify(ucan, { didResolver: allowed }), {
+      ok: {},
+    })
+  })
+
+  it("skips malformed verification methods", async () => {
+    const did = "did:web:example.com"
+    const ucan = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+
+    const [method] = createDocument(did, [alice]).verificationMethod || []
+    /** @type {UCAN.VerificationMethod[]} */
+    const malformed = [
+      { ...method, id: `${did}#invalid`, publicKeyMultibase: "z0OIl" },
+      { ...method, id: `${did}#missing`, publicKeyMultibase: undefined },
+    ]
+
+    const embedded = Resolver.memory([
+      {
+        id: did,
+        verificationMethod: malformed,
+        assertionMethod: ["#invalid", "#missing", "#unknown", method],
+      },
+    ])
+    assert.deepEqual(await UCAN.verify(ucan, { didResolver: embedded }), {
+      ok: {},
+    })
+
+    const invalid = Resolver.memory([
+      { id: did, verificationMethod: malformed },
+    ])
+    const { error } = await UCAN.verify(ucan, { didResolver: invalid })
+    assert.match(
+      String(error),
+      /DID document of did:web:example.com has no verification methods/
+    )
+
+    const result = await Resolver.verifier(ucan.issuer, { resolver: invalid })
+    assert.match(
+      String(result.error),
+      /DID document of did:web:example.com has no supported verification methods/
+    )
+  })
+
+  it("fails when resolver fails", async () => {
+    const did = "did:web:example.com"
+    const ucan = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+
+    const didResolver = Resolver.web({
+      fetch: async () => {
+        throw new TypeError("fetch failed")
+      },
+    })
+    const { error } = await UCAN.verify(ucan, { didResolver })
+    assert.match(
+      String(error),
+      /Failed to resolve DID document for did:web:example.com/
+    )
+    assert.instanceOf(error, UCAN.DIDError)
+    assert.equal(
+      /** @type {UCAN.UCANError} */ (error).code,
+      "DID_RESOLUTION_FAILED"
+    )
+    assert.match(String(/** @type {any} */ (error).cause), /fetch failed/)
+  })
+
+  it("maps did:web to document URL", () => {
+    assert.equal(
+      Resolver.toURL("did:web:example.com").href,
+      "https://example.com/.well-known/did.json"
+    )
+    assert.equal(
+      Resolver.toURL("did:web:example.com:user:alice").href,
+      "https://example.com/user/alice/did.json"
+    )
+    assert.equal(
+      Resolver.toURL("did:web:localhost%3A8080").href,
+      "https://localhost:8080/.well-known/did.json"
+    )
+    assert.throws(
+      () => Resolver.toURL("did:plc:ewvi7nxzyoun6zhxrhs64oiz"),
+      /Expected did:web/
+    )
+  })
+
+  it("resolves did:web documents", async () => {
+    const did = "did:web:example.com:alice"
+    const { fetch, requests } = createFetch({
+      "https://example.com/alice/did.json": createDocument(did, [alice]),
+    })
+    const didResolver = Resolver.web({ fetch })
+
+    const ucan = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+
+    assert.deepEqual(await UCAN.verify(ucan, { didResolver }), { ok: {} })
+    assert.deepEqual(requests, ["https://example.com/alice/did.json"])
+  })
+
+  it("fails to resolve did:web documents", async () => {
+    const { fetch } = createFetch({
+      "https://example.com/.well-known/did.json": createDocument(
+        "did:web:example.org",
+        [alice]
+      ),
+    })
+    const resolver = Resolver.web({ fetch })
+
+    const missing = await resolver.resolve("did:web:example.org")
+    assert.match(
+      String(missing.error),
+      /Failed to resolve DID document for did:web:example.org/
+    )
+    assert.match(
+      String(/** @type {any} */ (missing.error).cause),
+      /responded with 404/
+    )
+
+    const mismatch = await resolver.resolve("did:web:example.com")
+    assert.match(
+      String(/** @type {any} */ (mismatch.error).cause),
+      /Document id did:web:example.org does not match/
+    )
+
+    const unsupported = await resolver.resolve(
+      "did:plc:ewvi7nxzyoun6zhxrhs64oiz"
+    )
+    assert.match(String(unsupported.error), /Expected did:web/)
+    assert.instanceOf(unsupported.error, UCAN.DIDError)
+    assert.equal(
+      /** @type {UCAN.UCANError} */ (unsupported.error).code,
+      "INVALID_DID"
+    )
+
+    const global = await Resolver.web().resolve(
+      "did:plc:ewvi7nxzyoun6zhxrhs64oiz"
+    )
+    assert.match(String(global.error), /Expected did:web/)
+  })
+
+  it("validates chains with non did:key issuers", async () => {
+    const did = "did:web:example.com"
+    const root = await UCAN.issue({
+      issuer: createSigner(did, alice),
+      audience: bob,
+      capabilities: [{ with: did, can: "store/put" }],
+    })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [await UCAN.link(root)],
+    })
+    const { cid, bytes } = await UCAN.write(root)
+
+    const result = await UCAN.validate(leaf, {
+      resolve: link => (link.equals(cid) ? bytes : null),
+      didResolver: Resolver.memory([createDocument(did, [alice])]),
+    })
+
+    assert.equal(result.error, undefined)
+  })
+})
@@ -0,0 +1,145 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Revocation from "../src/revocation.js"
+import * as UTF8 from "../src/utf8.js"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+import { createResolver } from "./util.js"
+
+const setup = async () => {
+  const root = await UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/put" }],
+  })
+  const leaf = await UCAN.issue({
+    issuer: bob,
+    audience: mallory,
+    capabilities: root.capabilities,
+    proofs: [await UCAN.link(root)],
+  })
+
+  return { root, leaf, resolve: await createResolver([root]) }
+}
+
+describe("revocation", () => {
+  it("issue / verify", async () => {
+    const { root, leaf } = await setup()
+    const revoke = await UCAN.link(root)
+    const revocation = await Revocation.issue({ issuer: alice, revoke })
+
+    assert.equal(revocation.iss.did(), alice.did())
+    assert.equal(revocation.revoke, revoke)
+    assert.deepEqual(
+      Revocation.challenge(revoke),
+      UTF8.encode(`REVOKE:${revoke}`)
+    )
+    assert.equal(await Revocation.verify(revocation, alice), true)
+    assert.equal(await Revocation.verify(revocation, bob), false)
+
+    const forged = { ...revocation, revoke: await UCAN.link(leaf) }
+    assert.equal(await Revocation.verify(forged, alice), false)
+  })
+
+  it("encode <-> decode", async () => {
+    const { root } = await setup()
+    const revocation = await Revocation.issue({
+      issuer: alice,
+      revoke: await UCAN.link(root),
+    })
+
+    const decoded = Revocation.decode(Revocation.encode(revocation))
+    assert.equal(decoded.iss.did(), alice.did())
+    assert.equal(decoded.revoke.toString(), revocation.revoke.toString())
+    assert.deepEqual(decoded.challenge, revocation.challenge)
+    assert.equal(await Revocation.verify(decoded, alice), true)
+  })
+
+  it("validate rejects revoked ucan", async () => {
+    const { leaf, resolve } = await setup()
+    const cid = await UCAN.link(leaf)
+    const revocations = Revocation.memory([
+      await Revocation.issue({ issuer: bob, revoke: cid }),
+    ])
+
+    const { error } = await UCAN.validate(leaf, { resolve, revocations })
+    assert.equal(error?.reason, "revoked")
+    assert.equal(error?.message, `UCAN ${cid} has been revoked by ${bob.did()}`)
+    assert.deepEqual(error?.path, [cid])
+  })
+
+  it("validate rejects ucan with revoked proof", async () => {
+    const { root, leaf, resolve } = await setup()
+    const cid = await UCAN.link(root)
+    const revocations = Revocation.memory().add(
+      await Revocation.issue({ issuer: alice, revoke: cid })
+    )
+
+    const { error } = await UCAN.validate(leaf, { resolve, revocations })
+    assert.equal(error?.reason, "revoked")
+    assert.deepEqual(error?.path, [await UCAN.link(leaf), cid])
+  })
+
+  it("issuer upstream in the chain can revoke", async () => {
+    const { leaf, resolve } = await setup()
+    const revocations = Revocation.memory([
+      await Revocation.issue({ issuer: alice, revoke: await UCAN.link(leaf) }),
+    ])
+
+    const { error } = await UCAN.validate(leaf, { resolve, revocations })
+    assert.equal(error?.reason, "revoked")
+  })
+
+  it("ignores revocations by issuers outside of the chain", async () => {
+    const { root, leaf, resolve } = await setup()
+    const revocations = Revocation.memory([
+      await Revocation.issue({
+        issuer: mallory,
+        revoke: await UCAN.link(leaf),
+      }),
+      // bob is downstream of the root so he can not revoke it
+      await Revocation.issue({ issuer: bob, revoke: await UCAN.link(root) }),
+    ])
+
+    const result = await UCAN.validate(leaf, { resolve, revocations })
+    assert.equal(result.error, undefined)
+  })
+
+  it("ignores revocations with invalid signatures", async () => {
+    const { leaf, resolve } = await setup()
+    const cid = await UCAN.link(leaf)
+    const revocation = await Revocation.issue({ issuer: mallory, revoke: cid })
+    const revocations = Revocation.memory([
+      { ...revocation, iss: UCAN.parse(UCAN.format(leaf)).issuer },
+    ])
+
+    const result = await UCAN.validate(leaf, { resolve, revocations })
+    assert.equal(result.error, undefined)
+  })
+
+  it("ignores revocations that fail to verify", async () => {
+    const { leaf, resolve } = await setup()
+    const cid = await UCAN.link(leaf)
+    const revocations = Revocation.memory([
+      await Revocation.issue({ issuer: bob, revoke: cid }),
+    ])
+
+    /** @type {UCAN.Verifier} */
+    const verifier = {
+      did: () => bob.did(),
+      verify: async (payload, signature) => {
+        if (UTF8.decode(payload).startsWith("REVOKE:")) {
+          throw new Error("Unable to verify revocation")
+        }
+        return bob.verify(payload, signature)
+      },
+    }
+
+    const result = await UCAN.validate(leaf, {
+      resolve,
+      revocations,
+      verifiers: [verifier],
+    })
+    assert.equal(result.error, undefined)
+  })
+})
@@ -4,6 +4,7 @@ import { assert } from "chai"
 import { base64url } from "multiformats/bases/base64"
 import { varint } from "multiformats"
 import * as json from "@ipld/dag-json"
+import * as CBOR from "@ipld/dag-cbor"
 import * as UTF8 from "../src/utf8.js"
 import * as ED25519 from "@noble/ed25519"
 import * as API from "../src/ucan.js"
@@ -239,3 +240,74 @@ export const formatUnsafe = async (issuer, token) => {
     `${header}.${body}.${base64url.baseEncode(signature.raw)}`
   )
 }
+
+/**
+ * @param {Promise<unknown>} promise
+ * @param {RegExp} pattern
+ */
+export const assertRejects = async (promise, pattern) => {
+  const result = await promise.then(
+    value => ({ value }),
+    error => ({ error })
+  )
+  if ("error" in result) {
+    assert.match(String(result.error), pattern)
+  } else {
+    assert.fail(`Expected promise to be rejected with ${pattern}`)
+  }
+}
+
+/**
+ * Creates proof resolver that resolves blocks of the given UCANs.
+ *
+ * @param {UCAN.View[]} ucans
+ */
+export const createResolver = async ucans => {
+  /** @type {Map<string, UCAN.ByteView<UCAN.UCAN>>} */
+  const blocks = new Map()
+  for (const ucan of ucans) {
+    const { cid, bytes } = await UCAN.write(ucan)
+    blocks.set(cid.toString(), bytes)
+  }
+
+  /** @type {UCAN.ProofResolver} */
+  const resolve = link => blocks.get(link.toString())
+  return resolve
+}
+
+/**
+ * Decodes `[signature, payload]` envelope without validating it.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {[Uint8Array, Record<string, any>]}
+ */
+export const unpack = bytes => CBOR.decode(bytes)
+
+/**
+ * Encodes arbitrary data, usually a tampered envelope, as DAG-CBOR.
+ *
+ * @param {unknown} data
+ * @returns {UCAN.ByteView<any>}
+ */
+export const pack = data => /** @type {any} */ (CBOR.encode(data))
+
+/**
+ * Encodes arbitrary data as a base64url JWT segment.
+ *
+ * @param {unknown} data
+ */
+export const encodeJSON = data =>
+  base64url.baseEncode(UTF8.encode(JSON.stringify(data)))
+
+/**
+ * Creates JWT by signing the given header and payload segments with the
+ * `issuer`, unlike `formatUnsafe` segments are used exactly as given.
+ *
+ * @param {UCAN.Signer} issuer
+ * @param {string} header
+ * @param {string} payload
+ */
+export const signJWT = async (issuer, header, payload) => {
+  const signature = await issuer.sign(UTF8.encode(`${header}.${payload}`))
+  return `${header}.${payload}.${base64url.baseEncode(signature.raw)}`
+}
@@ -0,0 +1,386 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import { assert } from "chai"
+import { alice, bob, mallory } from "./fixtures.js"
+import * as RAW from "multiformats/codecs/raw"
+import * as UTF8 from "../src/utf8.js"
+import { sha256, sha512 } from "multiformats/hashes/sha2"
+import { create as createLink } from "multiformats/link"
+import { createResolver, formatUnsafe } from "./util.js"
+
+const verifiers = [alice, bob, mallory]
+
+/**
+ * @param {UCAN.View[]} ucans
+ */
+const links = async ucans =>
+  (await Promise.all(ucans.map(ucan => UCAN.link(ucan)))).map(String)
+
+describe("validate", () => {
+  it("validates proof chain", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [await UCAN.link(root)],
+    })
+
+    const result = await UCAN.validate(leaf, {
+      resolve: await createResolver([root]),
+      verifiers,
+    })
+
+    assert.deepEqual(result, {
+      ok: { ucan: leaf, proofs: [{ ucan: root, proofs: [] }] },
+    })
+  })
+
+  it("validates inline JWT proofs", async () => {
+    const att = [{ with: alice.did(), can: "store/put" }]
+    const root = await formatUnsafe(alice, { body: { aud: bob.did(), att } })
+    const leaf = UCAN.parse(
+      await formatUnsafe(bob, {
+        body: { aud: mallory.did(), att, prf: [root] },
+      })
+    )
+    assert.equal(leaf.code, RAW.code)
+
+    const result = await UCAN.validate(leaf, {
+      resolve: () => assert.fail("inline proofs should not be resolved"),
+      verifiers,
+    })
+
+    assert.equal(result.ok?.proofs[0].ucan.format(), root)
+  })
+
+  it("fails on expired proof", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      expiration: UCAN.now() - 10,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const proof = await UCAN.link(root)
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [proof],
+    })
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve: await createResolver([root]),
+      verifiers,
+    })
+
+    assert.equal(error?.name, "ValidationError")
+    assert.equal(error?.reason, "expired")
+    assert.deepEqual(error?.path, [await UCAN.link(leaf), proof])
+  })
+
+  it("fails on ucan that is not active yet", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      notBefore: 100,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    const { error } = await UCAN.validate(ucan, {
+      resolve: await createResolver([]),
+      verifiers,
+      now: 100,
+    })
+
+    assert.equal(error?.reason, "too-early")
+    assert.deepEqual(error?.path, [await UCAN.link(ucan)])
+  })
+
+  it("fails when proof audience is not the issuer", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: mallory,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const proof = await UCAN.link(root)
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [proof],
+    })
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve: await createResolver([root]),
+      verifiers,
+    })
+
+    assert.equal(error?.reason, "audience-mismatch")
+    assert.deepEqual(error?.path, [await UCAN.link(leaf), proof])
+  })
+
+  it("fails when proof can not be resolved", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const proof = await UCAN.link(root)
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [proof],
+    })
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve: await createResolver([]),
+      verifiers,
+    })
+
+    assert.equal(error?.reason, "unresolved-proof")
+    assert.match(String(error?.cause), /Resolver returned no block/)
+  })
+
+  it("fails when resolved block does not match the link", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const other = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [await UCAN.link(root)],
+    })
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve: () => other.encode(),
+      verifiers,
+    })
+
+    assert.equal(error?.reason, "unresolved-proof")
+    assert.match(String(error?.cause), /does not match/)
+  })
+
+  it("fails when proof uses unsupported multihash", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const proof = await UCAN.link(root, { hasher: sha512 })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [proof],
+    })
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve: () => root.encode(),
+      verifiers,
+    })
+
+    assert.equal(error?.reason, "unresolved-proof")
+    assert.deepEqual(error?.path, [await UCAN.link(leaf), proof])
+    assert.match(String(error?.cause), /Unsupported multihash 0x13/)
+  })
+
+  it("fails when proof is not a valid UCAN", async () => {
+    const bytes = UTF8.encode("not a ucan")
+    const proof = /** @type {UCAN.Link} */ (
+      createLink(UCAN.code, await sha256.digest(bytes))
+    )
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+      proofs: [proof],
+    })
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve: () => bytes,
+      verifiers,
+    })
+
+    assert.equal(error?.reason, "invalid-proof")
+    assert.deepEqual(error?.path, [await UCAN.link(leaf), proof])
+    assert.match(String(error), /is not a valid UCAN/)
+  })
+
+  it("derives verifiers for did:key issuers", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities: root.capabilities,
+      proofs: [await UCAN.link(root)],
+    })
+
+    const result = await UCAN.validate(leaf, {
+      resolve: await createResolver([root]),
+    })
+
+    assert.equal(result.error, undefined)
+  })
+
+  it("fails on unknown issuer", async () => {
+    const ucan = await UCAN.issue({
+      issuer: {
+        did: () => "did:dns:alice.space",
+        sign: payload => alice.sign(payload),
+        signatureAlgorithm: alice.signatureAlgorithm,
+        signatureCode: alice.signatureCode,
+      },
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+
+    const { error } = await UCAN.validate(ucan, {
+      resolve: await createResolver([]),
+      verifiers: [bob],
+    })
+
+    assert.equal(error?.reason, "unknown-issuer")
+    assert.match(String(error?.cause), /only did:key principals/)
+  })
+
+  it("fails on invalid signature", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/put" }],
+    })
+    const fake = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/fake" }],
+    })
+
+    const { error } = await UCAN.validate(
+      UCAN.decode(UCAN.encode({ ...ucan.model, s: fake.signature })),
+      { resolve: await createResolver([]), verifiers }
+    )
+
+    assert.equal(error?.reason, "invalid-signature")
+  })
+
+  it("validates shared proofs once", async () => {
+    /** @type {UCAN.Capabilities} */
+    const capabilities = [{ with: alice.did(), can: "store/put" }]
+    const principals = [alice, bob]
+    /** @type {UCAN.View[]} */
+    const ucans = []
+    /** @type {UCAN.View[]} */
+    let layer = []
+    // every UCAN links to both UCANs of the previous layer, which without
+    // memoization would take 2^layers validations
+    for (let n = 0; n < 8; n++) {
+      const issuer = principals[n % 2]
+      const audience = principals[(n + 1) % 2]
+      const proofs = await Promise.all(layer.map(ucan => UCAN.link(ucan)))
+      layer = await Promise.all(
+        ["a", "b"].map(nonce =>
+          UCAN.issue({ issuer, audience, capabilities, proofs, nonce })
+        )
+      )
+      ucans.push(...layer)
+    }
+
+    const resolve = await createResolver(ucans)
+    /** @type {string[]} */
+    const resolved = []
+    const result = await UCAN.validate(layer[0], {
+      resolve: link => {
+        resolved.push(link.toString())
+        return resolve(link)
+      },
+      verifiers,
+    })
+
+    assert.equal(result.error, undefined)
+    assert.equal(resolved.length, ucans.length - 2)
+    assert.equal(new Set(resolved).size, resolved.length)
+    const [a, b] = result.ok?.proofs || []
+    assert.equal(a.proofs[0], b.proofs[0])
+  })
+
+  it("fails on chains deeper than maxDepth", async () => {
+    /** @type {UCAN.Capabilities} */
+    const capabilities = [{ with: alice.did(), can: "store/put" }]
+    /** @type {UCAN.View[]} */
+    const chain = []
+    for (let n = 0; n < 6; n++) {
+      const [issuer, audience] = n % 2 ? [bob, alice] : [alice, bob]
+      const proofs = chain.length ? [await UCAN.link(chain[0])] : []
+      chain.unshift(
+        await UCAN.issue({ issuer, audience, capabilities, proofs })
+      )
+    }
+    const resolve = await createResolver(chain)
+    const [leaf] = chain
+
+    const valid = await UCAN.validate(leaf, { resolve, verifiers, maxDepth: 5 })
+    assert.equal(valid.error, undefined)
+
+    const { error } = await UCAN.validate(leaf, {
+      resolve,
+      verifiers,
+      maxDepth: 4,
+    })
+    assert.equal(error?.reason, "too-deep")
+    assert.match(String(error), /is deeper than 4 links/)
+    assert.deepEqual(error?.path.map(String), await links(chain))
+  })
+
+  it("checks depth of shared proofs", async () => {
+    /** @type {UCAN.Capabilities} */
+    const capabilities = [{ with: alice.did(), can: "store/put" }]
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities,
+    })
+    const middle = await UCAN.issue({
+      issuer: bob,
+      audience: bob,
+      capabilities,
+      proofs: [await UCAN.link(root)],
+    })
+    const leaf = await UCAN.issue({
+      issuer: bob,
+      audience: mallory,
+      capabilities,
+      proofs: [await UCAN.link(root), await UCAN.link(middle)],
+    })
+    const resolve = await createResolver([root, middle])
+
+    const valid = await UCAN.validate(leaf, { resolve, verifiers, maxDepth: 2 })
+    assert.equal(valid.error, undefined)
+
+    // root is validated through the first link, then reached again deeper
+    const { error } = await UCAN.validate(leaf, {
+      resolve,
+      verifiers,
+      maxDepth: 1,
+    })
+    assert.equal(error?.reason, "too-deep")
+    assert.deepEqual(error?.path.map(String), await links([leaf, middle, root]))
+  })
+})
@@ -0,0 +1,216 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as Varsig from "../src/varsig.js"
+import * as Signature from "../src/signature.js"
+import * as Delegation from "../src/codec/delegation.js"
+import * as CBOR from "@ipld/dag-cbor"
+import { varint } from "multiformats"
+import { base64 } from "multiformats/bases/base64"
+import { assert } from "chai"
+import { alice, bob, service } from "./fixtures.js"
+
+/**
+ * @param {number[]} segments
+ * @returns {UCAN.ByteView<UCAN.VarsigHeader>}
+ */
+const encodeVarints = segments =>
+  /** @type {any} */ (
+    new Uint8Array(
+      segments.flatMap(segment => [
+        ...varint.encodeTo(
+          segment,
+          new Uint8Array(varint.encodingLength(segment))
+        ),
+      ])
+    )
+  )
+
+describe("varsig", () => {
+  it("encode <-> decode", () => {
+    assert.equal(
+      base64.baseEncode(
+        Varsig.encode(Varsig.create(Signature.EdDSA, Varsig.DAG_CBOR))
+      ),
+      "NAHtAe0BE3E"
+    )
+
+    const codes = [
+      Signature.EdDSA,
+      Signature.ES256,
+      Signature.ES384,
+      Signature.ES512,
+      Signature.ES256K,
+      Signature.RS256,
+    ]
+    /** @type {UCAN.PayloadEncoding[]} */
+    const encodings = [Varsig.RAW, Varsig.DAG_CBOR, Varsig.DAG_JSON, Varsig.JWT]
+    for (const code of codes) {
+      for (const encoding of encodings) {
+        const header = Varsig.create(code, encoding)
+        assert.deepEqual(Varsig.decode(Varsig.encode(header)), header)
+      }
+    }
+
+    assert.deepEqual(Varsig.create(Signature.ES384, Varsig.DAG_JSON), {
+      code: Signature.ES384,
+      algorithm: "ES384",
+      hash: Varsig.SHA2_384,
+      encoding: Varsig.DAG_JSON,
+    })
+  })
+
+  it("converts signatures", async () => {
+    const payload = new Uint8Array([1, 2, 3])
+    for (const signer of [alice, await service]) {
+      const signature = await signer.sign(payload)
+      const header = Varsig.from(signature)
+      assert.equal(header.code, signature.code)
+      assert.equal(header.algorithm, signature.algorithm)
+      assert.equal(header.encoding, Varsig.JWT)
+      assert.equal(Varsig.from(signature, Varsig.RAW).encoding, Varsig.RAW)
+
+      const view = Varsig.toSignature(header, signature.raw)
+      assert.deepEqual([...view], [...signature])
+    }
+
+    const signature = await alice.sign(payload)
+    const view = Varsig.toSignature(Varsig.from(signature), signature.raw)
+    assert.equal(await alice.verify(payload, view), true)
+
+    assert.throws(
+      () => Varsig.from(Signature.createNonStandard("foo", new Uint8Array())),
+      /Signature algorithm 0xd000 has no varsig header/
+    )
+  })
+
+  it("encodes payloads for verifiers", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/add" }],
+    })
+    const jwt = UCAN.format(ucan)
+    const header = Varsig.from(ucan.signature)
+    const payload = Varsig.encodePayload(
+      header,
+      jwt.slice(0, jwt.lastIndexOf("."))
+    )
+    assert.equal(await alice.verify(payload, ucan.signature), true)
+
+    const data = { hello: "world" }
+    assert.deepEqual(
+      Varsig.encodePayload(
+        Varsig.create(Signature.EdDSA, Varsig.DAG_CBOR),
+        data
+      ),
+      CBOR.encode(data)
+    )
+    assert.equal(
+      new TextDecoder().decode(
+        Varsig.encodePayload(
+          Varsig.create(Signature.EdDSA, Varsig.DAG_JSON),
+          data
+        )
+      ),
+      '{"hello":"world"}'
+    )
+    assert.deepEqual(
+      Varsig.encodePayload(
+        Varsig.create(Signature.EdDSA, Varsig.RAW),
+        new Uint8Array([1])
+      ),
+      new Uint8Array([1])
+    )
+
+    const unsupported = {
+      ...Varsig.create(Signature.EdDSA, Varsig.RAW),
+      encoding: /** @type {any} */ (0x99),
+    }
+    assert.throws(
+      () => Varsig.encodePayload(unsupported, data),
+      /Unsupported varsig payload encoding 0x99/
+    )
+  })
+
+  it("verifies envelopes signed over DAG-JSON", async () => {
+    const delegation = await Delegation.issue({
+      issuer: alice,
+      audience: bob,
+      subject: alice,
+      command: "/",
+    })
+    const header = Varsig.create(Signature.EdDSA, Varsig.DAG_JSON)
+    const h = Varsig.encode(header)
+    const signature = await alice.sign(
+      Varsig.encodePayload(header, {
+        h,
+        [Delegation.tag]: delegation.payload,
+      })
+    )
+
+    const decoded = Delegation.decode(
+      /** @type {any} */ (
+        CBOR.encode([
+          signature.raw,
+          { h, [Delegation.tag]: delegation.payload },
+        ])
+      )
+    )
+    assert.equal(Varsig.decode(decoded.h).encoding, Varsig.DAG_JSON)
+    assert.equal(await Delegation.verify(decoded, alice), true)
+    assert.equal(await Delegation.verify(delegation, alice), true)
+
+    assert.throws(
+      () =>
+        Delegation.decode(
+          /** @type {any} */ (
+            CBOR.encode([
+              signature.raw,
+              {
+                h: Varsig.encode(Varsig.create(Signature.EdDSA, Varsig.JWT)),
+                [Delegation.tag]: delegation.payload,
+              },
+            ])
+          )
+        ),
+      /envelope payload can not be signed as 0x6a77/
+    )
+  })
+
+  it("fails on invalid headers", () => {
+    /** @type {[UCAN.ByteView<UCAN.VarsigHeader>, string, RegExp][]} */
+    const cases = [
+      [encodeVarints([0x35, 0x01]), "INVALID_SIGNATURE", /0x34 prefix/],
+      [encodeVarints([0x34, 0x02]), "INVALID_SIGNATURE", /version 1/],
+      [
+        /** @type {any} */ (new Uint8Array([0x34, 0x01, 0xed])),
+        "INVALID_SIGNATURE",
+        /truncated varint at 2/,
+      ],
+      [
+        encodeVarints([0x34, 0x01, 0xed, 0xed, 0x12, 0x71]),
+        "UNKNOWN_SIGNATURE_ALGORITHM",
+        /unknown signature algorithm 0xed 0xed 0x12/,
+      ],
+      [
+        encodeVarints([0x34, 0x01, 0xed, 0xed, 0x13, 0x70]),
+        "INVALID_SIGNATURE",
+        /Unsupported varsig payload encoding 0x70/,
+      ],
+      [/** @type {any} */ ("NAHtAe0BE3E"), "INVALID_SIGNATURE", /Uint8Array/],
+    ]
+
+    for (const [input, code, message] of cases) {
+      assert.throws(() => Varsig.decode(input), message)
+      try {
+        Varsig.read(input, "1.h")
+        assert.fail(`Expected ${input} to be rejected`)
+      } catch (error) {
+        const { name, path } = /** @type {UCAN.UCANError} */ (error)
+        assert.equal(name, "ParseError")
+        assert.equal(/** @type {UCAN.UCANError} */ (error).code, code)
+        assert.equal(path, "/1/h")
+      }
+    }
+  })
+})
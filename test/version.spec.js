@@ -0,0 +1,280 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as UTF8 from "../src/utf8.js"
+import { formatHeader, formatPayload } from "../src/formatter.js"
+import { hasCapabilityMap } from "../src/schema.js"
+import { base64url } from "multiformats/bases/base64"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+import { encodeJSON, signJWT } from "./util.js"
+
+/**
+ * @param {string} header
+ * @param {string} payload
+ */
+const sign = (header, payload) => signJWT(alice, header, payload)
+
+/**
+ * @param {string} jwt
+ */
+const decodePayload = jwt =>
+  JSON.parse(UTF8.decode(base64url.baseDecode(jwt.split(".")[1])))
+
+// UCAN 0.10 header has no `ucv`, it is in the payload instead
+const header = encodeJSON({ alg: "EdDSA", typ: "JWT" })
+
+/**
+ * Header of the tokens that carry `ucv` in the header as earlier versions do.
+ *
+ * @param {UCAN.Version} ucv
+ */
+const formatHeaderWithVersion = ucv =>
+  encodeJSON({ alg: "EdDSA", typ: "JWT", ucv })
+
+describe("versions", () => {
+  it("hasCapabilityMap", () => {
+    assert.equal(hasCapabilityMap("0.8.1"), false)
+    assert.equal(hasCapabilityMap("0.9.1"), false)
+    assert.equal(hasCapabilityMap("0.10.0"), true)
+    assert.equal(hasCapabilityMap("0.10.2"), true)
+    assert.equal(hasCapabilityMap("1.0.0"), false)
+  })
+
+  it("parses 0.10 capabilities into normalized model", async () => {
+    const proof = await UCAN.link(
+      await UCAN.issue({
+        issuer: alice,
+        audience: bob,
+        capabilities: [{ with: alice.did(), can: "store/*" }],
+      })
+    )
+
+    const jwt = await sign(
+      header,
+      encodeJSON({
+        aud: bob.did(),
+        cap: {
+          [alice.did()]: {
+            "store/add": [{}, { size: 1024 }],
+            "store/remove": [{}],
+          },
+          "mailto:alice@web.mail": { "msg/send": [{}] },
+        },
+        exp: null,
+        fct: { note: "hello" },
+        iss: alice.did(),
+        prf: [proof.toString()],
+        ucv: "0.10.0",
+      })
+    )
+
+    const ucan = UCAN.parse(jwt)
+    assert.equal(ucan.version, "0.10.0")
+    assert.deepEqual(ucan.capabilities, [
+      { with: alice.did(), can: "store/add" },
+      { with: alice.did(), can: "store/add", nb: { size: 1024 } },
+      { with: alice.did(), can: "store/remove" },
+      { with: "mailto:alice@web.mail", can: "msg/send" },
+    ])
+    assert.deepEqual(ucan.facts, [{ note: "hello" }])
+    assert.deepEqual(
+      ucan.proofs.map(String),
+      [proof.toString()],
+      "prf is read as list of links"
+    )
+    assert.equal(UCAN.isExpired(ucan), false)
+
+    // canonical JWT is retained in IPLD representation
+    assert.equal((await UCAN.link(ucan)).code, UCAN.code)
+    assert.equal(UCAN.format(ucan), jwt)
+    assert.deepEqual(decodePayload(UCAN.format(ucan)).cap, {
+      [alice.did()]: {
+        "store/add": [{}, { size: 1024 }],
+        "store/remove": [{}],
+      },
+      "mailto:alice@web.mail": { "msg/send": [{}] },
+    })
+    assert.equal(await UCAN.verifySignature(ucan, alice), true)
+
+    const decoded = UCAN.decode(UCAN.encode(ucan))
+    assert.deepEqual(decoded.capabilities, ucan.capabilities)
+    assert.equal(UCAN.format(decoded), jwt)
+    assert.equal(await UCAN.verifySignature(decoded, alice), true)
+  })
+
+  it("retains non canonical 0.10 JWT", async () => {
+    const jwt = await sign(
+      header,
+      encodeJSON({
+        iss: alice.did(),
+        aud: bob.did(),
+        exp: null,
+        cap: { [alice.did()]: { "store/add": [{}] } },
+        ucv: "0.10.0",
+      })
+    )
+
+    const ucan = UCAN.parse(jwt)
+    assert.equal((await UCAN.link(ucan)).code, 0x55)
+    assert.deepEqual(ucan.capabilities, [
+      { with: alice.did(), can: "store/add" },
+    ])
+    assert.equal(UCAN.format(ucan), jwt)
+    assert.equal(await UCAN.verifySignature(ucan, alice), true)
+    assert.equal(UCAN.format(UCAN.decode(UCAN.encode(ucan))), jwt)
+  })
+
+  it("formats payload in the shape of the version", async () => {
+    const ucan = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [
+        { with: alice.did(), can: "store/add" },
+        { with: alice.did(), can: "store/add", nb: { size: 1 } },
+      ],
+      facts: [{ a: 1 }, { b: 2 }],
+      nonce: "1",
+      notBefore: 1,
+    })
+
+    const current = JSON.parse(
+      UTF8.decode(base64url.baseDecode(formatPayload(ucan.model)))
+    )
+    assert.deepEqual(current.att, ucan.capabilities)
+    assert.deepEqual(current.fct, [{ a: 1 }, { b: 2 }])
+    assert.equal(current.cap, undefined)
+
+    const next = JSON.parse(
+      UTF8.decode(base64url.baseDecode(formatPayload(ucan.model, "0.10.0")))
+    )
+    assert.deepEqual(next.cap, {
+      [alice.did()]: { "store/add": [{}, { size: 1 }] },
+    })
+    assert.deepEqual(next.fct, { a: 1, b: 2 })
+    assert.equal(next.ucv, "0.10.0")
+    assert.equal(next.nnc, "1")
+    assert.equal(next.nbf, 1)
+    assert.equal(next.att, undefined)
+
+    assert.deepEqual(
+      JSON.parse(
+        UTF8.decode(base64url.baseDecode(formatHeader("0.10.0", "EdDSA")))
+      ),
+      { alg: "EdDSA", typ: "JWT" }
+    )
+    assert.deepEqual(
+      JSON.parse(
+        UTF8.decode(base64url.baseDecode(formatHeader("0.9.1", "EdDSA")))
+      ),
+      { alg: "EdDSA", typ: "JWT", ucv: "0.9.1" }
+    )
+  })
+
+  it("reads 0.10 proofs map", async () => {
+    const root = await UCAN.issue({
+      issuer: alice,
+      audience: bob,
+      capabilities: [{ with: alice.did(), can: "store/*" }],
+    })
+    const proof = await UCAN.link(root)
+    const jwt = await sign(
+      header,
+      encodeJSON({
+        aud: bob.did(),
+        cap: { [alice.did()]: { "store/add": [{}] } },
+        exp: null,
+        iss: alice.did(),
+        prf: { [proof.toString()]: UCAN.format(root) },
+        ucv: "0.10.0",
+      })
+    )
+
+    const ucan = UCAN.parse(jwt)
+    assert.deepEqual(ucan.proofs.map(String), [proof.toString()])
+    assert.deepEqual(ucan.header, { alg: "EdDSA", typ: "JWT" })
+    // formatted back as a list, so JWT is retained to keep signature valid
+    assert.equal((await UCAN.link(ucan)).code, 0x55)
+    assert.equal(UCAN.format(ucan), jwt)
+    assert.equal(await UCAN.verifySignature(ucan, alice), true)
+
+    try {
+      UCAN.parse(jwt, { limits: { maxProofs: 0 } })
+      assert.fail("Expected proofs map to exceed the limit")
+    } catch (error) {
+      const { code, path } = /** @type {UCAN.UCANError} */ (error)
+      assert.deepEqual([code, path], ["MAX_PROOFS_EXCEEDED", "/prf"])
+    }
+  })
+
+  it("reads version from the header of 0.10 tokens", async () => {
+    const jwt = await sign(
+      formatHeaderWithVersion("0.10.0"),
+      encodeJSON({
+        aud: bob.did(),
+        cap: { [alice.did()]: { "store/add": [{}] } },
+        exp: null,
+        iss: alice.did(),
+        prf: [],
+      })
+    )
+
+    const ucan = UCAN.parse(jwt)
+    assert.equal(ucan.version, "0.10.0")
+    assert.deepEqual(ucan.capabilities, [
+      { with: alice.did(), can: "store/add" },
+    ])
+    assert.equal((await UCAN.link(ucan)).code, 0x55)
+    assert.equal(UCAN.format(ucan), jwt)
+  })
+
+  it("fails on invalid 0.10 capabilities", async () => {
+    /** @type {[unknown, string, RegExp][]} */
+    const cases = [
+      [[], "/cap", /cap must be a map of resources/],
+      ["store/add", "/cap", /cap must be of type object/],
+      [{ "did:key:zAlice": 1 }, "/cap/did:key:zAlice", /must be of type/],
+      [
+        { "did:key:zAlice": { "store/add": {} } },
+        "/cap/did:key:zAlice/store~1add",
+        /must be an array/,
+      ],
+      [
+        { "did:key:zAlice": { "store/add": [] } },
+        "/cap/did:key:zAlice/store~1add",
+        /must have at least one caveat/,
+      ],
+      [
+        { "did:key:zAlice": { "store/add": [1] } },
+        "/cap/did:key:zAlice/store~1add/0",
+        /must be of type object/,
+      ],
+      [
+        { alice: { "store/add": [{}] } },
+        "/cap/alice/store~1add/0/with",
+        /invalid 'with: "alice"'/,
+      ],
+    ]
+
+    for (const [cap, path, message] of cases) {
+      const jwt = await sign(
+        header,
+        encodeJSON({
+          ucv: "0.10.0",
+          iss: alice.did(),
+          aud: bob.did(),
+          exp: null,
+          cap,
+        })
+      )
+      try {
+        UCAN.parse(jwt)
+        assert.fail(`Expected ${JSON.stringify(cap)} to be rejected`)
+      } catch (error) {
+        const { code, path: actual } = /** @type {UCAN.UCANError} */ (error)
+        assert.match(String(error), message)
+        assert.equal(actual, path)
+        assert.equal(code, "INVALID_CAPABILITY")
+      }
+    }
+  })
+})
@@ -0,0 +1,181 @@
+/* eslint-env mocha */
+import * as UCAN from "../src/lib.js"
+import * as UTF8 from "../src/utf8.js"
+import { sha256 } from "multiformats/hashes/sha2"
+import { identity } from "multiformats/hashes/identity"
+import { from as hasher } from "multiformats/hashes/hasher"
+import { assert } from "chai"
+import { alice, bob } from "./fixtures.js"
+
+/**
+ * Creates sha256 hasher that counts how many times it was used.
+ */
+const counter = () => {
+  const count = { digests: 0 }
+  const { name, code } = sha256
+  return Object.assign(count, {
+    hasher: hasher({
+      name,
+      code,
+      encode: bytes => {
+        count.digests++
+        return /** @type {Uint8Array} */ (sha256.encode(bytes))
+      },
+    }),
+  })
+}
+
+const issue = () =>
+  UCAN.issue({
+    issuer: alice,
+    audience: bob,
+    capabilities: [{ with: alice.did(), can: "store/add" }],
+  })
+
+describe("view", () => {
+  it("caches bytes and JWT", async () => {
+    const ucan = await issue()
+
+    assert.deepEqual(ucan.bytes, ucan.bytes)
+    assert.deepEqual(ucan.encode(), ucan.bytes)
+    assert.deepEqual(ucan.bytes, UCAN.encode(ucan.model))
+    assert.equal(ucan.format(), UCAN.format(ucan))
+
+    // padded signature does not format back, so JWT representation is used
+    const jwt = UCAN.parse(`${UCAN.format(ucan)}==`)
+    assert.equal(jwt.code, 0x55)
+    assert.deepEqual(jwt.bytes, jwt.bytes)
+    assert.deepEqual(jwt.encode(), jwt.bytes)
+    assert.deepEqual(jwt.bytes, UTF8.encode(jwt.format()))
+  })
+
+  it("caches links per hasher", async () => {
+    const ucan = await issue()
+    const count = counter()
+    const { hasher } = count
+
+    const cid = await ucan.link({ hasher })
+    assert.equal(String(cid), String(await UCAN.link(ucan)))
+    assert.equal(cid.code, UCAN.code)
+    assert.equal(ucan.link({ hasher }), ucan.link({ hasher }))
+    assert.equal(await UCAN.link(ucan, { hasher }), cid)
+    assert.equal((await UCAN.write(ucan, { hasher })).cid, cid)
+    assert.equal(count.digests, 1)
+
+    const inline = await ucan.link({ hasher: identity })
+    assert.equal(inline.multihash.code, identity.code)
+    assert.equal(await ucan.link(), await ucan.link({ hasher: sha256 }))
+  })
+
+  it("does not cache failed links", async () => {
+    const ucan = await issue()
+    let fail = true
+    const flaky = hasher({
+      name: "flaky",
+      code: 0x300000,
+      encode: bytes => {
+        if (fail) {
+          throw new Error("hasher is not ready")
+        }
+        return bytes.slice(0, 4)
+      },
+    })
+
+    try {
+      await ucan.link({ hasher: flaky })
+      assert.fail("Expected hasher to fail")
+    } catch (error) {
+      assert.match(String(error), /hasher is not ready/)
+    }
+
+    fail = false
+    const cid = await ucan.link({ hasher: flaky })
+    assert.equal(cid.multihash.code, 0x300000)
+  })
+
+  it("decoded views retain their bytes", async () => {
+    const ucan = await issue()
+    const bytes = UCAN.encode(ucan)
+    const decoded = UCAN.decode(bytes)
+    assert.deepEqual(decoded.bytes, bytes)
+    assert.deepEqual(decoded.encode(), decoded.bytes)
+
+    const jwt = UTF8.encode(UCAN.format(ucan))
+    const raw = UCAN.decode(/** @type {UCAN.ByteView<UCAN.UCAN>} */ (jwt))
+    assert.deepEqual(raw.bytes, jwt)
+    assert.equal((await raw.link()).code, 0x55)
+  })
+
+  it("views are not affected by changes to their bytes", async () => {
+    const ucan = await issue()
+    /** @type {UCAN.View[]} */
+    const views = [
+      ucan,
+      UCAN.parse(`${UCAN.format(ucan)}==`),
+      UCAN.decode(UCAN.encode(ucan)),
+    ]
+
+    for (const view of views) {
+      const cid = String(await UCAN.link(view))
+      const bytes = view.encode()
+      assert.notEqual(view.bytes, bytes)
+      assert.notEqual(view.encode(), bytes)
+
+      bytes.fill(0)
+      view.bytes.fill(0)
+      assert.deepEqual(view.bytes, UCAN.encode(view))
+      assert.notDeepEqual(view.bytes, bytes)
+
+      // CID is derived from the cached bytes, not the altered copies
+      const uncached = UCAN.decode(view.encode())
+      assert.equal(String(await uncached.link()), cid)
+    }
+  })
+
+  it("decoded views are not affected by changes to the source", async () => {
+    const ucan = await issue()
+
+    for (const source of [
+      UCAN.encode(ucan),
+      UTF8.encode(`${UCAN.format(ucan)}==`),
+    ]) {
+      const cid = await UCAN.link(UCAN.decode(source))
+      const buffer = source.slice()
+      const decoded = UCAN.decode(
+        /** @type {UCAN.ByteView<UCAN.UCAN>} */ (buffer)
+      )
+      // buffer is reused before the view is linked
+      buffer.fill(0)
+
+      assert.deepEqual(decoded.bytes, source)
+      assert.equal(String(await decoded.link()), String(cid))
+    }
+  })
+
+  it("writes views and models", async () => {
+    const ucan = await issue()
+    const view = await UCAN.write(ucan)
+    assert.deepEqual(view.bytes, ucan.bytes)
+    assert.equal(view.cid, await ucan.link())
+    assert.equal(view.data, ucan)
+
+    const model = await UCAN.write({ ...ucan.model })
+    assert.deepEqual(model.bytes, ucan.bytes)
+    assert.equal(String(model.cid), String(view.cid))
+
+    const jwt = UCAN.parse(`${UCAN.format(ucan)}==`)
+    const raw = await UCAN.write({ ...jwt.model })
+    assert.deepEqual(raw.bytes, jwt.bytes)
+    assert.equal(raw.cid.code, 0x55)
+    assert.equal(String(raw.cid), String(await jwt.link()))
+  })
+
+  it("caches are not part of the view", async () => {
+    const ucan = await issue()
+    const parsed = UCAN.parse(UCAN.format(ucan))
+    await parsed.link()
+
+    assert.deepEqual(parsed, UCAN.decode(UCAN.encode(ucan)))
+    assert.deepEqual(Object.keys(parsed), ["model"])
+  })
+})